@@ -2,27 +2,461 @@
 // FIXED: Enhanced background service worker with proper Google Drive sync
 // Fixes duplication, data integrity, and real-time updates
 
-const GOOGLE_DRIVE_CONFIG = {
-  fileName: "linkedin-memories.json",
-  driveFilesEndpoint: "https://www.googleapis.com/drive/v3/files",
-  driveUploadEndpoint: "https://www.googleapis.com/upload/drive/v3/files",
-  userinfoEndpoint: "https://www.googleapis.com/oauth2/v2/userinfo",
+// Google Drive, WebDAV and self-hosted REST storage
+importScripts("sync-backends.js");
+
+// Canonical memory record shape, shared with the popup and content script
+importScripts("memory-schema.js");
+importScripts("memory-store.js");
+importScripts("profile-identity.js");
+
+// Optional end-to-end encryption of everything uploaded to Drive. The
+// passphrase never leaves the device; derived keys are kept in
+// chrome.storage.session so they survive service worker restarts but are
+// gone after the browser closes.
+const ENCRYPTION_CONFIG = {
+  settingsStorageKey: "lnms_encryption",
+  sessionKeysStorageKey: "lnms_encryption_keys",
+  driveKey: "_encrypted",
+  pbkdf2Iterations: 310000,
+  saltBytes: 16,
+  ivBytes: 12,
 };
 
-// Cached authentication state
-let cachedAuth = {
-  token: null,
-  email: null,
-  notesFileId: null,
-  lastLoaded: 0,
+class EncryptionLockedError extends Error {
+  constructor() {
+    super("Backup is encrypted - unlock it with your passphrase");
+    this.name = "EncryptionLockedError";
+    this.locked = true;
+  }
+}
+
+// Incremental sync: each device appends small delta files next to the main
+// notes file and reads other devices' deltas through the Drive changes feed.
+// Once enough deltas pile up a full sync folds them back into the main file.
+const DELTA_SYNC_CONFIG = {
+  stateStorageKey: "lnms_drive_changes",
+  deviceIdStorageKey: "lnms_device_id",
+  maxDeltaFiles: 50,
+};
+
+// Rolling backup snapshots next to the notes file: one a day while syncing,
+// plus one right before every restore so a restore can itself be undone
+const SNAPSHOT_CONFIG = {
+  stateStorageKey: "lnms_snapshot_state",
+  intervalMs: 24 * 60 * 60 * 1000,
+  maxSnapshots: 30,
+};
+
+// Deletions are kept as tombstones so a delete on one device wins over
+// stale copies still sitting in Drive or on other devices
+const TOMBSTONE_CONFIG = {
+  storageKey: "lnms_tombstones",
+  driveKey: "_tombstones",
+  retentionMs: 90 * 24 * 60 * 60 * 1000,
+};
+
+// Deleted memories sit in the trash for a while before they are removed for
+// good; the retention is a user setting stored in lnms_settings
+const TRASH_CONFIG = {
+  purgeAlarmName: "lnms-trash-purge",
+  purgeIntervalMinutes: 24 * 60,
+  defaultRetentionDays: 30,
+  retentionChoices: [7, 30, 90],
+};
+
+// Alerts for changes noticed when revisiting a saved contact. The profile
+// URL is kept in the notification id, so a click can open it even after the
+// service worker was suspended.
+const CHANGE_ALERT_CONFIG = {
+  notificationPrefix: "lnms-change:",
+  iconPath: "icons/penguin.png",
+};
+
+// Follow-up reminders, for every account on this device. A follow-up is due
+// from reminderHour on its day; the check alarm is set for the next one
+// coming due, and saves and syncs check too, so none waits on a timer. Each
+// is announced once per device; a new date announces it again. Opening the
+// profile works as for change alerts.
+const FOLLOW_UP_CONFIG = {
+  checkAlarmName: "lnms-follow-up-check",
+  reminderHour: 9,
+  notifiedStorageKey: "lnms_follow_up_notified",
+  notificationPrefix: "lnms-follow-up:",
+};
+
+// Custom field definitions belong to an account, like its memories, and
+// travel in that account's notes file. Each definition carries an
+// updatedAt, and a removed one leaves a dated marker so the removal reaches
+// other devices.
+const CUSTOM_FIELDS_CONFIG = {
+  storageKey: "lnms_custom_fields",
+  driveKey: "_customFields",
 };
 
+// Three-way merge: the last synced version of each memory is kept as the
+// base so edits made on different devices can be combined field by field,
+// and timeline entries one by one. Conflicting entries are queued under
+// entryFieldPrefix + the entry id, custom fields under customFieldPrefix +
+// the field id.
+const MERGE_CONFIG = {
+  baseStorageKey: "lnms_sync_base",
+  conflictsStorageKey: "lnms_conflicts",
+  fields: [
+    "name",
+    "title",
+    "company",
+    "location",
+    "education",
+    "bio",
+    "positions",
+    "educations",
+    "skills",
+    ...MEMORY_RELATIONSHIP_FIELDS,
+    ...MEMORY_FOLLOW_UP_FIELDS,
+    ...MEMORY_CONTACT_FIELDS,
+  ],
+  entryFieldPrefix: "entry:",
+  customFieldPrefix: "custom:",
+  maxRevisionRetries: 3,
+};
+
+// Outbound changes are queued in storage and flushed by an alarm so they
+// survive the service worker being suspended
+const SYNC_QUEUE_CONFIG = {
+  storageKey: "lnms_sync_queue",
+  alarmName: "lnms-sync-flush",
+  initialDelayMs: 5 * 1000,
+  baseRetryDelayMs: 60 * 1000,
+  maxRetryDelayMs: 60 * 60 * 1000,
+};
+
+// Bounded record of recent sync runs for the popup's diagnostics view: what
+// ran, which way data moved, and what was decided for each contact
+const SYNC_JOURNAL_CONFIG = {
+  storageKey: "lnms_sync_journal",
+  maxEntries: 50,
+  maxDecisionsPerEntry: 100,
+};
+
+// Pairs of memories the user said are different people, so the duplicate
+// finder stops suggesting them
+const DUPLICATE_CONFIG = {
+  ignoredStorageKey: "lnms_ignored_duplicates",
+};
+
+// Several accounts (say, a work and a personal network) can live side by
+// side. Each account has its own memory database (see memory-store.js).
+// Only the active account's sync state sits under its usual keys; every
+// other account's is parked under a single key until it is switched to.
+const ACCOUNTS_CONFIG = {
+  storageKey: ACCOUNTS_STORAGE_KEY,
+  parkedDataPrefix: "lnms_account_data_",
+  defaultAccountId: DEFAULT_ACCOUNT_ID,
+  scopedStorageKeys: [
+    TOMBSTONE_CONFIG.storageKey,
+    MERGE_CONFIG.baseStorageKey,
+    MERGE_CONFIG.conflictsStorageKey,
+    SYNC_QUEUE_CONFIG.storageKey,
+    DELTA_SYNC_CONFIG.stateStorageKey,
+    ENCRYPTION_CONFIG.settingsStorageKey,
+    SNAPSHOT_CONFIG.stateStorageKey,
+    SYNC_JOURNAL_CONFIG.storageKey,
+    DUPLICATE_CONFIG.ignoredStorageKey,
+    SYNC_BACKEND_CONFIG.settingsStorageKey,
+    CUSTOM_FIELDS_CONFIG.storageKey,
+    "lnms_google_auth",
+  ],
+};
+
+// Storage upgrades, oldest first. Each migration gets everything in
+// chrome.storage.local and returns the keys to set and to remove; the
+// version reached is stored so none runs twice.
+//
+// Two version numbers, counted separately:
+// - the storage version (lnms_schema_version, up to the last migration
+//   below) is how this device lays out its own data
+// - MEMORY_SCHEMA_VERSION (memory-schema.js) is the shape of one memory
+//   record; records and synced files (_schemaVersion) carry it, and older
+//   ones are upgraded on read by MemorySchema.normalize
+// A storage migration doesn't have to change the record shape, and a new
+// record shape needs no storage migration.
+const SCHEMA_CONFIG = {
+  storageKey: "lnms_schema_version",
+  driveKey: "_schemaVersion",
+};
+
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 2,
+    description: "One canonical memory record with a schema version",
+    migrate(allData) {
+      const upgradeMemories = (data) => {
+        const upgraded = {};
+        Object.entries(data)
+          .filter(([key]) => MemorySchema.isMemoryStorageKey(key))
+          .forEach(([key, memory]) => {
+            upgraded[key] = MemorySchema.toStored(memory);
+          });
+        return upgraded;
+      };
+
+      // Parked accounts hold memories of their own
+      const parkedAccounts = {};
+      Object.entries(allData)
+        .filter(([key]) => key.startsWith(ACCOUNTS_CONFIG.parkedDataPrefix))
+        .forEach(([key, data]) => {
+          parkedAccounts[key] = { ...data, ...upgradeMemories(data) };
+        });
+
+      return { set: { ...upgradeMemories(allData), ...parkedAccounts } };
+    },
+  },
+  {
+    version: 3,
+    description: "Memories move from chrome.storage to IndexedDB",
+    async migrate(allData) {
+      const pickMemories = (data) => {
+        const memories = {};
+        Object.entries(data)
+          .filter(([key]) => MemorySchema.isMemoryStorageKey(key))
+          .forEach(([key, memory]) => (memories[key] = memory));
+        return memories;
+      };
+      const moveMemories = async (accountId, memories) => {
+        const store = new MemoryStore(accountId);
+        await store.putMany(memories);
+        store.close();
+      };
+
+      // Copied first and only then removed, so an interrupted migration
+      // just runs again
+      const activeAccountId =
+        allData[ACCOUNTS_CONFIG.storageKey]?.activeAccountId ||
+        ACCOUNTS_CONFIG.defaultAccountId;
+      const activeMemories = pickMemories(allData);
+      await moveMemories(activeAccountId, activeMemories);
+
+      const parkedAccounts = {};
+      for (const [key, data] of Object.entries(allData)) {
+        if (!key.startsWith(ACCOUNTS_CONFIG.parkedDataPrefix)) continue;
+
+        const memories = pickMemories(data);
+        await moveMemories(
+          key.slice(ACCOUNTS_CONFIG.parkedDataPrefix.length),
+          memories
+        );
+
+        parkedAccounts[key] = { ...data };
+        Object.keys(memories).forEach((k) => delete parkedAccounts[key][k]);
+      }
+
+      return { set: parkedAccounts, remove: Object.keys(activeMemories) };
+    },
+  },
+  {
+    version: 4,
+    description: "Memories keyed by canonical profile URL",
+    async migrate(allData) {
+      const registry = allData[ACCOUNTS_CONFIG.storageKey];
+      const activeAccountId =
+        registry?.activeAccountId || ACCOUNTS_CONFIG.defaultAccountId;
+      const accountIds = registry
+        ? Object.keys(registry.accounts)
+        : [ACCOUNTS_CONFIG.defaultAccountId];
+      const now = Date.now();
+
+      const set = {};
+      for (const accountId of accountIds) {
+        const store = new MemoryStore(accountId);
+        const memories = await store.getAll();
+        const tombstones = {};
+
+        for (const oldKey of Object.keys(memories)) {
+          const memory = memories[oldKey];
+          if (!memory) continue;
+
+          const url = ProfileIdentity.canonicalUrl(memory.url);
+          const storageKey = ProfileIdentity.getStorageKey(url);
+          if (storageKey === oldKey && url === memory.url) continue;
+
+          // Two URL variants of one profile: nothing in either is lost
+          const existing = storageKey !== oldKey && memories[storageKey];
+          const moved = {
+            ...(existing ? MemorySchema.combine([existing, memory]) : memory),
+            url,
+          };
+          await store.move(oldKey, storageKey, moved);
+
+          delete memories[oldKey];
+          memories[storageKey] = moved;
+          if (storageKey !== oldKey) tombstones[oldKey] = now;
+        }
+        store.close();
+
+        // Other devices drop the old keys the next time they sync
+        if (Object.keys(tombstones).length === 0) continue;
+        if (accountId === activeAccountId) {
+          set[TOMBSTONE_CONFIG.storageKey] = {
+            ...allData[TOMBSTONE_CONFIG.storageKey],
+            ...tombstones,
+          };
+        } else {
+          const parkedKey = `${ACCOUNTS_CONFIG.parkedDataPrefix}${accountId}`;
+          const parked = allData[parkedKey] || {};
+          set[parkedKey] = {
+            ...parked,
+            [TOMBSTONE_CONFIG.storageKey]: {
+              ...parked[TOMBSTONE_CONFIG.storageKey],
+              ...tombstones,
+            },
+          };
+        }
+      }
+
+      return { set };
+    },
+  },
+  {
+    version: 5,
+    description: "Notes become the first entry of a timeline",
+    async migrate(allData) {
+      const registry = allData[ACCOUNTS_CONFIG.storageKey];
+      const activeAccountId =
+        registry?.activeAccountId || ACCOUNTS_CONFIG.defaultAccountId;
+      const accountIds = registry
+        ? Object.keys(registry.accounts)
+        : [ACCOUNTS_CONFIG.defaultAccountId];
+
+      // A note conflict waiting for review becomes one about the entry the
+      // note turned into
+      const upgradeConflicts = (conflicts, memories) => {
+        const upgraded = {};
+        Object.entries(conflicts || {}).forEach(([profileKey, conflict]) => {
+          const { note, ...fields } = conflict.fields;
+          const entry = memories[profileKey]?.entries[0];
+          if (note && entry) {
+            fields[`${MERGE_CONFIG.entryFieldPrefix}${entry.id}`] = {
+              ...note,
+              date: entry.date,
+            };
+          }
+          upgraded[profileKey] = { ...conflict, fields };
+        });
+        return upgraded;
+      };
+
+      const set = {};
+      for (const accountId of accountIds) {
+        const store = new MemoryStore(accountId);
+        const memories = {};
+        Object.entries(await store.getAll()).forEach(
+          ([key, memory]) => (memories[key] = MemorySchema.toStored(memory))
+        );
+        await store.putMany(memories);
+        store.close();
+
+        if (accountId === activeAccountId) {
+          set[MERGE_CONFIG.conflictsStorageKey] = upgradeConflicts(
+            allData[MERGE_CONFIG.conflictsStorageKey],
+            memories
+          );
+        } else {
+          const parkedKey = `${ACCOUNTS_CONFIG.parkedDataPrefix}${accountId}`;
+          const parked = allData[parkedKey];
+          if (!parked?.[MERGE_CONFIG.conflictsStorageKey]) continue;
+          set[parkedKey] = {
+            ...parked,
+            [MERGE_CONFIG.conflictsStorageKey]: upgradeConflicts(
+              parked[MERGE_CONFIG.conflictsStorageKey],
+              memories
+            ),
+          };
+        }
+      }
+
+      return { set };
+    },
+  },
+  {
+    version: 6,
+    description: "Custom field definitions kept per account",
+    migrate(allData) {
+      const { customFields, removedCustomFields, ...settings } =
+        allData.lnms_settings || {};
+      if (!customFields && !removedCustomFields) return {};
+
+      // They were shared until now, so every account starts from them and
+      // its next sync sorts out which it really has
+      const state = {
+        definitions: customFields || [],
+        removed: removedCustomFields || {},
+      };
+      const set = {
+        lnms_settings: settings,
+        [CUSTOM_FIELDS_CONFIG.storageKey]: state,
+      };
+      Object.entries(allData)
+        .filter(([key]) => key.startsWith(ACCOUNTS_CONFIG.parkedDataPrefix))
+        .forEach(([key, data]) => {
+          set[key] = { ...data, [CUSTOM_FIELDS_CONFIG.storageKey]: state };
+        });
+
+      return { set };
+    },
+  },
+  {
+    version: 7,
+    description: "Announced follow-ups kept for all accounts in one place",
+    migrate(allData) {
+      const key = FOLLOW_UP_CONFIG.notifiedStorageKey;
+      const activeAccountId =
+        allData[ACCOUNTS_CONFIG.storageKey]?.activeAccountId ||
+        ACCOUNTS_CONFIG.defaultAccountId;
+
+      const notified = { [activeAccountId]: allData[key] || {} };
+      const set = {};
+      Object.entries(allData)
+        .filter(([k]) => k.startsWith(ACCOUNTS_CONFIG.parkedDataPrefix))
+        .forEach(([parkedKey, data]) => {
+          const { [key]: parkedNotified, ...rest } = data;
+          const accountId = parkedKey.slice(
+            ACCOUNTS_CONFIG.parkedDataPrefix.length
+          );
+          notified[accountId] = parkedNotified || {};
+          set[parkedKey] = rest;
+        });
+      set[key] = notified;
+
+      return { set };
+    },
+  },
+];
+
+const STORAGE_SCHEMA_VERSION =
+  SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
 class LinkedInMemoryBackground {
   constructor() {
     this.activeConnections = new Map();
+    this.syncBackend = null;
+    this.memoryStore = null;
+    this.syncOperation = Promise.resolve();
     this.setupEventListeners();
   }
 
+  // Syncs, backups, restores, connects, encryption changes and account
+  // switches all work on the active account's keys; running them one at a
+  // time keeps any of them from finishing against a different account
+  runSyncOperation(operation) {
+    const result = this.syncOperation.then(async () => {
+      await this.assertStorageMigrated();
+      return operation();
+    });
+    this.syncOperation = result.catch(() => {});
+    return result;
+  }
+
   setupEventListeners() {
     chrome.runtime.onInstalled.addListener((details) => {
       this.handleInstallation(details);
@@ -44,38 +478,67 @@ class LinkedInMemoryBackground {
     chrome.action.onClicked.addListener((tab) => {
       this.handleActionClick(tab);
     });
+
+    chrome.notifications.onClicked.addListener((notificationId) => {
+      this.handleNotificationClick(notificationId);
+    });
+
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === SYNC_QUEUE_CONFIG.alarmName) {
+        this.runSyncOperation(() => this.flushSyncQueue());
+      } else if (alarm.name === TRASH_CONFIG.purgeAlarmName) {
+        this.purgeTrash();
+      } else if (alarm.name === FOLLOW_UP_CONFIG.checkAlarmName) {
+        this.checkFollowUps();
+      }
+    });
+
+    chrome.runtime.onStartup.addListener(() => {
+      this.handleStartup();
+    });
   }
 
   async handleMessage(message, sender, sendResponse) {
     try {
       switch (message.type) {
         case "connectGoogleDrive":
-          console.log("🔗 Starting Google Drive connection...");
-          const authResult = await this.authenticateGoogleDrive();
+        case "connectSyncBackend":
+          console.log("🔗 Starting sync backend connection...");
+          const authResult = await this.runSyncOperation(() =>
+            this.connectSyncBackend(message.backend, message.config)
+          );
           sendResponse(authResult);
           break;
 
         case "backupToGoogleDrive":
-          console.log("💾 Starting backup to Google Drive...");
-          const backupResult = await this.backupMemoriesToDrive();
+          console.log("💾 Starting backup to the sync backend...");
+          const backupResult = await this.runSyncOperation(() =>
+            this.backupMemoriesToDrive()
+          );
           sendResponse(backupResult);
           break;
 
         case "restoreFromGoogleDrive":
-          console.log("📥 Starting restore from Google Drive...");
-          const restoreResult = await this.restoreMemoriesFromDrive();
+          console.log("📥 Starting restore from the sync backend...");
+          const restoreResult = await this.runSyncOperation(() =>
+            this.restoreMemoriesFromDrive()
+          );
           sendResponse(restoreResult);
           break;
 
         case "syncGoogleDrive":
-          console.log("🔄 Starting Google Drive sync...");
-          const syncResult = await this.syncWithGoogleDrive();
+          console.log("🔄 Starting sync...");
+          const syncResult = await this.runSyncOperation(() =>
+            this.syncWithGoogleDrive()
+          );
           sendResponse(syncResult);
           break;
 
         case "disconnectGoogleDrive":
-          console.log("🔌 Disconnecting from Google Drive...");
-          const disconnectResult = await this.disconnectGoogleDrive();
+          console.log("🔌 Disconnecting the sync backend...");
+          const disconnectResult = await this.runSyncOperation(() =>
+            this.disconnectGoogleDrive()
+          );
           sendResponse(disconnectResult);
           break;
 
@@ -85,12 +548,148 @@ class LinkedInMemoryBackground {
           break;
 
         // Memory operations
+        case "getMemory":
+          const storedMemory = await this.getMemory(message.storageKey, {
+            url: message.url,
+            memberUrn: message.memberUrn,
+          });
+          sendResponse({ success: true, data: storedMemory });
+          break;
+
+        case "saveMemory":
+          await this.saveMemory(message.storageKey, message.memory);
+          sendResponse({ success: true });
+          break;
+
+        case "getContactNames":
+          sendResponse({ success: true, data: await this.getContactNames() });
+          break;
+
+        case "trashMemory":
+          const trashedMemory = await this.trashMemory(message.storageKey);
+          sendResponse({ success: true, data: trashedMemory });
+          break;
+
+        case "restoreFromTrash":
+          const restoredMemory = await this.restoreFromTrash(
+            message.storageKey
+          );
+          sendResponse({ success: true, data: restoredMemory });
+          break;
+
+        case "getTrash":
+          const trash = await this.getTrash();
+          sendResponse({ success: true, data: trash });
+          break;
+
+        case "purgeFromTrash":
+          const purged = await this.purgeTrash({
+            storageKeys: message.storageKeys,
+          });
+          sendResponse({ success: true, data: { purged } });
+          break;
+
+        case "profileChanged":
+          await this.notifyProfileChanges(message);
+          sendResponse({ success: true });
+          break;
+
+        case "getCustomFields":
+          sendResponse({
+            success: true,
+            data: await this.getCustomFieldDefinitions(),
+          });
+          break;
+
+        case "saveCustomFields":
+          sendResponse({
+            success: true,
+            data: await this.saveCustomFieldDefinitions(message.fields),
+          });
+          break;
+
+        case "setTrashRetention":
+          await this.setTrashRetention(message.days);
+          sendResponse({ success: true });
+          break;
+
         case "memoryUpdated":
         case "memoryDeleted":
           await this.handleMemoryChange(message, sender);
           sendResponse({ success: true });
           break;
 
+        case "getConflicts":
+          const conflicts = await this.getConflicts();
+          sendResponse({ success: true, data: conflicts });
+          break;
+
+        case "resolveConflict":
+          const resolveResult = await this.resolveConflict(
+            message.profileKey,
+            message.choices
+          );
+          sendResponse({ success: true, data: resolveResult });
+          break;
+
+        case "getSyncQueueStatus":
+          const queueStatus = await this.getSyncQueueStatus();
+          sendResponse({ success: true, data: queueStatus });
+          break;
+
+        case "flushSyncQueue":
+          const flushResult = await this.runSyncOperation(() =>
+            this.flushSyncQueue()
+          );
+          sendResponse(flushResult);
+          break;
+
+        case "getEncryptionStatus":
+          const encryptionStatus = await this.getEncryptionStatus();
+          sendResponse({ success: true, data: encryptionStatus });
+          break;
+
+        case "enableEncryption":
+          const enableResult = await this.runSyncOperation(() =>
+            this.enableEncryption(message.passphrase)
+          );
+          sendResponse({ success: true, data: enableResult });
+          break;
+
+        case "unlockEncryption":
+          const unlockResult = await this.runSyncOperation(() =>
+            this.unlockEncryption(message.passphrase)
+          );
+          sendResponse({ success: true, data: unlockResult });
+          break;
+
+        case "changeEncryptionPassphrase":
+          const changeResult = await this.runSyncOperation(() =>
+            this.changeEncryptionPassphrase(
+              message.currentPassphrase,
+              message.newPassphrase
+            )
+          );
+          sendResponse({ success: true, data: changeResult });
+          break;
+
+        case "listSnapshots":
+          const snapshots = await this.listSnapshots();
+          sendResponse({ success: true, data: snapshots });
+          break;
+
+        case "previewSnapshot":
+          const preview = await this.previewSnapshot(message.snapshotId);
+          sendResponse({ success: true, data: preview });
+          break;
+
+        case "restoreSnapshot":
+          const snapshotRestoreResult = await this.runSyncOperation(() =>
+            this.restoreSnapshot(message.snapshotId, message.profileKeys)
+          );
+          sendResponse({ success: true, data: snapshotRestoreResult });
+          break;
+
         case "getMemoryStats":
           const stats = await this.getMemoryStats();
           sendResponse({ success: true, data: stats });
@@ -106,56 +705,147 @@ class LinkedInMemoryBackground {
           sendResponse({ success: true, data: importResult });
           break;
 
+        case "getSyncJournal":
+          const journal = await this.getSyncJournal();
+          sendResponse({ success: true, data: journal });
+          break;
+
+        case "clearSyncJournal":
+          await this.clearSyncJournal();
+          sendResponse({ success: true });
+          break;
+
+        case "getAccounts":
+          const accounts = await this.getAccounts();
+          sendResponse({ success: true, data: accounts });
+          break;
+
+        case "addAccount":
+          const addedAccount = await this.runSyncOperation(() =>
+            this.addAccount(message.label)
+          );
+          sendResponse({ success: true, data: addedAccount });
+          break;
+
+        case "switchAccount":
+          const activeAccount = await this.runSyncOperation(() =>
+            this.switchAccount(message.accountId)
+          );
+          sendResponse({ success: true, data: activeAccount });
+          break;
+
+        case "removeAccount":
+          await this.removeAccount(message.accountId);
+          sendResponse({ success: true });
+          break;
+
+        case "getDuplicates":
+          const duplicates = await this.findDuplicates();
+          sendResponse({ success: true, data: duplicates });
+          break;
+
+        case "mergeDuplicates":
+          const mergedMemory = await this.mergeDuplicates(message.storageKeys);
+          sendResponse({ success: true, data: mergedMemory });
+          break;
+
+        case "ignoreDuplicates":
+          await this.ignoreDuplicates(message.groupId);
+          sendResponse({ success: true });
+          break;
+
         default:
           sendResponse({ success: false, error: "Unknown message type" });
       }
     } catch (error) {
       console.error("❌ Error handling message:", error);
-      sendResponse({ success: false, error: error.message });
+      sendResponse({
+        success: false,
+        error: error.message,
+        locked: error instanceof EncryptionLockedError,
+      });
     }
   }
 
-  // ===== FIXED Google Drive Authentication =====
-  async authenticateGoogleDrive() {
+  // ===== FIXED Sync Backend Authentication =====
+  async connectSyncBackend(
+    backendType = SYNC_BACKEND_CONFIG.defaultBackend,
+    config = {}
+  ) {
     try {
-      console.log("🔐 Starting Google Drive authentication...");
-
-      const token = await this.getAuthToken({ interactive: true });
-
-      if (!token) {
-        throw new Error("No authentication token received");
-      }
+      console.log(`🔐 Connecting to ${backendType}...`);
 
-      const userInfo = await this.getUserInfo(token);
+      const account = await this.getActiveAccount();
+      const settings = {
+        backend: backendType,
+        [backendType]: config,
+        namespace: account.namespace,
+      };
+      const backend = createSyncBackend(settings);
+      const userInfo = await backend.connect();
       console.log("👤 Got user info:", userInfo.name, userInfo.email);
 
-      // Cache auth data
-      cachedAuth.token = token;
-      cachedAuth.email = userInfo.email;
+      // Stay with this Google account even if Chrome's default one changes
+      if (backendType === "googleDrive" && userInfo.id) {
+        settings.googleDrive = { ...config, accountId: userInfo.id };
+      }
 
-      // Store connection status
+      // Store the backend and connection status (lnms_google_auth predates
+      // other backends and now tracks whichever one is connected)
+      this.syncBackend = backend;
       await chrome.storage.local.set({
+        [SYNC_BACKEND_CONFIG.settingsStorageKey]: settings,
         lnms_google_auth: {
           connected: true,
           connectedAt: Date.now(),
+          backend: backendType,
           userInfo: userInfo,
           lastBackup: null,
         },
       });
+      await this.updateAccount(account.id, { email: userInfo.email || null });
 
       // CRITICAL: Perform intelligent sync on first connection
-      const intelligentSyncResult = await this.performIntelligentSync();
+      let intelligentSyncResult;
+      try {
+        intelligentSyncResult = await this.performIntelligentSync({
+          trigger: "connect",
+        });
+        await this.clearSyncQueue();
+      } catch (error) {
+        if (!(error instanceof EncryptionLockedError)) {
+          throw error;
+        }
+
+        // Encrypted backup from another device: stay connected and let the
+        // popup ask for the passphrase, then sync everything
+        console.log("🔒 Drive backup is encrypted, waiting for unlock");
+        await this.enqueueSyncChange(null, "update");
+        return {
+          success: true,
+          userInfo: userInfo,
+          backendLabel: backend.label,
+          encryptionLocked: true,
+          syncResult: {
+            localCount: Object.keys(await this.getAllLocalMemories()).length,
+            driveCount: 0,
+            mergedCount: 0,
+          },
+          message: "Connected - unlock the encrypted backup to sync",
+        };
+      }
 
-      console.log("✅ Google Drive authentication + sync successful");
+      console.log(`✅ ${backend.label} authentication + sync successful`);
 
       return {
         success: true,
         userInfo: userInfo,
+        backendLabel: backend.label,
         syncResult: intelligentSyncResult,
-        message: "Successfully connected to Google Drive!",
+        message: `Successfully connected to ${backend.label}!`,
       };
     } catch (error) {
-      console.error("❌ Google Drive authentication failed:", error);
+      console.error("❌ Sync backend authentication failed:", error);
       await this.clearAuthState();
 
       return {
@@ -166,30 +856,151 @@ class LinkedInMemoryBackground {
   }
 
   // ===== FIXED: Intelligent Sync Logic =====
-  async performIntelligentSync() {
+  async performIntelligentSync({ dirtyKeys = null, trigger = "sync" } = {}) {
+    const startedAt = Date.now();
+
+    try {
+      let result = null;
+
+      // Only queued changes to push: try moving just the deltas, unless the
+      // daily snapshot is due - that needs the full file anyway
+      if (dirtyKeys && !(await this.isSnapshotDue())) {
+        result = await this.runIncrementalSync(dirtyKeys);
+      }
+      if (!result) {
+        result = await this.runFullSync();
+      }
+
+      // Follow-ups may have come in with other devices' changes
+      this.checkFollowUps();
+
+      const { decisions, ...summary } = result;
+      await this.recordSyncRun({
+        startedAt,
+        trigger,
+        result: summary,
+        decisions,
+      });
+      return summary;
+    } catch (error) {
+      await this.recordSyncRun({ startedAt, trigger, error });
+      throw error;
+    }
+  }
+
+  async runFullSync() {
+    // Another device may upload between our read and write; when that
+    // happens start over from its result instead of overwriting it
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.runIntelligentSyncPass();
+      } catch (error) {
+        if (
+          error instanceof SyncRevisionMismatchError &&
+          attempt < MERGE_CONFIG.maxRevisionRetries
+        ) {
+          console.log(
+            `🔁 Notes file changed during sync, re-merging (attempt ${
+              attempt + 1
+            })`
+          );
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  async runIntelligentSyncPass() {
     try {
       console.log("🧠 Starting intelligent sync...");
 
+      // Changes from here on are picked up by the next incremental sync
+      const backend = await this.getSyncBackend();
+      const pageToken = await backend.getChangesToken();
+
       // Get local memories
       const localMemories = await this.getAllLocalMemories();
       console.log(
         `📱 Found ${Object.keys(localMemories).length} local memories`
       );
 
-      // Get Drive memories
-      const driveMemories = await this.loadNotesFromDrive();
+      // Get Drive memories along with the revision they were read at
+      const { notes, revision, encryptedWith } =
+        await this.loadNotesWithRevision();
+      const {
+        memories: driveMemories,
+        tombstones: driveTombstones,
+        customFields: driveCustomFields,
+      } = this.splitDrivePayload(notes);
+
+      // Fold in every delta file so the main file catches up with them
+      const deltaFiles = await backend.listSideFiles(backend.files.deltaPrefix);
+      const deltas = await Promise.all(
+        deltaFiles.map((file) => this.loadDeltaFile(file.id))
+      );
+      this.foldDeltas(driveMemories, driveTombstones, deltas);
       console.log(
-        `☁️ Found ${Object.keys(driveMemories).length} Drive memories`
+        `☁️ Found ${Object.keys(driveMemories).length} Drive memories (${
+          deltaFiles.length
+        } delta files)`
       );
 
-      // Merge logic: Keep the most recent version of each profile
-      const mergedMemories = await this.intelligentMerge(
+      // Keep a copy of what was shared before this merge touches it
+      await this.createDailySnapshotIfDue(driveMemories, driveTombstones);
+
+      // Deletions from every device, newest deletion per profile wins
+      const tombstones = this.mergeTombstones(
+        await this.getLocalTombstones(),
+        driveTombstones
+      );
+
+      // Drive's order first, so devices settle on one list
+      const customFields = this.mergeCustomFieldDefinitions(
+        driveCustomFields,
+        await this.getCustomFieldSyncState()
+      );
+
+      // Merge logic: combine both sides field by field against the base
+      const {
+        merged: mergedMemories,
+        conflicts,
+        decisions,
+      } = await this.intelligentMerge(
         localMemories,
-        driveMemories
+        driveMemories,
+        tombstones,
+        await this.getSyncBases()
       );
 
       // Save merged data both locally and to Drive
-      await this.saveMergedMemories(mergedMemories);
+      const newRevision = await this.saveMergedMemories(
+        mergedMemories,
+        tombstones,
+        {
+          expectedRevision: revision,
+          localSnapshot: localMemories,
+          customFields,
+          // With deltas folded in, or a key change pending, the main file
+          // needs rewriting even if the memories themselves match
+          currentDrivePayload:
+            deltaFiles.length === 0 &&
+            (await this.getActiveEncryptionSalt()) === encryptedWith
+              ? notes
+              : null,
+        }
+      );
+      const conflictCount = await this.queueConflicts(conflicts, tombstones);
+
+      // The main file now holds everything the deltas had
+      for (const file of deltaFiles) {
+        await backend.deleteSideFile(file.id);
+      }
+      await this.saveDeltaSyncState({
+        pageToken,
+        mainRevision: newRevision,
+        deltaCount: 0,
+      });
 
       // Notify all LinkedIn tabs to refresh their data
       await this.notifyAllLinkedInTabs();
@@ -198,6 +1009,10 @@ class LinkedInMemoryBackground {
         localCount: Object.keys(localMemories).length,
         driveCount: Object.keys(driveMemories).length,
         mergedCount: Object.keys(mergedMemories).length,
+        conflictCount: conflictCount,
+        mode: "full",
+        direction: "both",
+        decisions,
         message: "Intelligent sync completed",
       };
     } catch (error) {
@@ -206,31 +1021,47 @@ class LinkedInMemoryBackground {
     }
   }
 
+  // The active account's memory database, opened on first use
+  async getMemoryStore() {
+    if (!this.memoryStore) {
+      this.memoryStore = await MemoryStore.openForActiveAccount();
+    }
+    return this.memoryStore;
+  }
+
   async getAllLocalMemories() {
-    const allLocalData = await chrome.storage.local.get(null);
+    const store = await this.getMemoryStore();
+    const allLocalData = await store.getAll();
     const memories = {};
 
-    Object.entries(allLocalData)
-      .filter(
-        ([key]) =>
-          key.startsWith("lnms_") &&
-          !key.includes("settings") &&
-          !key.includes("google")
-      )
-      .forEach(([storageKey, memory]) => {
-        // ✅ Use storage key directly
-        memories[storageKey] = {
-          ...memory,
-          storageKey: storageKey,
-          source: "local",
-        };
-      });
+    Object.entries(allLocalData).forEach(([storageKey, memory]) => {
+      // ✅ Use storage key directly
+      memories[storageKey] = {
+        ...memory,
+        storageKey: storageKey,
+        source: "local",
+      };
+    });
 
     return memories;
   }
 
-  async intelligentMerge(localMemories, driveMemories) {
+  async intelligentMerge(
+    localMemories,
+    driveMemories,
+    tombstones = {},
+    bases = {}
+  ) {
     const merged = {};
+    const conflicts = {};
+    const decisions = [];
+    const decide = (profileKey, memory, decision, fields) =>
+      decisions.push({
+        profileKey,
+        name: memory?.name || null,
+        decision,
+        ...(fields ? { fields } : {}),
+      });
 
     // Get all unique profile keys
     const allProfileKeys = new Set([
@@ -241,9 +1072,60 @@ class LinkedInMemoryBackground {
     for (const profileKey of allProfileKeys) {
       const localMemory = localMemories[profileKey];
       const driveMemory = driveMemories[profileKey];
+      const deletedAt = tombstones[profileKey];
+
+      if (deletedAt) {
+        const localTime = localMemory
+          ? localMemory.updatedAt || localMemory.createdAt || 0
+          : 0;
+        const driveTime = driveMemory
+          ? new Date(
+              driveMemory.updatedAt || driveMemory.createdAt || 0
+            ).getTime()
+          : 0;
+
+        if (deletedAt >= Math.max(localTime, driveTime)) {
+          // Deleted after the last edit anywhere - keep it deleted
+          console.log(`🪦 Keeping deletion for ${profileKey}`);
+          decide(profileKey, localMemory || driveMemory, "kept-deletion");
+          continue;
+        }
+
+        // Re-created after the deletion - the memory wins
+        delete tombstones[profileKey];
+        decide(profileKey, localMemory || driveMemory, "undeleted");
+      }
+
+      if (localMemory && driveMemory && bases[profileKey]) {
+        // Both exist and we know what was last synced - merge per field
+        const result = this.threeWayMerge(
+          bases[profileKey],
+          this.ensureCompleteMemoryData(localMemory),
+          this.convertDriveToLocalFormat(driveMemory)
+        );
+        merged[profileKey] = {
+          ...result.memory,
+          storageKey: localMemory.storageKey || profileKey,
+        };
 
-      if (localMemory && driveMemory) {
-        // Both exist - merge intelligently
+        if (Object.keys(result.conflicts).length > 0) {
+          conflicts[profileKey] = result.conflicts;
+          console.log(
+            `⚠️ Conflicting edits for ${localMemory.name}:`,
+            Object.keys(result.conflicts).join(", ")
+          );
+          decide(
+            profileKey,
+            localMemory,
+            "conflict",
+            Object.keys(result.conflicts)
+          );
+        } else {
+          console.log(`🔀 Merged memory for ${localMemory.name}`);
+          decide(profileKey, localMemory, "merged");
+        }
+      } else if (localMemory && driveMemory) {
+        // Both exist but were never synced together - keep the newest
         const localTime = localMemory.updatedAt || localMemory.createdAt || 0;
         const driveTime = new Date(
           driveMemory.updatedAt || driveMemory.createdAt || 0
@@ -253,155 +1135,348 @@ class LinkedInMemoryBackground {
           // Local is newer - keep local but ensure it has full profile data
           merged[profileKey] = this.ensureCompleteMemoryData(localMemory);
           console.log(`🔄 Keeping newer local memory for ${localMemory.name}`);
+          decide(profileKey, localMemory, "kept-local");
         } else {
           // Drive is newer - restore drive version with proper structure
           merged[profileKey] = this.convertDriveToLocalFormat(
             driveMemory,
-            localMemory
+            localMemory,
+            profileKey
           );
           console.log(`☁️ Keeping newer Drive memory for ${driveMemory.name}`);
+          decide(profileKey, driveMemory, "kept-remote");
         }
       } else if (localMemory) {
         // Only local exists - keep it
         merged[profileKey] = this.ensureCompleteMemoryData(localMemory);
         console.log(`📱 Keeping local-only memory for ${localMemory.name}`);
+        decide(profileKey, localMemory, "local-only");
       } else if (driveMemory) {
         // Only Drive exists - restore it
-        merged[profileKey] = this.convertDriveToLocalFormat(driveMemory);
+        merged[profileKey] = this.convertDriveToLocalFormat(
+          driveMemory,
+          null,
+          profileKey
+        );
         console.log(`☁️ Restoring Drive-only memory for ${driveMemory.name}`);
+        decide(profileKey, driveMemory, "remote-only");
       }
     }
 
-    return merged;
+    return { merged, conflicts, decisions };
   }
 
-  convertDriveToLocalFormat(driveMemory, existingLocal = null) {
-    const cleanUrl = driveMemory.url.split("?")[0].replace(/\/$/, "");
-    const storageKey = `lnms_${btoa(cleanUrl).replace(/[^a-zA-Z0-9]/g, "")}`;
+  threeWayMerge(base, local, drive) {
+    const memory = { ...local };
+    const conflicts = {};
+
+    // Lists (websites, positions) compare by their items; an empty one is
+    // the same as a missing one
+    const comparable = (value) =>
+      JSON.stringify(Array.isArray(value) && value.length === 0 ? "" : value);
+    const same = (value, other) => comparable(value) === comparable(other);
+
+    for (const field of MERGE_CONFIG.fields) {
+      const baseValue = base[field] || "";
+      const localValue = local[field] || "";
+      const driveValue = drive[field] || "";
+
+      if (same(localValue, driveValue) || same(driveValue, baseValue)) {
+        memory[field] = localValue;
+      } else if (same(localValue, baseValue)) {
+        memory[field] = driveValue;
+      } else {
+        // Changed differently on both sides - keep ours until reviewed
+        memory[field] = localValue;
+        conflicts[field] = {
+          base: baseValue,
+          local: localValue,
+          drive: driveValue,
+        };
+      }
+    }
 
-    return {
-      name: driveMemory.name || existingLocal?.name || "LinkedIn User",
-      title:
-        driveMemory.profileData?.title ||
-        driveMemory.title ||
-        existingLocal?.title ||
-        "",
-      company:
-        driveMemory.profileData?.company ||
-        driveMemory.company ||
-        existingLocal?.company ||
-        "",
-      location:
-        driveMemory.profileData?.location ||
-        driveMemory.location ||
-        existingLocal?.location ||
-        "",
-      education:
-        driveMemory.profileData?.education ||
-        driveMemory.education ||
-        existingLocal?.education ||
-        "",
-      bio:
-        driveMemory.profileData?.bio ||
-        driveMemory.bio ||
-        existingLocal?.bio ||
-        "",
-
-      url: driveMemory.url,
-      note: driveMemory.note || "",
-      tags: this.parseTagsFromString(driveMemory.tags || ""),
-      updatedAt: new Date(driveMemory.updatedAt || Date.now()).getTime(),
-      createdAt:
-        existingLocal?.createdAt ||
-        new Date(
-          driveMemory.createdAt || driveMemory.updatedAt || Date.now()
-        ).getTime(),
-      storageKey: storageKey,
-      source: "drive",
-    };
-  }
+    // Job and profile changes are only ever added, so both sides' are kept
+    memory.jobChanges = MemorySchema.normalizeJobChanges([
+      ...(local.jobChanges || []),
+      ...(drive.jobChanges || []),
+    ]);
+    memory.profileChanges = MemorySchema.normalizeProfileChanges([
+      ...(local.profileChanges || []),
+      ...(drive.profileChanges || []),
+    ]);
 
-  ensureCompleteMemoryData(memory) {
-    // Ensure memory has all required fields
-    return {
-      name: memory.name || "LinkedIn User",
-      title: memory.title || "",
-      company: memory.company || "",
-      location: memory.location || "",
-      education: memory.education || "",
-      bio: memory.bio || "",
-      url: memory.url,
-      note: memory.note || "",
-      tags: memory.tags || [],
-      updatedAt: memory.updatedAt || Date.now(),
-      createdAt: memory.createdAt || memory.updatedAt || Date.now(),
-      storageKey: memory.storageKey,
-    };
-  }
+    const customFields = this.mergeCustomFields(
+      base.customFields || {},
+      local.customFields || {},
+      drive.customFields || {}
+    );
+    memory.customFields = customFields.values;
+    Object.assign(conflicts, customFields.conflicts);
+
+    // Bases saved before timelines hold the note instead
+    const baseEntries =
+      base.entries ||
+      MemorySchema.entriesFromNote(base.note, base.tags, local.createdAt);
+    const entries = this.mergeEntries(
+      baseEntries,
+      local.entries || [],
+      drive.entries || []
+    );
+    memory.entries = entries.entries;
+    memory.tags = MemorySchema.collectTags(memory.entries);
+    Object.assign(conflicts, entries.conflicts);
+
+    // Trash state follows whichever side moved it; when both did, a
+    // restore wins so nothing vanishes without the user noticing
+    const baseDeletedAt = base.deletedAt || null;
+    const localDeletedAt = local.deletedAt || null;
+    const driveDeletedAt = drive.deletedAt || null;
+    if (localDeletedAt === baseDeletedAt) {
+      memory.deletedAt = driveDeletedAt;
+    } else if (driveDeletedAt === baseDeletedAt) {
+      memory.deletedAt = localDeletedAt;
+    } else {
+      memory.deletedAt =
+        localDeletedAt && driveDeletedAt
+          ? Math.max(localDeletedAt, driveDeletedAt)
+          : null;
+    }
 
-  async saveMergedMemories(mergedMemories) {
-    console.log(
-      `💾 Saving ${Object.keys(mergedMemories).length} merged memories...`
+    memory.updatedAt = Math.max(local.updatedAt || 0, drive.updatedAt || 0);
+    memory.createdAt = Math.min(
+      local.createdAt || memory.updatedAt,
+      drive.createdAt || memory.updatedAt
     );
 
-    // Prepare local storage updates
-    const localStorageUpdates = {};
-    const driveMemoriesFormatted = {};
+    return { memory, conflicts };
+  }
 
-    for (const [profileKey, memory] of Object.entries(mergedMemories)) {
-      // Save to local storage format
-      localStorageUpdates[memory.storageKey] = {
-        name: memory.name,
-        title: memory.title,
-        company: memory.company,
-        location: memory.location,
-        education: memory.education,
-        bio: memory.bio,
-        url: memory.url,
-        note: memory.note,
-        tags: memory.tags,
-        updatedAt: memory.updatedAt,
-        createdAt: memory.createdAt,
-        storageKey: memory.storageKey,
-      };
+  // Same rules as the built-in fields, one custom field at a time
+  mergeCustomFields(base, local, drive) {
+    const values = {};
+    const conflicts = {};
+    const ids = new Set([...Object.keys(local), ...Object.keys(drive)]);
+
+    for (const id of ids) {
+      const baseValue = base[id] ?? "";
+      const localValue = local[id] ?? "";
+      const driveValue = drive[id] ?? "";
+
+      if (localValue === driveValue || driveValue === baseValue) {
+        values[id] = localValue;
+      } else if (localValue === baseValue) {
+        values[id] = driveValue;
+      } else {
+        values[id] = localValue;
+        conflicts[`${MERGE_CONFIG.customFieldPrefix}${id}`] = {
+          base: baseValue,
+          local: localValue,
+          drive: driveValue,
+        };
+      }
+    }
 
-      // Prepare for Drive storage format
-      driveMemoriesFormatted[profileKey] = {
-        name: memory.name,
-        url: memory.url,
-        note: memory.note,
-        tags: memory.tags.join(", "),
-
-        // ADD THIS - Store complete profile data
-        profileData: {
-          title: memory.title,
-          company: memory.company,
-          location: memory.location,
-          education: memory.education,
-          bio: memory.bio,
-        },
+    return { values: MemorySchema.normalizeCustomFields(values), conflicts };
+  }
+
+  // Timeline entries merge one at a time, by id: an entry added, edited or
+  // removed on one side keeps that change. One edited differently on both
+  // sides is a conflict; one removed on one side but edited on the other
+  // stays, so nothing written is lost.
+  mergeEntries(baseEntries, localEntries, driveEntries) {
+    const byId = (entries) =>
+      new Map(entries.map((entry) => [entry.id, entry]));
+    const baseById = byId(baseEntries);
+    const localById = byId(localEntries);
+    const driveById = byId(driveEntries);
+    const same = (entry, other) =>
+      JSON.stringify(entry || null) === JSON.stringify(other || null);
+
+    const entries = [];
+    const conflicts = {};
+    for (const id of new Set([...localById.keys(), ...driveById.keys()])) {
+      const baseEntry = baseById.get(id);
+      const localEntry = localById.get(id);
+      const driveEntry = driveById.get(id);
+
+      let entry;
+      if (same(localEntry, driveEntry) || same(driveEntry, baseEntry)) {
+        entry = localEntry;
+      } else if (same(localEntry, baseEntry)) {
+        entry = driveEntry;
+      } else {
+        // Changed on both sides - keep ours until reviewed
+        entry = localEntry || driveEntry;
+        if (localEntry && driveEntry && localEntry.text !== driveEntry.text) {
+          conflicts[`${MERGE_CONFIG.entryFieldPrefix}${id}`] = {
+            base: baseEntry?.text || "",
+            local: localEntry.text,
+            drive: driveEntry.text,
+            date: localEntry.date,
+          };
+        }
+      }
+
+      if (entry) entries.push(entry);
+    }
+
+    return { entries: MemorySchema.normalizeEntries(entries), conflicts };
+  }
 
-        // ALSO store at root level for backward compatibility
-        title: memory.title || "",
-        company: memory.company || "",
-        location: memory.location || "",
-        education: memory.education || "",
-        bio: memory.bio || "",
+  convertDriveToLocalFormat(
+    driveMemory,
+    existingLocal = null,
+    storageKey = null
+  ) {
+    const memory = MemorySchema.normalize(driveMemory);
 
-        updatedAt: new Date(memory.updatedAt).toISOString(),
-        createdAt: new Date(memory.createdAt).toISOString(),
-      };
+    // Older synced records may lack profile details this device has
+    MEMORY_PROFILE_FIELDS.forEach((field) => {
+      memory[field] = memory[field] || existingLocal?.[field] || "";
+    });
+
+    return {
+      ...memory,
+      name: driveMemory.name || existingLocal?.name || memory.name,
+      createdAt: existingLocal?.createdAt || memory.createdAt,
+      storageKey:
+        storageKey ||
+        existingLocal?.storageKey ||
+        this.getProfileKeyFromUrl(driveMemory.url),
+      source: "drive",
+    };
+  }
+
+  ensureCompleteMemoryData(memory) {
+    // Ensure memory has all required fields
+    return {
+      ...MemorySchema.normalize(memory),
+      storageKey: memory.storageKey,
+    };
+  }
+
+  async saveMergedMemories(
+    mergedMemories,
+    tombstones = {},
+    {
+      expectedRevision,
+      localSnapshot = {},
+      currentDrivePayload = null,
+      customFields = null,
+    } = {}
+  ) {
+    console.log(
+      `💾 Saving ${Object.keys(mergedMemories).length} merged memories...`
+    );
+
+    const driveMemoriesFormatted = {};
+    for (const [profileKey, memory] of Object.entries(mergedMemories)) {
+      driveMemoriesFormatted[profileKey] = this.formatMemoryForDrive(memory);
+    }
+
+    const drivePayload = {
+      ...driveMemoriesFormatted,
+      [TOMBSTONE_CONFIG.driveKey]: tombstones,
+      [SCHEMA_CONFIG.driveKey]: MEMORY_SCHEMA_VERSION,
+      ...(customFields && { [CUSTOM_FIELDS_CONFIG.driveKey]: customFields }),
+    };
+
+    // Save to Drive first - if another device got there before us nothing
+    // local has changed yet and the whole merge can be retried. Skip the
+    // upload when nothing changed so other devices' incremental syncs don't
+    // see a new main file revision and fall back to a full sync.
+    let revision = expectedRevision;
+    if (
+      !currentDrivePayload ||
+      !this.isSameDrivePayload(drivePayload, currentDrivePayload)
+    ) {
+      revision = await this.saveNotesToDrive(drivePayload, {
+        expectedRevision,
+      });
+      console.log("☁️ Drive storage updated");
+    } else {
+      console.log("☁️ Drive storage already up to date");
+    }
+
+    await this.applyMergedLocally(mergedMemories, tombstones, {
+      localSnapshot,
+    });
+    if (customFields) {
+      // Keeping anything edited here while the sync ran
+      await this.saveCustomFieldSyncState(
+        this.mergeCustomFieldDefinitions(
+          customFields,
+          await this.getCustomFieldSyncState()
+        )
+      );
+    }
+    await this.updateLastBackupTime();
+
+    return revision;
+  }
+
+  isSameDrivePayload(a, b) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => JSON.stringify(a[key]) === JSON.stringify(b[key]))
+    );
+  }
+
+  async applyMergedLocally(
+    mergedMemories,
+    tombstones,
+    { localSnapshot = {}, scopeKeys = null } = {}
+  ) {
+    const localStorageUpdates = {};
+    for (const memory of Object.values(mergedMemories)) {
+      localStorageUpdates[memory.storageKey] =
+        this.formatMemoryForLocal(memory);
+    }
+
+    // Leave alone anything edited locally while the sync was running; it is
+    // already queued and merges cleanly against the new base next time
+    const currentLocal = await this.getAllLocalMemories();
+    const editedDuringSync = (key) =>
+      currentLocal[key] &&
+      (currentLocal[key].updatedAt || 0) > (localSnapshot[key]?.updatedAt || 0);
+
+    Object.keys(localStorageUpdates)
+      .filter(editedDuringSync)
+      .forEach((key) => delete localStorageUpdates[key]);
+
+    // Drop local copies of anything deleted on another device
+    const deletedKeys = Object.keys(currentLocal).filter(
+      (key) =>
+        (!scopeKeys || scopeKeys.includes(key)) &&
+        tombstones[key] &&
+        !mergedMemories[key] &&
+        !editedDuringSync(key)
+    );
+    const store = await this.getMemoryStore();
+    if (deletedKeys.length > 0) {
+      await store.delete(deletedKeys);
+      console.log(`🪦 Removed ${deletedKeys.length} deleted memories locally`);
+    }
+
+    // What both sides agree on now becomes the base for the next merge
+    const bases = scopeKeys ? await this.getSyncBases() : {};
+    deletedKeys.forEach((key) => delete bases[key]);
+    for (const [profileKey, memory] of Object.entries(mergedMemories)) {
+      bases[profileKey] = this.getMergeBase(memory);
     }
 
     // Save to local storage
-    await chrome.storage.local.set(localStorageUpdates);
+    await store.putMany(localStorageUpdates);
+    await chrome.storage.local.set({
+      [TOMBSTONE_CONFIG.storageKey]: tombstones,
+      [MERGE_CONFIG.baseStorageKey]: bases,
+    });
     console.log("✅ Local storage updated");
+  }
 
-    // Save to Drive
-    await this.saveNotesToDrive(driveMemoriesFormatted);
-    console.log("☁️ Drive storage updated");
-
-    // Update last backup time
+  async updateLastBackupTime() {
     const authData = await chrome.storage.local.get("lnms_google_auth");
     await chrome.storage.local.set({
       lnms_google_auth: {
@@ -411,87 +1486,279 @@ class LinkedInMemoryBackground {
     });
   }
 
-  getProfileKeyFromUrl(url) {
-    // Create consistent profile key from URL - MUST match content script logic
-    try {
-      const cleanUrl = url.split("?")[0].replace(/\/$/, "");
-      return `lnms_${btoa(cleanUrl).replace(/[^a-zA-Z0-9]/g, "")}`;
-    } catch (error) {
-      console.error("Error creating profile key:", url, error);
-      return `lnms_${btoa(url.split("?")[0]).replace(/[^a-zA-Z0-9]/g, "")}`;
-    }
+  // Local records and synced records share the canonical shape
+  formatMemoryForLocal(memory) {
+    return MemorySchema.toStored(memory);
   }
 
-  // ===== FIXED Backup Method =====
-  async backupMemoriesToDrive() {
-    try {
-      if (!cachedAuth.token) {
-        const authData = await chrome.storage.local.get("lnms_google_auth");
-        if (authData.lnms_google_auth?.connected) {
-          await this.getAuthToken({ interactive: false });
-        } else {
-          throw new Error("Not authenticated with Google Drive");
+  formatMemoryForDrive(memory) {
+    return MemorySchema.toStored(memory);
+  }
+
+  // ===== Incremental Sync via the Drive Changes Feed =====
+  async runIncrementalSync(dirtyKeys) {
+    const state = await this.getDeltaSyncState();
+    if (
+      !state.pageToken ||
+      state.deltaCount >= DELTA_SYNC_CONFIG.maxDeltaFiles
+    ) {
+      // Never synced fully on this device, or time to compact
+      return null;
+    }
+
+    console.log("⚡ Starting incremental sync...");
+    const deviceId = await this.getDeviceId();
+    const backend = await this.getSyncBackend();
+
+    // What changed in the backend since our last sync
+    const { changes, nextToken } = await backend.listChanges(state.pageToken);
+
+    const remoteDeltaIds = [];
+    for (const change of changes) {
+      if (change.isNotesFile) {
+        // Someone else rewrote the main file - only a full sync catches up
+        if (change.revision !== state.mainRevision) {
+          console.log("☁️ Main notes file changed, falling back to full sync");
+          return null;
         }
+      } else if (
+        !change.removed &&
+        change.name?.startsWith(backend.files.deltaPrefix) &&
+        !change.name.includes(deviceId)
+      ) {
+        remoteDeltaIds.push(change.id);
       }
+    }
 
-      // Get all local memories with complete data
-      const localMemories = await this.getAllLocalMemories();
+    const deltas = await Promise.all(
+      remoteDeltaIds.map((fileId) => this.loadDeltaFile(fileId))
+    );
+    const localMemories = await this.getAllLocalMemories();
+    const bases = await this.getSyncBases();
+
+    // Remote changes, newest delta winning per profile
+    const remoteMemories = {};
+    const remoteTombstones = {};
+    const remoteBases = {};
+    this.foldDeltas(remoteMemories, remoteTombstones, deltas, remoteBases);
+
+    const tombstones = this.mergeTombstones(
+      await this.getLocalTombstones(),
+      remoteTombstones
+    );
 
-      // Convert to Drive format while preserving all data
-      const driveMemoriesFormatted = {};
-
-      for (const [profileKey, memory] of Object.entries(localMemories)) {
-        // Prepare for Drive storage format
-        driveMemoriesFormatted[profileKey] = {
-          name: memory.name,
-          url: memory.url,
-          note: memory.note,
-          tags: memory.tags.join(", "),
-
-          // ADD THIS - Store complete profile data
-          profileData: {
-            title: memory.title,
-            company: memory.company,
-            location: memory.location,
-            education: memory.education,
-            bio: memory.bio,
-          },
+    // Merge remote records against the base the sending device edited from
+    const touchedKeys = [
+      ...new Set([
+        ...Object.keys(remoteMemories),
+        ...Object.keys(remoteTombstones),
+      ]),
+    ];
+    const localSubset = {};
+    touchedKeys
+      .filter((key) => localMemories[key])
+      .forEach((key) => (localSubset[key] = localMemories[key]));
+
+    const { merged, conflicts, decisions } = await this.intelligentMerge(
+      localSubset,
+      remoteMemories,
+      tombstones,
+      { ...bases, ...remoteBases }
+    );
 
-          // ALSO store at root level for backward compatibility
-          title: memory.title || "",
-          company: memory.company || "",
-          location: memory.location || "",
-          education: memory.education || "",
-          bio: memory.bio || "",
+    // Push our queued changes plus anything where our side won a field
+    const pushKeys = new Set(
+      dirtyKeys.filter((key) => !touchedKeys.includes(key))
+    );
+    for (const [profileKey, memory] of Object.entries(merged)) {
+      const remote = remoteMemories[profileKey];
+      const remoteBase = remote
+        ? this.getMergeBase(this.convertDriveToLocalFormat(remote))
+        : null;
+      if (
+        !remoteBase ||
+        JSON.stringify(remoteBase) !== JSON.stringify(this.getMergeBase(memory))
+      ) {
+        pushKeys.add(profileKey);
+      }
+    }
 
-          updatedAt: new Date(memory.updatedAt).toISOString(),
-          createdAt: new Date(memory.createdAt).toISOString(),
-        };
+    const pushMemories = {};
+    const pushTombstones = {};
+    const pushBases = {};
+    for (const profileKey of pushKeys) {
+      const memory = merged[profileKey] || localMemories[profileKey];
+      if (memory) {
+        pushMemories[profileKey] = this.formatMemoryForDrive(
+          this.ensureCompleteMemoryData(memory)
+        );
+        // Receivers merge against what we last agreed on for this profile
+        const remote = remoteMemories[profileKey];
+        const base = remote
+          ? this.getMergeBase(this.convertDriveToLocalFormat(remote))
+          : bases[profileKey];
+        if (base) pushBases[profileKey] = base;
+      } else if (tombstones[profileKey]) {
+        pushTombstones[profileKey] = tombstones[profileKey];
       }
+    }
 
-      console.log(
-        `💾 Backing up ${
-          Object.keys(driveMemoriesFormatted).length
-        } memories to Drive`
+    const pushCount =
+      Object.keys(pushMemories).length + Object.keys(pushTombstones).length;
+    if (pushCount > 0) {
+      await this.createDeltaFile(deviceId, {
+        deviceId,
+        createdAt: Date.now(),
+        memories: pushMemories,
+        tombstones: pushTombstones,
+        bases: pushBases,
+      });
+    }
+
+    // Pushed records are now what everyone agrees on
+    const agreed = { ...merged };
+    for (const profileKey of Object.keys(pushMemories)) {
+      agreed[profileKey] = this.ensureCompleteMemoryData({
+        ...localMemories[profileKey],
+        ...merged[profileKey],
+      });
+    }
+    await this.applyMergedLocally(agreed, tombstones, {
+      localSnapshot: localMemories,
+      scopeKeys: [...new Set([...touchedKeys, ...pushKeys])],
+    });
+    const conflictCount = await this.queueConflicts(conflicts, tombstones);
+    await this.updateLastBackupTime();
+
+    await this.saveDeltaSyncState({
+      ...state,
+      pageToken: nextToken,
+      deltaCount:
+        state.deltaCount + remoteDeltaIds.length + (pushCount > 0 ? 1 : 0),
+    });
+
+    if (touchedKeys.length > 0) {
+      await this.notifyAllLinkedInTabs();
+    }
+
+    console.log(
+      `⚡ Incremental sync: received ${touchedKeys.length}, pushed ${pushCount}`
+    );
+
+    return {
+      localCount: Object.keys(localMemories).length,
+      driveCount: touchedKeys.length,
+      mergedCount: touchedKeys.length + pushCount,
+      pushedCount: pushCount,
+      conflictCount: conflictCount,
+      mode: "incremental",
+      direction:
+        touchedKeys.length > 0 && pushCount > 0
+          ? "both"
+          : touchedKeys.length > 0
+          ? "pull"
+          : pushCount > 0
+          ? "push"
+          : "none",
+      decisions: [
+        ...decisions,
+        ...[...pushKeys]
+          .filter((profileKey) => !touchedKeys.includes(profileKey))
+          .map((profileKey) => ({
+            profileKey,
+            name: localMemories[profileKey]?.name || null,
+            decision: tombstones[profileKey] ? "pushed-deletion" : "pushed",
+          })),
+      ],
+      message: "Incremental sync completed",
+    };
+  }
+
+  foldDeltas(memories, tombstones, deltas, bases = {}) {
+    const sortedDeltas = [...deltas].sort(
+      (a, b) => (a.createdAt || 0) - (b.createdAt || 0)
+    );
+
+    for (const delta of sortedDeltas) {
+      for (const [profileKey, memory] of Object.entries(delta.memories || {})) {
+        const existing = memories[profileKey];
+        if (
+          !existing ||
+          new Date(memory.updatedAt).getTime() >=
+            new Date(existing.updatedAt).getTime()
+        ) {
+          memories[profileKey] = memory;
+          if (delta.bases?.[profileKey]) {
+            bases[profileKey] = delta.bases[profileKey];
+          }
+        }
+      }
+
+      Object.assign(
+        tombstones,
+        this.mergeTombstones(tombstones, delta.tombstones)
       );
+    }
+  }
 
-      await this.saveNotesToDrive(driveMemoriesFormatted);
+  async getDeviceId() {
+    const result = await chrome.storage.local.get(
+      DELTA_SYNC_CONFIG.deviceIdStorageKey
+    );
+    let deviceId = result[DELTA_SYNC_CONFIG.deviceIdStorageKey];
 
-      // Update last backup time
-      const authData = await chrome.storage.local.get("lnms_google_auth");
+    if (!deviceId) {
+      deviceId = crypto.randomUUID();
       await chrome.storage.local.set({
-        lnms_google_auth: {
-          ...authData.lnms_google_auth,
-          lastBackup: Date.now(),
-        },
+        [DELTA_SYNC_CONFIG.deviceIdStorageKey]: deviceId,
+      });
+    }
+
+    return deviceId;
+  }
+
+  async getDeltaSyncState() {
+    const result = await chrome.storage.local.get(
+      DELTA_SYNC_CONFIG.stateStorageKey
+    );
+    return {
+      pageToken: null,
+      mainRevision: null,
+      deltaCount: 0,
+      ...result[DELTA_SYNC_CONFIG.stateStorageKey],
+    };
+  }
+
+  async saveDeltaSyncState(state) {
+    await chrome.storage.local.set({
+      [DELTA_SYNC_CONFIG.stateStorageKey]: state,
+    });
+  }
+
+  getProfileKeyFromUrl(url) {
+    // Shared with the content script and popup, so every side agrees
+    return ProfileIdentity.getStorageKey(url);
+  }
+
+  // ===== FIXED Backup Method =====
+  async backupMemoriesToDrive() {
+    try {
+      if (!(await this.isGoogleDriveConnected())) {
+        throw new Error("Not connected to a sync backend");
+      }
+
+      // Merge before uploading so a backup never overwrites changes another
+      // device has already pushed to Drive
+      const syncResult = await this.performIntelligentSync({
+        trigger: "backup",
       });
 
+      console.log(`💾 Backed up ${syncResult.mergedCount} memories`);
+
       return {
         success: true,
-        message: `Backed up ${
-          Object.keys(driveMemoriesFormatted).length
-        } memories`,
-        memoriesBackedUp: Object.keys(driveMemoriesFormatted).length,
+        message: `Backed up ${syncResult.mergedCount} memories`,
+        memoriesBackedUp: syncResult.mergedCount,
       };
     } catch (error) {
       console.error("❌ Backup failed:", error);
@@ -502,121 +1769,42 @@ class LinkedInMemoryBackground {
   // ===== FIXED Restore Method =====
   async restoreMemoriesFromDrive() {
     try {
-      if (!cachedAuth.token) {
-        throw new Error("Not authenticated with Google Drive");
-      }
-
-      // Load notes from Drive
-      const driveNotes = await this.loadNotesFromDrive();
-      console.log(
-        `📥 Found ${Object.keys(driveNotes).length} memories in Drive`
-      );
-
-      if (Object.keys(driveNotes).length === 0) {
-        return {
-          success: true,
-          message: "No memories found in Google Drive",
-          restored: 0,
-        };
+      if (!(await this.isGoogleDriveConnected())) {
+        throw new Error("Not connected to a sync backend");
       }
 
-      // Get current local memories for intelligent merge
-      const localMemories = await this.getAllLocalMemories();
-
-      let restored = 0;
-      const memoriesToSave = {};
-      const updatedUrls = []; // Track which profiles were updated
-
-      // Process each Drive memory
-      for (const [profileKey, driveMemory] of Object.entries(driveNotes)) {
-        try {
-          const cleanUrl = driveMemory.url.split("?")[0];
-          const storageKey = `lnms_${btoa(cleanUrl).replace(
-            /[^a-zA-Z0-9]/g,
-            ""
-          )}`;
-
-          const existingLocal = localMemories[profileKey];
-          const driveTime = new Date(driveMemory.updatedAt).getTime();
-          const localTime = existingLocal
-            ? existingLocal.updatedAt || existingLocal.createdAt || 0
-            : 0;
-
-          // Only restore if Drive version is newer OR if no local version exists
-          const shouldRestore = !existingLocal || driveTime > localTime;
-
-          if (shouldRestore) {
-            const restoredMemory = {
-              // Use stored profile data from Drive, fallback to existing local data
-              name: driveMemory.name || existingLocal?.name || "LinkedIn User",
-              title:
-                driveMemory.profileData?.title || existingLocal?.title || "",
-              company:
-                driveMemory.profileData?.company ||
-                existingLocal?.company ||
-                "",
-              location:
-                driveMemory.profileData?.location ||
-                existingLocal?.location ||
-                "",
-              education:
-                driveMemory.profileData?.education ||
-                existingLocal?.education ||
-                "",
-              bio: driveMemory.profileData?.bio || existingLocal?.bio || "",
-
-              // Drive data for notes and tags
-              url: driveMemory.url,
-              note: driveMemory.note || "",
-              tags: this.parseTagsFromString(driveMemory.tags || ""),
-
-              // Timestamps
-              updatedAt: driveTime,
-              createdAt:
-                existingLocal?.createdAt ||
-                new Date(
-                  driveMemory.createdAt || driveMemory.updatedAt
-                ).getTime(),
-
-              // Storage metadata
-              storageKey: storageKey,
-            };
-
-            memoriesToSave[storageKey] = restoredMemory;
-            updatedUrls.push(cleanUrl);
-            restored++;
-
-            console.log(
-              `📥 Restoring: ${restoredMemory.name} (${
-                driveTime > localTime ? "newer" : "new"
-              })`
-            );
-          }
-        } catch (error) {
-          console.warn("Skipping invalid memory from Drive:", error);
-        }
-      }
+      // Pull through the regular merge so delta files, deletions and the
+      // sync bases are all honored, then report what changed locally
+      const before = await this.getAllLocalMemories();
+      await this.performIntelligentSync({ trigger: "restore" });
+      const after = await this.getAllLocalMemories();
 
-      // Save all restored memories at once
-      if (Object.keys(memoriesToSave).length > 0) {
-        await chrome.storage.local.set(memoriesToSave);
+      const updatedUrls = Object.entries(after)
+        .filter(
+          ([storageKey, memory]) =>
+            before[storageKey]?.updatedAt !== memory.updatedAt
+        )
+        .map(([, memory]) => memory.url);
+      const restored = updatedUrls.length;
 
-        // Notify LinkedIn tabs about updates
-        await this.notifyLinkedInTabsAboutUpdates(updatedUrls);
-      }
+      console.log(`📥 Restored ${restored} memories from the sync backend`);
 
       return {
         success: true,
         message:
           restored > 0
-            ? `Restored ${restored} memories from Google Drive`
+            ? `Restored ${restored} memories`
             : "All memories are up to date",
         restored: restored,
         updatedUrls: updatedUrls,
       };
     } catch (error) {
       console.error("❌ Restore failed:", error);
-      return { success: false, error: error.message };
+      return {
+        success: false,
+        error: error.message,
+        locked: error instanceof EncryptionLockedError,
+      };
     }
   }
 
@@ -644,14 +1832,15 @@ class LinkedInMemoryBackground {
 
   async notifyLinkedInTabsAboutUpdates(updatedUrls) {
     try {
-      const tabs = await chrome.tabs.query({ url: "*://linkedin.com/in/*" });
+      const tabs = await chrome.tabs.query({
+        url: ["*://linkedin.com/in/*", "*://*.linkedin.com/in/*"],
+      });
 
       for (const tab of tabs) {
         try {
-          const tabUrl = tab.url.split("?")[0];
-          const isAffectedProfile = updatedUrls.some(
-            (url) =>
-              tabUrl.includes(url) || url.includes(tabUrl.split("/in/")[1])
+          const tabUrl = ProfileIdentity.canonicalUrl(tab.url);
+          const isAffectedProfile = updatedUrls.some((url) =>
+            ProfileIdentity.isSameProfile(url, tabUrl)
           );
 
           if (isAffectedProfile) {
@@ -670,178 +1859,76 @@ class LinkedInMemoryBackground {
     }
   }
 
-  // ===== Auth Helper Methods =====
-  async getAuthToken({ interactive = false } = {}) {
-    return new Promise((resolve, reject) => {
-      chrome.identity.getAuthToken({ interactive }, (token) => {
-        if (chrome.runtime.lastError) {
-          return reject(new Error(chrome.runtime.lastError.message));
-        }
-
-        if (!token) {
-          return reject(new Error("No token returned"));
-        }
-
-        if (cachedAuth.token && cachedAuth.token !== token) {
-          chrome.identity.removeCachedAuthToken(
-            { token: cachedAuth.token },
-            () => {}
-          );
-        }
-
-        cachedAuth.token = token;
-        resolve(token);
-      });
-    });
-  }
-
-  async getUserInfo(token) {
-    const response = await fetch(GOOGLE_DRIVE_CONFIG.userinfoEndpoint, {
-      headers: {
-        Authorization: `Bearer ${token}`,
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(
-        `Failed to get user info: ${response.status} ${response.statusText}`
+  // ===== Sync Backend =====
+  async getSyncBackend() {
+    if (!this.syncBackend) {
+      const result = await chrome.storage.local.get(
+        SYNC_BACKEND_CONFIG.settingsStorageKey
       );
-    }
-
-    return await response.json();
-  }
-
-  async driveApi(method, url, { params = {}, headers = {}, body } = {}) {
-    const token =
-      cachedAuth.token || (await this.getAuthToken({ interactive: false }));
-    const qs = new URLSearchParams(params).toString();
-    const fullUrl = qs ? `${url}?${qs}` : url;
-
-    const response = await fetch(fullUrl, {
-      method,
-      headers: {
-        Authorization: `Bearer ${token}`,
-        ...headers,
-      },
-      body,
-    });
-
-    if (!response.ok) {
-      const text = await response.text();
-      throw new Error(
-        `Drive API ${method} ${url} failed: ${response.status} ${text}`
+      this.syncBackend = createSyncBackend(
+        result[SYNC_BACKEND_CONFIG.settingsStorageKey]
       );
     }
 
-    return response;
+    return this.syncBackend;
   }
 
-  // ===== Drive File Operations =====
-  async findNotesFileId() {
-    if (cachedAuth.notesFileId) return cachedAuth.notesFileId;
-
-    const response = await this.driveApi(
-      "GET",
-      GOOGLE_DRIVE_CONFIG.driveFilesEndpoint,
-      {
-        params: {
-          spaces: "appDataFolder",
-          q: `name='${GOOGLE_DRIVE_CONFIG.fileName}' and 'appDataFolder' in parents`,
-          fields: "files(id, name)",
-        },
-      }
+  async createDeltaFile(deviceId, delta) {
+    const backend = await this.getSyncBackend();
+    return await backend.createSideFile(
+      `${backend.files.deltaPrefix}${deviceId}-${Date.now()}.json`,
+      await this.encryptDrivePayload({
+        ...delta,
+        schemaVersion: MEMORY_SCHEMA_VERSION,
+      })
     );
-
-    const data = await response.json();
-    if (data.files && data.files.length > 0) {
-      cachedAuth.notesFileId = data.files[0].id;
-      return cachedAuth.notesFileId;
-    }
-
-    return null;
   }
 
-  async createNotesFile() {
-    const metadata = {
-      name: GOOGLE_DRIVE_CONFIG.fileName,
-      parents: ["appDataFolder"],
-    };
-
-    const boundary = "-------314159265358979323846";
-    const delimiter = `\r\n--${boundary}\r\n`;
-    const closeDelim = `\r\n--${boundary}--`;
-
-    const body =
-      delimiter +
-      "Content-Type: application/json; charset=UTF-8\r\n\r\n" +
-      JSON.stringify(metadata) +
-      delimiter +
-      "Content-Type: application/json; charset=UTF-8\r\n\r\n" +
-      JSON.stringify({}) +
-      closeDelim;
-
-    const response = await this.driveApi(
-      "POST",
-      GOOGLE_DRIVE_CONFIG.driveUploadEndpoint,
-      {
-        params: { uploadType: "multipart" },
-        headers: { "Content-Type": `multipart/related; boundary=${boundary}` },
-        body,
-      }
+  async loadDeltaFile(id) {
+    const backend = await this.getSyncBackend();
+    const delta = await this.decryptDrivePayload(
+      await backend.loadSideFile(id)
     );
-
-    const data = await response.json();
-    cachedAuth.notesFileId = data.id;
-    return data.id;
-  }
-
-  async ensureNotesFile() {
-    const id = await this.findNotesFileId();
-    if (id) return id;
-    return await this.createNotesFile();
+    this.checkSyncedSchemaVersion(delta.schemaVersion);
+    return { ...delta, memories: this.normalizeSyncedMemories(delta.memories) };
   }
 
   async loadNotesFromDrive() {
     try {
-      const fileId = await this.ensureNotesFile();
-      const response = await this.driveApi(
-        "GET",
-        `${GOOGLE_DRIVE_CONFIG.driveFilesEndpoint}/${fileId}`,
-        {
-          params: { alt: "media" },
-        }
-      );
-
-      const text = await response.text();
-      return text ? JSON.parse(text) : {};
+      const { notes } = await this.loadNotesWithRevision();
+      return notes;
     } catch (error) {
+      if (error instanceof EncryptionLockedError) {
+        throw error;
+      }
       console.warn("Error loading from Drive (might be empty):", error);
       return {};
     }
   }
 
-  async saveNotesToDrive(notesObj) {
-    const fileId = await this.ensureNotesFile();
-    const body = new Blob([JSON.stringify(notesObj, null, 2)], {
-      type: "application/json",
-    });
+  async loadNotesWithRevision() {
+    const backend = await this.getSyncBackend();
+    const { payload, revision } = await backend.loadNotes();
+    return {
+      notes: await this.decryptDrivePayload(payload),
+      revision,
+      encryptedWith: payload[ENCRYPTION_CONFIG.driveKey]?.salt || null,
+    };
+  }
 
-    await this.driveApi(
-      "PATCH",
-      `${GOOGLE_DRIVE_CONFIG.driveUploadEndpoint}/${fileId}`,
-      {
-        params: { uploadType: "media" },
-        headers: { "Content-Type": "application/json" },
-        body,
-      }
-    );
+  async saveNotesToDrive(notesObj, { expectedRevision } = {}) {
+    const backend = await this.getSyncBackend();
+    const payload = await this.encryptDrivePayload(notesObj);
+    return await backend.saveNotes(payload, { expectedRevision });
   }
 
   // ===== FIXED Sync Method =====
   async syncWithGoogleDrive() {
     try {
       // Perform intelligent sync
-      const syncResult = await this.performIntelligentSync();
+      const syncResult = await this.performIntelligentSync({
+        trigger: "manual",
+      });
 
       return {
         success: true,
@@ -859,31 +1946,15 @@ class LinkedInMemoryBackground {
     try {
       console.log("🔌 Starting disconnect process...");
 
-      if (cachedAuth.token) {
-        try {
-          await fetch(
-            `https://oauth2.googleapis.com/revoke?token=${cachedAuth.token}`,
-            {
-              method: "POST",
-              headers: { "Content-type": "application/x-www-form-urlencoded" },
-            }
-          );
-        } catch (e) {
-          console.log("Token revocation network error (ignored):", e.message);
-        }
-
-        await new Promise((resolve) => {
-          chrome.identity.clearAllCachedAuthTokens(() => resolve());
-        });
-      }
-
+      const backend = await this.getSyncBackend();
+      await backend.disconnect();
       await this.clearAuthState();
 
-      console.log("✅ Successfully disconnected from Google Drive");
+      console.log(`✅ Successfully disconnected from ${backend.label}`);
 
       return {
         success: true,
-        message: "Disconnected from Google Drive",
+        message: `Disconnected from ${backend.label}`,
       };
     } catch (error) {
       console.error("❌ Disconnect failed:", error);
@@ -896,92 +1967,1846 @@ class LinkedInMemoryBackground {
       const authData = await chrome.storage.local.get("lnms_google_auth");
 
       if (authData.lnms_google_auth?.connected) {
-        try {
-          await this.getAuthToken({ interactive: false });
+        const backend = await this.getSyncBackend();
+        if (await backend.checkConnection()) {
           return {
             connected: true,
+            backend: backend.type,
+            backendLabel: backend.label,
             userInfo: authData.lnms_google_auth.userInfo,
             connectedAt: authData.lnms_google_auth.connectedAt,
             lastBackup: authData.lnms_google_auth.lastBackup,
           };
-        } catch (error) {
-          await this.clearAuthState();
-          return { connected: false };
         }
+
+        await this.clearAuthState();
       }
 
       return { connected: false };
     } catch (error) {
-      console.error("Error checking Google Drive status:", error);
+      console.error("Error checking sync backend status:", error);
       return { connected: false };
     }
   }
 
   async clearAuthState() {
-    cachedAuth = { token: null, email: null, notesFileId: null, lastLoaded: 0 };
-    await chrome.storage.local.remove("lnms_google_auth");
-  }
+    this.syncBackend = null;
+    await chrome.storage.local.remove([
+      "lnms_google_auth",
+      SYNC_BACKEND_CONFIG.settingsStorageKey,
+      DELTA_SYNC_CONFIG.stateStorageKey,
+    ]);
+    await this.clearSyncQueue();
 
-  // ===== IMPROVED Memory Change Handling =====
-  async handleMemoryChange(message, sender) {
-    // Auto-sync to Google Drive if connected (with debouncing)
-    if (await this.isGoogleDriveConnected()) {
-      console.log("🔄 Auto-syncing after memory change...");
-      clearTimeout(this.autoSyncTimeout);
-      this.autoSyncTimeout = setTimeout(() => {
-        this.backupMemoriesToDrive();
-      }, 2000);
-    }
+    const account = await this.getActiveAccount();
+    await this.updateAccount(account.id, { email: null });
+  }
 
-    // Update badge for affected tabs
-    if (message.url) {
-      const tabs = await chrome.tabs.query({ url: "*://linkedin.com/in/*" });
-      for (const tab of tabs) {
-        if (tab.url && tab.url.startsWith(message.url.split("?")[0])) {
-          await this.updateBadgeForTab(tab.id, tab.url);
-        }
+  // ===== Accounts =====
+  async getAccounts() {
+    const result = await chrome.storage.local.get(ACCOUNTS_CONFIG.storageKey);
+
+    // Before a second account is added everything belongs to the default one
+    return (
+      result[ACCOUNTS_CONFIG.storageKey] || {
+        activeAccountId: ACCOUNTS_CONFIG.defaultAccountId,
+        accounts: {
+          [ACCOUNTS_CONFIG.defaultAccountId]: {
+            id: ACCOUNTS_CONFIG.defaultAccountId,
+            label: "Default",
+            namespace: null,
+            email: null,
+            createdAt: null,
+          },
+        },
       }
-    }
+    );
   }
 
-  async isGoogleDriveConnected() {
-    try {
-      const authData = await chrome.storage.local.get("lnms_google_auth");
-      return !!(authData.lnms_google_auth?.connected && cachedAuth.token);
-    } catch (error) {
-      return false;
-    }
+  async saveAccounts(registry) {
+    await chrome.storage.local.set({ [ACCOUNTS_CONFIG.storageKey]: registry });
   }
 
-  // ===== Utility Methods =====
-  parseTagsFromString(tagsString) {
-    if (!tagsString) return [];
-
-    // Handle both comma-separated and space-separated tags
-    if (tagsString.includes(",")) {
-      return tagsString
-        .split(",")
-        .map((tag) => tag.trim())
-        .filter((tag) => tag);
+  async getActiveAccount() {
+    const registry = await this.getAccounts();
+    return registry.accounts[registry.activeAccountId];
+  }
+
+  async updateAccount(accountId, changes) {
+    const registry = await this.getAccounts();
+    if (!registry.accounts[accountId]) return;
+
+    registry.accounts[accountId] = {
+      ...registry.accounts[accountId],
+      ...changes,
+    };
+    await this.saveAccounts(registry);
+  }
+
+  async addAccount(label) {
+    const trimmedLabel = (label || "").trim();
+    if (!trimmedLabel) {
+      throw new Error("Give the account a name, like Work or Personal");
+    }
+
+    // The namespace names the account's sync files, so adding an account
+    // with the same name on another device finds the same backup
+    const namespace =
+      trimmedLabel
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "") || "account";
+
+    const registry = await this.getAccounts();
+    const taken = Object.values(registry.accounts).some(
+      (account) =>
+        account.namespace === namespace ||
+        account.label.toLowerCase() === trimmedLabel.toLowerCase()
+    );
+    if (taken || namespace === ACCOUNTS_CONFIG.defaultAccountId) {
+      throw new Error(`There is already an account called ${trimmedLabel}`);
+    }
+
+    registry.accounts[namespace] = {
+      id: namespace,
+      label: trimmedLabel,
+      namespace,
+      email: null,
+      createdAt: Date.now(),
+    };
+    await this.saveAccounts(registry);
+    console.log(`👥 Added account ${trimmedLabel}`);
+
+    return await this.switchAccount(namespace);
+  }
+
+  // Memories are not parked: each account has its own memory database
+  isAccountScopedKey(key) {
+    return ACCOUNTS_CONFIG.scopedStorageKeys.includes(key);
+  }
+
+  // Callers run this through runSyncOperation
+  async switchAccount(accountId) {
+    const registry = await this.getAccounts();
+    const target = registry.accounts[accountId];
+    if (!target) {
+      throw new Error("Unknown account");
+    }
+    if (registry.activeAccountId === accountId) {
+      return target;
+    }
+
+    const targetParkedKey = `${ACCOUNTS_CONFIG.parkedDataPrefix}${accountId}`;
+    const allData = await chrome.storage.local.get([
+      ...ACCOUNTS_CONFIG.scopedStorageKeys,
+      targetParkedKey,
+    ]);
+    const activeData = {};
+    Object.keys(allData)
+      .filter((key) => this.isAccountScopedKey(key))
+      .forEach((key) => (activeData[key] = allData[key]));
+
+    const targetData = allData[targetParkedKey] || {};
+
+    // The other account's queued changes wait until it is active again
+    await chrome.alarms.clear(SYNC_QUEUE_CONFIG.alarmName);
+
+    // Park the current account and bring in the other one in a single write,
+    // so an interrupted switch never loses either; leftovers are removed after
+    await chrome.storage.local.set({
+      [`${ACCOUNTS_CONFIG.parkedDataPrefix}${registry.activeAccountId}`]:
+        activeData,
+      ...targetData,
+      [ACCOUNTS_CONFIG.storageKey]: { ...registry, activeAccountId: accountId },
+    });
+    await chrome.storage.local.remove([
+      targetParkedKey,
+      ...Object.keys(activeData).filter((key) => !(key in targetData)),
+    ]);
+
+    this.syncBackend = null;
+    this.memoryStore?.close();
+    this.memoryStore = new MemoryStore(accountId);
+    console.log(`👥 Switched to account ${target.label}`);
+
+    await this.resumeSyncQueue();
+    await this.notifyTabsAboutAccountSwitch();
+
+    return target;
+  }
+
+  async removeAccount(accountId) {
+    const registry = await this.getAccounts();
+    if (!registry.accounts[accountId]) {
+      throw new Error("Unknown account");
+    }
+    if (registry.activeAccountId === accountId) {
+      throw new Error("Switch to another account before removing this one");
+    }
+
+    // Only this device's copy goes; the account's sync files are untouched
+    delete registry.accounts[accountId];
+    await this.saveAccounts(registry);
+    await chrome.storage.local.remove(
+      `${ACCOUNTS_CONFIG.parkedDataPrefix}${accountId}`
+    );
+    await MemoryStore.deleteDatabase(accountId);
+    console.log(`👥 Removed account ${accountId}`);
+  }
+
+  async notifyTabsAboutAccountSwitch() {
+    const tabs = await chrome.tabs.query({
+      url: ["*://linkedin.com/*", "*://www.linkedin.com/*"],
+    });
+
+    for (const tab of tabs) {
+      try {
+        await chrome.tabs.sendMessage(tab.id, { type: "accountSwitched" });
+        await this.updateBadgeForTab(tab.id, tab.url);
+      } catch (error) {
+        // Tab might not have content script loaded, ignore
+      }
+    }
+  }
+
+  // ===== Memory Storage =====
+  // The content script runs in the page's origin and can't open the
+  // extension's IndexedDB, so its reads and writes come through here
+  async saveMemory(storageKey, memory) {
+    const store = await this.getMemoryStore();
+
+    // A fresh record written over a trashed one would wipe the timeline the
+    // trash is keeping, and sync would spread that; restore it first
+    const stored = await store.get(storageKey);
+    if (stored?.deletedAt && !memory.deletedAt) {
+      throw new Error("This memory is in the trash - restore it to edit it");
+    }
+
+    await store.put(storageKey, memory);
+  }
+
+  // Looks a profile up by key, falling back to the member URN so the
+  // memory follows someone who changed their vanity URL. A trashed memory
+  // is returned too, with its deletedAt, so the card can offer to restore it.
+  async getMemory(storageKey, { url, memberUrn } = {}) {
+    const store = await this.getMemoryStore();
+    const memory = await store.get(storageKey);
+    if (memory) return memory;
+    if (!memberUrn || !url) return null;
+
+    const [previous] = await store.findByMemberUrn(memberUrn);
+    if (!previous) return null;
+
+    const { storageKey: previousKey, ...record } = previous;
+    const moved = MemorySchema.toStored({
+      ...record,
+      url: ProfileIdentity.canonicalUrl(url),
+      updatedAt: Date.now(),
+    });
+    await store.move(previousKey, storageKey, moved);
+    await this.recordTombstone(previousKey);
+    console.log(`🪪 ${moved.name} has a new profile URL, memory moved`);
+
+    if (await this.isGoogleDriveConnected()) {
+      await this.enqueueSyncChange(previousKey, "delete");
+      await this.enqueueSyncChange(storageKey, "update");
+    }
+
+    return { ...moved, storageKey };
+  }
+
+  // Everyone saved, by name, for picking who made an introduction
+  async getContactNames() {
+    const store = await this.getMemoryStore();
+    return (await store.getRecent())
+      .map(({ storageKey, name }) => ({ storageKey, name }))
+      .sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+  }
+
+  // ===== Change Alerts =====
+  // One notification per visit that noticed changes; a job change says so
+  // in the title, since that's the one worth acting on
+  async notifyProfileChanges({ url, name, events = [] }) {
+    if (!url || events.length === 0) return;
+
+    const jobChange = events.find((event) => event.type === "job");
+    const fieldLabels = {
+      title: "Title",
+      company: "Company",
+      location: "Location",
+      education: "Education",
+    };
+    const lines = events.map((event) =>
+      event.type === "job"
+        ? `Moved from ${
+            MemorySchema.describePosition(event.from) || "an unknown position"
+          } to ${MemorySchema.describePosition(event.to)}`
+        : `${fieldLabels[event.field] || event.field}: ${event.from} → ${
+            event.to
+          }`
+    );
+
+    chrome.notifications.create(
+      `${CHANGE_ALERT_CONFIG.notificationPrefix}${url}`,
+      {
+        type: "basic",
+        iconUrl: chrome.runtime.getURL(CHANGE_ALERT_CONFIG.iconPath),
+        title: jobChange
+          ? `💼 ${name} changed jobs`
+          : `🔄 ${name} updated their profile`,
+        message: lines.join("\n"),
+        priority: 1,
+      }
+    );
+    console.log("🔔 Change alert for", name);
+  }
+
+  handleNotificationClick(notificationId) {
+    const prefix = [
+      CHANGE_ALERT_CONFIG.notificationPrefix,
+      FOLLOW_UP_CONFIG.notificationPrefix,
+    ].find((candidate) => notificationId.startsWith(candidate));
+    if (!prefix) return;
+
+    chrome.tabs.create({ url: notificationId.slice(prefix.length) });
+    chrome.notifications.clear(notificationId);
+  }
+
+  // ===== Follow-ups =====
+  // Reminds of every follow-up that is due and not yet announced here, in
+  // every account, then sets the alarm for the next one. Dates set or
+  // cleared on another device arrive with the memory.
+  async checkFollowUps() {
+    const now = Date.now();
+    const registry = await this.getAccounts();
+    const result = await chrome.storage.local.get(
+      FOLLOW_UP_CONFIG.notifiedStorageKey
+    );
+    const notified = result[FOLLOW_UP_CONFIG.notifiedStorageKey] || {};
+
+    // Only what is still pending is worth remembering
+    const stillNotified = {};
+    let nextRemindAt = null;
+    let dueCount = 0;
+    for (const account of Object.values(registry.accounts)) {
+      const store = new MemoryStore(account.id);
+      const memories = Object.entries(await store.getAll())
+        .map(([storageKey, memory]) => ({ ...memory, storageKey }))
+        .filter((memory) => !memory.deletedAt && memory.followUpOn);
+      store.close();
+
+      const announced = notified[account.id] || {};
+      stillNotified[account.id] = {};
+      for (const memory of memories) {
+        const remindAt = new Date(memory.followUpOn).setHours(
+          FOLLOW_UP_CONFIG.reminderHour,
+          0,
+          0,
+          0
+        );
+
+        if (announced[memory.storageKey] !== memory.followUpOn) {
+          if (remindAt > now) {
+            nextRemindAt = Math.min(nextRemindAt ?? Infinity, remindAt);
+            continue;
+          }
+          this.notifyFollowUp(
+            memory,
+            Object.keys(registry.accounts).length > 1 ? account.label : null
+          );
+          dueCount++;
+        }
+        stillNotified[account.id][memory.storageKey] = memory.followUpOn;
+      }
+    }
+
+    await chrome.storage.local.set({
+      [FOLLOW_UP_CONFIG.notifiedStorageKey]: stillNotified,
+    });
+    if (nextRemindAt) {
+      chrome.alarms.create(FOLLOW_UP_CONFIG.checkAlarmName, {
+        when: nextRemindAt,
+      });
+    } else {
+      chrome.alarms.clear(FOLLOW_UP_CONFIG.checkAlarmName);
+    }
+
+    return dueCount;
+  }
+
+  // accountLabel says whose contact it is, when there is more than one
+  notifyFollowUp(memory, accountLabel = null) {
+    const day = new Date(memory.followUpOn).toLocaleDateString();
+    chrome.notifications.create(
+      `${FOLLOW_UP_CONFIG.notificationPrefix}${memory.url}`,
+      {
+        type: "basic",
+        iconUrl: chrome.runtime.getURL(CHANGE_ALERT_CONFIG.iconPath),
+        title: `⏰ Follow up with ${memory.name}`,
+        message: memory.followUpNote || `You planned to get in touch on ${day}`,
+        ...(accountLabel && { contextMessage: accountLabel }),
+        priority: 2,
+      }
+    );
+    console.log("⏰ Follow-up reminder for", memory.name);
+  }
+
+  // ===== Custom Fields =====
+  // Defined per account and synced along with its memories
+  async getCustomFieldDefinitions() {
+    return (await this.getCustomFieldSyncState()).definitions;
+  }
+
+  async getCustomFieldSyncState() {
+    const result = await chrome.storage.local.get(
+      CUSTOM_FIELDS_CONFIG.storageKey
+    );
+    const state = result[CUSTOM_FIELDS_CONFIG.storageKey];
+    return {
+      definitions: (state?.definitions || []).map((definition) =>
+        MemorySchema.normalizeFieldDefinition(definition)
+      ),
+      removed: { ...state?.removed },
+    };
+  }
+
+  async saveCustomFieldSyncState({ definitions, removed }) {
+    await chrome.storage.local.set({
+      [CUSTOM_FIELDS_CONFIG.storageKey]: { definitions, removed },
+    });
+  }
+
+  // The newest version of each definition, in the order first seen. A
+  // removal wins over versions older than it; a later one brings it back.
+  mergeCustomFieldDefinitions(...sources) {
+    const removed = this.mergeTombstones(
+      ...sources.map((source) => source?.removed)
+    );
+    const byId = new Map();
+    sources
+      .flatMap((source) => source?.definitions || [])
+      .map((definition) => MemorySchema.normalizeFieldDefinition(definition))
+      .forEach((field) => {
+        const kept = byId.get(field.id);
+        if (!kept || kept.updatedAt < field.updatedAt) {
+          byId.set(field.id, field);
+        }
+      });
+
+    const definitions = [...byId.values()].filter(
+      (field) => !(removed[field.id] >= field.updatedAt)
+    );
+    definitions.forEach((field) => delete removed[field.id]);
+    return { definitions, removed };
+  }
+
+  async saveCustomFieldDefinitions(definitions) {
+    const fields = (definitions || []).map((definition) =>
+      MemorySchema.normalizeFieldDefinition(definition)
+    );
+
+    const ids = new Set();
+    for (const field of fields) {
+      if (!field.label || !field.id) {
+        throw new Error("Every custom field needs a name");
+      }
+      if (ids.has(field.id)) {
+        throw new Error(`There is already a field called "${field.label}"`);
+      }
+      if (field.type === "select" && field.options.length === 0) {
+        throw new Error(`"${field.label}" needs at least one option`);
+      }
+      ids.add(field.id);
+    }
+
+    // Date what changed and what went, for the next sync to merge
+    const { definitions: previous, removed } =
+      await this.getCustomFieldSyncState();
+    const now = Date.now();
+    const stamped = fields.map((field) => {
+      const before = previous.find((candidate) => candidate.id === field.id);
+      delete removed[field.id];
+      return {
+        ...field,
+        updatedAt:
+          before && this.isSameFieldDefinition(before, field)
+            ? before.updatedAt
+            : now,
+      };
+    });
+    previous
+      .filter((field) => !ids.has(field.id))
+      .forEach((field) => (removed[field.id] = now));
+    await this.saveCustomFieldSyncState({ definitions: stamped, removed });
+
+    // Definitions travel in the main notes file, so a full sync
+    if (await this.isGoogleDriveConnected()) {
+      await this.enqueueSyncChange(null, "update");
+    }
+    return stamped;
+  }
+
+  isSameFieldDefinition(a, b) {
+    return (
+      a.label === b.label &&
+      a.type === b.type &&
+      JSON.stringify(a.options) === JSON.stringify(b.options)
+    );
+  }
+
+  // Leave a tombstone so the deletion reaches other devices
+  async recordTombstone(storageKeys) {
+    const tombstones = await this.getLocalTombstones();
+    const now = Date.now();
+    [].concat(storageKeys).forEach((key) => (tombstones[key] = now));
+    await chrome.storage.local.set({
+      [TOMBSTONE_CONFIG.storageKey]: tombstones,
+    });
+  }
+
+  // ===== IMPROVED Memory Change Handling =====
+  async handleMemoryChange(message, sender) {
+    const profileKey =
+      message.storageKey ||
+      (message.url ? this.getProfileKeyFromUrl(message.url) : null);
+
+    // A follow-up set for a day that has already come is announced now
+    if (profileKey) {
+      const store = await this.getMemoryStore();
+      if ((await store.get(profileKey))?.followUpOn) {
+        this.checkFollowUps();
+      }
+    }
+
+    // Queue the change for the sync backend if connected
+    if (await this.isGoogleDriveConnected()) {
+      console.log("🔄 Queueing memory change for sync:", profileKey);
+      await this.enqueueSyncChange(
+        profileKey,
+        message.type === "memoryDeleted" ? "delete" : "update"
+      );
+    }
+
+    // Update badge for affected tabs
+    if (message.url) {
+      const tabs = await chrome.tabs.query({
+        url: ["*://linkedin.com/in/*", "*://*.linkedin.com/in/*"],
+      });
+      for (const tab of tabs) {
+        if (ProfileIdentity.isSameProfile(tab.url, message.url)) {
+          await this.updateBadgeForTab(tab.id, tab.url);
+        }
+      }
+    }
+  }
+
+  async isGoogleDriveConnected() {
+    try {
+      // The token cache is lost whenever the service worker restarts, so
+      // rely on the stored connection state and refetch the token on demand
+      const authData = await chrome.storage.local.get("lnms_google_auth");
+      return !!authData.lnms_google_auth?.connected;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // ===== Trash =====
+  // A deleted memory stays a synced record with a deletedAt, so every
+  // device shows it in its trash and a restore anywhere brings it back.
+  // Only purging removes it for good, leaving a tombstone behind.
+  async trashMemory(storageKey) {
+    return await this.setDeletedAt(storageKey, Date.now());
+  }
+
+  async restoreFromTrash(storageKey) {
+    return await this.setDeletedAt(storageKey, null);
+  }
+
+  async setDeletedAt(storageKey, deletedAt) {
+    const store = await this.getMemoryStore();
+    const memory = await store.get(storageKey);
+    if (!memory) {
+      throw new Error("Memory not found");
+    }
+
+    const updated = MemorySchema.toStored({
+      ...memory,
+      deletedAt,
+      updatedAt: Date.now(),
+    });
+    await store.put(storageKey, updated);
+    await this.handleMemoryChange(
+      { type: "memoryUpdated", storageKey, url: updated.url },
+      null
+    );
+
+    return { ...updated, storageKey };
+  }
+
+  async getTrash() {
+    const store = await this.getMemoryStore();
+    const retentionDays = await this.getTrashRetentionDays();
+    const retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+
+    const memories = (await store.getTrash()).map((memory) => ({
+      ...memory,
+      purgeAt: memory.deletedAt + retentionMs,
+    }));
+    return {
+      memories,
+      retentionDays,
+      retentionChoices: TRASH_CONFIG.retentionChoices,
+    };
+  }
+
+  // Removes memories from the trash for good: the given ones, or else all
+  // that have been there longer than the retention period
+  async purgeTrash({ storageKeys = null } = {}) {
+    const store = await this.getMemoryStore();
+    const trash = await store.getTrash();
+
+    let expired;
+    if (storageKeys) {
+      expired = trash.filter((memory) =>
+        storageKeys.includes(memory.storageKey)
+      );
     } else {
-      // Extract hashtags from text
-      const tagRegex = /#(\w+)/g;
-      const tags = [];
-      let match;
-      while ((match = tagRegex.exec(tagsString)) !== null) {
-        tags.push(match[1]);
+      const retentionDays = await this.getTrashRetentionDays();
+      const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+      expired = trash.filter((memory) => memory.deletedAt < cutoff);
+    }
+    if (expired.length === 0) return 0;
+
+    const keys = expired.map((memory) => memory.storageKey);
+    await store.delete(keys);
+    await this.recordTombstone(keys);
+    console.log(`🗑️ Purged ${keys.length} memories from the trash`);
+
+    if (await this.isGoogleDriveConnected()) {
+      for (const key of keys) {
+        await this.enqueueSyncChange(key, "delete");
+      }
+    }
+
+    return keys.length;
+  }
+
+  async getTrashRetentionDays() {
+    const result = await chrome.storage.local.get("lnms_settings");
+    return (
+      result.lnms_settings?.trashRetentionDays ||
+      TRASH_CONFIG.defaultRetentionDays
+    );
+  }
+
+  async setTrashRetention(days) {
+    if (!TRASH_CONFIG.retentionChoices.includes(days)) {
+      throw new Error("Unsupported retention period");
+    }
+
+    const result = await chrome.storage.local.get("lnms_settings");
+    await chrome.storage.local.set({
+      lnms_settings: { ...result.lnms_settings, trashRetentionDays: days },
+    });
+    await this.purgeTrash();
+  }
+
+  async scheduleTrashPurge() {
+    const alarm = await chrome.alarms.get(TRASH_CONFIG.purgeAlarmName);
+    if (!alarm) {
+      chrome.alarms.create(TRASH_CONFIG.purgeAlarmName, {
+        delayInMinutes: 1,
+        periodInMinutes: TRASH_CONFIG.purgeIntervalMinutes,
+      });
+    }
+  }
+
+  // ===== Duplicate Contacts =====
+  // Groups memories that look like one person: the same profile slug or
+  // member URN, or the same name at the same company
+  async findDuplicates() {
+    const memories = Object.values(await this.getAllLocalMemories()).filter(
+      (memory) => !memory.deletedAt
+    );
+    const ignored = await this.getIgnoredDuplicates();
+
+    const rules = [
+      ["same-profile", (memory) => ProfileIdentity.getSlug(memory.url)],
+      ["same-member", (memory) => memory.memberUrn],
+      [
+        "same-name-company",
+        (memory) =>
+          memory.company &&
+          `${memory.name}|${memory.company}`
+            .toLowerCase()
+            .replace(/\s+/g, " ")
+            .trim(),
+      ],
+    ];
+
+    // Union-find over storage keys, so A~B and B~C land in one group
+    const parent = {};
+    const find = (key) =>
+      parent[key] === key ? key : (parent[key] = find(parent[key]));
+    memories.forEach(
+      (memory) => (parent[memory.storageKey] = memory.storageKey)
+    );
+
+    const matches = [];
+    for (const [reason, getValue] of rules) {
+      const firstWithValue = {};
+      for (const memory of memories) {
+        const value = getValue(memory);
+        if (!value) continue;
+
+        const first = firstWithValue[value];
+        if (!first) {
+          firstWithValue[value] = memory.storageKey;
+          continue;
+        }
+        parent[find(memory.storageKey)] = find(first);
+        matches.push([first, reason]);
+      }
+    }
+
+    const groups = {};
+    memories.forEach((memory) => {
+      const root = find(memory.storageKey);
+      groups[root] = groups[root] || { memories: [], reasons: new Set() };
+      groups[root].memories.push(memory);
+    });
+    matches.forEach(([key, reason]) => groups[find(key)].reasons.add(reason));
+
+    return Object.values(groups)
+      .filter((group) => group.memories.length > 1)
+      .map((group) => ({
+        id: group.memories
+          .map((memory) => memory.storageKey)
+          .sort()
+          .join("|"),
+        reasons: [...group.reasons],
+        memories: group.memories
+          .sort((a, b) => b.updatedAt - a.updatedAt)
+          .map(({ source, ...memory }) => memory),
+      }))
+      .filter((group) => !ignored.includes(group.id));
+  }
+
+  // The most recently edited copy keeps its key and URL; the others are
+  // deleted with tombstones, so sync removes them everywhere instead of
+  // bringing them back
+  async mergeDuplicates(storageKeys) {
+    const store = await this.getMemoryStore();
+    const found = await store.getMany(storageKeys);
+    const copies = Object.entries(found).map(([storageKey, memory]) => ({
+      ...memory,
+      storageKey,
+    }));
+    if (copies.length < 2) {
+      throw new Error(
+        "These memories have changed - look for duplicates again"
+      );
+    }
+
+    const combined = MemorySchema.combine(copies);
+    const keepKey = combined.storageKey;
+    const removedKeys = copies
+      .map((copy) => copy.storageKey)
+      .filter((key) => key !== keepKey);
+
+    // A fresh timestamp makes the merged memory win on other devices
+    const merged = MemorySchema.toStored({
+      ...combined,
+      updatedAt: Date.now(),
+    });
+    await store.put(keepKey, merged);
+    await store.delete(removedKeys);
+    await this.recordTombstone(removedKeys);
+
+    const conflicts = await this.getConflicts();
+    removedKeys.forEach((key) => delete conflicts[key]);
+    await chrome.storage.local.set({
+      [MERGE_CONFIG.conflictsStorageKey]: conflicts,
+    });
+
+    console.log(
+      `🧬 Merged ${copies.length} copies of ${merged.name} into ${keepKey}`
+    );
+
+    if (await this.isGoogleDriveConnected()) {
+      await this.enqueueSyncChange(keepKey, "update");
+      for (const key of removedKeys) {
+        await this.enqueueSyncChange(key, "delete");
+      }
+    }
+    await this.notifyLinkedInTabsAboutUpdates(copies.map((copy) => copy.url));
+
+    return { ...merged, storageKey: keepKey };
+  }
+
+  async getIgnoredDuplicates() {
+    const result = await chrome.storage.local.get(
+      DUPLICATE_CONFIG.ignoredStorageKey
+    );
+    return result[DUPLICATE_CONFIG.ignoredStorageKey] || [];
+  }
+
+  async ignoreDuplicates(groupId) {
+    const ignored = await this.getIgnoredDuplicates();
+    if (ignored.includes(groupId)) return;
+
+    await chrome.storage.local.set({
+      [DUPLICATE_CONFIG.ignoredStorageKey]: [...ignored, groupId],
+    });
+  }
+
+  // ===== Sync Journal =====
+  async getSyncJournal() {
+    const result = await chrome.storage.local.get(
+      SYNC_JOURNAL_CONFIG.storageKey
+    );
+    return result[SYNC_JOURNAL_CONFIG.storageKey] || [];
+  }
+
+  async recordSyncRun({
+    startedAt,
+    trigger,
+    result = null,
+    decisions = [],
+    error = null,
+  }) {
+    try {
+      const backend = await this.getSyncBackend();
+      const entry = {
+        startedAt,
+        finishedAt: Date.now(),
+        trigger,
+        backend: backend.type,
+        status: error ? "error" : "success",
+        mode: result?.mode || null,
+        direction: result?.direction || null,
+        counts: result
+          ? {
+              local: result.localCount,
+              remote: result.driveCount,
+              merged: result.mergedCount,
+              pushed: result.pushedCount ?? null,
+              conflicts: result.conflictCount,
+            }
+          : null,
+        decisions: decisions.slice(0, SYNC_JOURNAL_CONFIG.maxDecisionsPerEntry),
+        omittedDecisions: Math.max(
+          decisions.length - SYNC_JOURNAL_CONFIG.maxDecisionsPerEntry,
+          0
+        ),
+        error: error ? this.describeSyncError(error) : null,
+      };
+
+      // Newest first, oldest runs fall off the end
+      const journal = [entry, ...(await this.getSyncJournal())].slice(
+        0,
+        SYNC_JOURNAL_CONFIG.maxEntries
+      );
+      await chrome.storage.local.set({
+        [SYNC_JOURNAL_CONFIG.storageKey]: journal,
+      });
+    } catch (journalError) {
+      // Never let bookkeeping fail a sync
+      console.error("Error recording sync run:", journalError);
+    }
+  }
+
+  async clearSyncJournal() {
+    await chrome.storage.local.remove(SYNC_JOURNAL_CONFIG.storageKey);
+  }
+
+  // ===== Persistent Sync Queue =====
+  async getSyncQueue() {
+    const result = await chrome.storage.local.get(SYNC_QUEUE_CONFIG.storageKey);
+    return {
+      pending: {},
+      attempts: 0,
+      nextAttemptAt: null,
+      lastError: null,
+      ...result[SYNC_QUEUE_CONFIG.storageKey],
+    };
+  }
+
+  async saveSyncQueue(queue) {
+    await chrome.storage.local.set({ [SYNC_QUEUE_CONFIG.storageKey]: queue });
+  }
+
+  async enqueueSyncChange(profileKey, op) {
+    const queue = await this.getSyncQueue();
+    queue.pending[profileKey || "all"] = { op, queuedAt: Date.now() };
+    await this.saveSyncQueue(queue);
+
+    // While backing off after a failure, let the scheduled retry pick it up
+    if (!queue.attempts) {
+      this.scheduleSyncFlush(SYNC_QUEUE_CONFIG.initialDelayMs);
+    }
+  }
+
+  scheduleSyncFlush(delayMs) {
+    chrome.alarms.create(SYNC_QUEUE_CONFIG.alarmName, {
+      when: Date.now() + delayMs,
+    });
+  }
+
+  async clearSyncQueue() {
+    await chrome.alarms.clear(SYNC_QUEUE_CONFIG.alarmName);
+    await chrome.storage.local.remove(SYNC_QUEUE_CONFIG.storageKey);
+  }
+
+  async resumeSyncQueue() {
+    const queue = await this.getSyncQueue();
+    if (Object.keys(queue.pending).length === 0) return;
+
+    const alarm = await chrome.alarms.get(SYNC_QUEUE_CONFIG.alarmName);
+    if (!alarm) {
+      this.scheduleSyncFlush(
+        Math.max(
+          (queue.nextAttemptAt || 0) - Date.now(),
+          SYNC_QUEUE_CONFIG.initialDelayMs
+        )
+      );
+    }
+  }
+
+  async getSyncQueueStatus() {
+    const queue = await this.getSyncQueue();
+    return {
+      pendingCount: Object.keys(queue.pending).length,
+      attempts: queue.attempts,
+      nextAttemptAt: queue.nextAttemptAt,
+      lastError: queue.lastError,
+    };
+  }
+
+  // Plain object version of a sync failure, kept in the queue for the popup
+  describeSyncError(error) {
+    let code = "unknown";
+    if (error instanceof EncryptionLockedError) {
+      code = "locked";
+    } else if (error instanceof SyncBackendError) {
+      code = error.code;
+    }
+
+    return {
+      message: error.message,
+      code,
+      status: error.status || null,
+      retryable: code === "unknown" || Boolean(error.retryable),
+      at: Date.now(),
+    };
+  }
+
+  async flushSyncQueue() {
+    if (this.isFlushingSyncQueue) {
+      return { success: false, error: "Sync already in progress" };
+    }
+
+    const queue = await this.getSyncQueue();
+    if (Object.keys(queue.pending).length === 0) {
+      return { success: true, flushed: 0 };
+    }
+
+    if (!(await this.isGoogleDriveConnected())) {
+      await this.clearSyncQueue();
+      return { success: false, error: "Not connected to a sync backend" };
+    }
+
+    this.isFlushingSyncQueue = true;
+    const flushStartedAt = Date.now();
+
+    try {
+      console.log(
+        `📤 Flushing ${Object.keys(queue.pending).length} queued changes...`
+      );
+
+      // Only the queued profiles need to travel; "all" means we lost track
+      const dirtyKeys = Object.keys(queue.pending);
+      await this.performIntelligentSync({
+        dirtyKeys: dirtyKeys.includes("all") ? null : dirtyKeys,
+        trigger: "queue",
+      });
+
+      // Anything queued while we were syncing waits for the next round
+      const latest = await this.getSyncQueue();
+      Object.entries(latest.pending)
+        .filter(([, change]) => change.queuedAt <= flushStartedAt)
+        .forEach(([profileKey]) => delete latest.pending[profileKey]);
+
+      const flushed =
+        Object.keys(queue.pending).length - Object.keys(latest.pending).length;
+      await this.saveSyncQueue({
+        pending: latest.pending,
+        attempts: 0,
+        nextAttemptAt: null,
+        lastError: null,
+      });
+
+      if (Object.keys(latest.pending).length > 0) {
+        this.scheduleSyncFlush(SYNC_QUEUE_CONFIG.initialDelayMs);
+      }
+
+      console.log(`✅ Flushed ${flushed} queued changes`);
+      return { success: true, flushed };
+    } catch (error) {
+      console.error("❌ Sync queue flush failed:", error);
+
+      const latest = await this.getSyncQueue();
+
+      // Retrying can't help until the passphrase is entered; unlocking
+      // schedules the flush again
+      if (error instanceof EncryptionLockedError) {
+        await this.saveSyncQueue({
+          ...latest,
+          nextAttemptAt: null,
+          lastError: this.describeSyncError(error),
+        });
+        return { success: false, error: error.message, locked: true };
+      }
+
+      const lastError = this.describeSyncError(error);
+
+      // An expired sign-in needs the user to reconnect; retrying on a timer
+      // would only fail the same way
+      if (lastError.code === "auth") {
+        await this.saveSyncQueue({ ...latest, nextAttemptAt: null, lastError });
+        return { success: false, error: error.message, errorInfo: lastError };
+      }
+
+      const attempts = latest.attempts + 1;
+
+      // Exponential backoff with a little jitter, capped, and never sooner
+      // than the server asked for
+      const delay = Math.min(
+        SYNC_QUEUE_CONFIG.baseRetryDelayMs * 2 ** (attempts - 1),
+        SYNC_QUEUE_CONFIG.maxRetryDelayMs
+      );
+      const jitteredDelay = Math.max(
+        delay + Math.random() * delay * 0.2,
+        error.retryAfterMs || 0
+      );
+
+      await this.saveSyncQueue({
+        ...latest,
+        attempts,
+        nextAttemptAt: Date.now() + jitteredDelay,
+        lastError,
+      });
+      this.scheduleSyncFlush(jitteredDelay);
+
+      return { success: false, error: error.message, errorInfo: lastError };
+    } finally {
+      this.isFlushingSyncQueue = false;
+    }
+  }
+
+  // ===== End-to-End Encryption =====
+  async getEncryptionSettings() {
+    const result = await chrome.storage.local.get(
+      ENCRYPTION_CONFIG.settingsStorageKey
+    );
+    return {
+      enabled: false,
+      salt: null,
+      iterations: ENCRYPTION_CONFIG.pbkdf2Iterations,
+      ...result[ENCRYPTION_CONFIG.settingsStorageKey],
+    };
+  }
+
+  async saveEncryptionSettings(settings) {
+    await chrome.storage.local.set({
+      [ENCRYPTION_CONFIG.settingsStorageKey]: settings,
+    });
+  }
+
+  async getActiveEncryptionSalt() {
+    const settings = await this.getEncryptionSettings();
+    return settings.enabled ? settings.salt : null;
+  }
+
+  async getEncryptionStatus() {
+    const settings = await this.getEncryptionSettings();
+    return {
+      enabled: settings.enabled,
+      unlocked:
+        settings.enabled && !!(await this.getEncryptionKey(settings.salt)),
+    };
+  }
+
+  async enableEncryption(passphrase) {
+    this.validatePassphrase(passphrase);
+
+    const settings = await this.getEncryptionSettings();
+    if (settings.enabled) {
+      throw new Error("Encryption is already enabled");
+    }
+
+    const salt = this.bytesToBase64(
+      crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.saltBytes))
+    );
+    const key = await this.deriveEncryptionKey(
+      passphrase,
+      salt,
+      ENCRYPTION_CONFIG.pbkdf2Iterations
+    );
+    await this.rememberEncryptionKey(salt, key);
+    await this.saveEncryptionSettings({
+      enabled: true,
+      salt,
+      iterations: ENCRYPTION_CONFIG.pbkdf2Iterations,
+    });
+    console.log("🔒 Drive encryption enabled");
+
+    // Rewrite the backup so nothing stays on Drive in plain text
+    return await this.syncAfterEncryptionChange();
+  }
+
+  async unlockEncryption(passphrase) {
+    const settings = await this.getEncryptionSettings();
+    if (!settings.enabled) {
+      throw new Error("Encryption is not enabled");
+    }
+
+    // Drive is the source of truth: another device may have changed the
+    // passphrase, which also changes the salt
+    let { salt, iterations } = settings;
+    let envelope = null;
+    if (await this.isGoogleDriveConnected()) {
+      envelope = await this.loadNotesEnvelope();
+      if (envelope) {
+        salt = envelope.salt;
+        iterations = envelope.iterations;
+      }
+    }
+
+    const key = await this.deriveEncryptionKey(passphrase, salt, iterations);
+    if (envelope && !(await this.canDecryptEnvelope(envelope, key))) {
+      throw new Error("Wrong passphrase");
+    }
+
+    await this.rememberEncryptionKey(salt, key);
+    await this.saveEncryptionSettings({ enabled: true, salt, iterations });
+    console.log("🔓 Drive encryption unlocked");
+
+    return await this.syncAfterEncryptionChange();
+  }
+
+  async changeEncryptionPassphrase(currentPassphrase, newPassphrase) {
+    this.validatePassphrase(newPassphrase);
+
+    const settings = await this.getEncryptionSettings();
+    if (!settings.enabled) {
+      throw new Error("Encryption is not enabled");
+    }
+
+    const currentKey = await this.deriveEncryptionKey(
+      currentPassphrase,
+      settings.salt,
+      settings.iterations
+    );
+    const envelope = (await this.isGoogleDriveConnected())
+      ? await this.loadNotesEnvelope()
+      : null;
+    if (envelope && !(await this.canDecryptEnvelope(envelope, currentKey))) {
+      throw new Error("Wrong passphrase");
+    }
+
+    // Keep the old key around so delta files other devices wrote before
+    // they learn about the change can still be read
+    await this.rememberEncryptionKey(settings.salt, currentKey);
+
+    const salt = this.bytesToBase64(
+      crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.saltBytes))
+    );
+    const key = await this.deriveEncryptionKey(
+      newPassphrase,
+      salt,
+      ENCRYPTION_CONFIG.pbkdf2Iterations
+    );
+    await this.rememberEncryptionKey(salt, key);
+    await this.saveEncryptionSettings({
+      enabled: true,
+      salt,
+      iterations: ENCRYPTION_CONFIG.pbkdf2Iterations,
+    });
+    console.log("🔑 Drive encryption passphrase changed");
+
+    // Re-encrypt the backup with the new key
+    return await this.syncAfterEncryptionChange();
+  }
+
+  async syncAfterEncryptionChange() {
+    if (!(await this.isGoogleDriveConnected())) {
+      return { synced: false };
+    }
+
+    const syncResult = await this.performIntelligentSync({
+      trigger: "encryption",
+    });
+    await this.clearSyncQueue();
+    return { synced: true, ...syncResult };
+  }
+
+  validatePassphrase(passphrase) {
+    if (!passphrase || passphrase.length < 8) {
+      throw new Error("Passphrase must be at least 8 characters");
+    }
+  }
+
+  async loadNotesEnvelope() {
+    const backend = await this.getSyncBackend();
+    const { payload } = await backend.loadNotes();
+    return payload[ENCRYPTION_CONFIG.driveKey] || null;
+  }
+
+  async canDecryptEnvelope(envelope, key) {
+    try {
+      await this.decryptEnvelope(envelope, key);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async encryptDrivePayload(payload) {
+    const settings = await this.getEncryptionSettings();
+    if (!settings.enabled) {
+      return payload;
+    }
+
+    const key = await this.getEncryptionKey(settings.salt);
+    if (!key) {
+      throw new EncryptionLockedError();
+    }
+
+    const iv = crypto.getRandomValues(
+      new Uint8Array(ENCRYPTION_CONFIG.ivBytes)
+    );
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(payload))
+    );
+
+    return {
+      [ENCRYPTION_CONFIG.driveKey]: {
+        version: 1,
+        algorithm: "AES-GCM",
+        kdf: "PBKDF2-SHA256",
+        iterations: settings.iterations,
+        salt: settings.salt,
+        iv: this.bytesToBase64(iv),
+        data: this.bytesToBase64(new Uint8Array(ciphertext)),
+      },
+    };
+  }
+
+  async decryptDrivePayload(payload) {
+    const envelope = payload[ENCRYPTION_CONFIG.driveKey];
+    if (!envelope) {
+      return payload;
+    }
+
+    const key = await this.getEncryptionKey(envelope.salt);
+    if (key) {
+      try {
+        return await this.decryptEnvelope(envelope, key);
+      } catch (error) {
+        console.warn("🔒 Stored key no longer matches the Drive backup");
+      }
+    }
+
+    // Adopt the backup's encryption so the popup asks for its passphrase
+    await this.saveEncryptionSettings({
+      enabled: true,
+      salt: envelope.salt,
+      iterations: envelope.iterations,
+    });
+    throw new EncryptionLockedError();
+  }
+
+  async decryptEnvelope(envelope, key) {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: this.base64ToBytes(envelope.iv) },
+      key,
+      this.base64ToBytes(envelope.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  async deriveEncryptionKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(passphrase),
+      "PBKDF2",
+      false,
+      ["deriveKey"]
+    );
+
+    return await crypto.subtle.deriveKey(
+      {
+        name: "PBKDF2",
+        salt: this.base64ToBytes(salt),
+        iterations,
+        hash: "SHA-256",
+      },
+      baseKey,
+      { name: "AES-GCM", length: 256 },
+      true,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  async rememberEncryptionKey(salt, key) {
+    const rawKey = new Uint8Array(await crypto.subtle.exportKey("raw", key));
+    const result = await chrome.storage.session.get(
+      ENCRYPTION_CONFIG.sessionKeysStorageKey
+    );
+
+    await chrome.storage.session.set({
+      [ENCRYPTION_CONFIG.sessionKeysStorageKey]: {
+        ...result[ENCRYPTION_CONFIG.sessionKeysStorageKey],
+        [salt]: this.bytesToBase64(rawKey),
+      },
+    });
+  }
+
+  async getEncryptionKey(salt) {
+    if (!salt) {
+      return null;
+    }
+
+    const result = await chrome.storage.session.get(
+      ENCRYPTION_CONFIG.sessionKeysStorageKey
+    );
+    const rawKey = result[ENCRYPTION_CONFIG.sessionKeysStorageKey]?.[salt];
+    if (!rawKey) {
+      return null;
+    }
+
+    return await crypto.subtle.importKey(
+      "raw",
+      this.base64ToBytes(rawKey),
+      "AES-GCM",
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  bytesToBase64(bytes) {
+    let binary = "";
+    bytes.forEach((byte) => (binary += String.fromCharCode(byte)));
+    return btoa(binary);
+  }
+
+  base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+  }
+
+  // ===== Backup Snapshots =====
+  async isSnapshotDue() {
+    const result = await chrome.storage.local.get(
+      SNAPSHOT_CONFIG.stateStorageKey
+    );
+    const lastSnapshotAt =
+      result[SNAPSHOT_CONFIG.stateStorageKey]?.lastSnapshotAt || 0;
+    return Date.now() - lastSnapshotAt >= SNAPSHOT_CONFIG.intervalMs;
+  }
+
+  async createDailySnapshotIfDue(memories, tombstones) {
+    if (!(await this.isSnapshotDue()) || Object.keys(memories).length === 0) {
+      return;
+    }
+
+    // Another device may already have taken today's snapshot
+    const today = new Date().toISOString().slice(0, 10);
+    const snapshots = await this.listSnapshots();
+    if (!snapshots.some((snapshot) => snapshot.createdAt.startsWith(today))) {
+      await this.createSnapshot(memories, tombstones, "daily");
+      await this.pruneSnapshots();
+    }
+
+    await chrome.storage.local.set({
+      [SNAPSHOT_CONFIG.stateStorageKey]: { lastSnapshotAt: Date.now() },
+    });
+  }
+
+  async createSnapshot(memories, tombstones, reason) {
+    const backend = await this.getSyncBackend();
+    const createdAt = new Date().toISOString();
+
+    // Colons aren't safe in every backend's file names
+    const name = `${backend.files.snapshotPrefix}${createdAt.replace(
+      /[:.]/g,
+      "-"
+    )}-${reason}.json`;
+
+    await backend.createSideFile(
+      name,
+      await this.encryptDrivePayload({
+        createdAt,
+        reason,
+        schemaVersion: MEMORY_SCHEMA_VERSION,
+        memories,
+        [TOMBSTONE_CONFIG.driveKey]: tombstones,
+      })
+    );
+    console.log(
+      `📸 Created ${reason} snapshot with ${
+        Object.keys(memories).length
+      } memories`
+    );
+  }
+
+  async listSnapshots() {
+    const backend = await this.getSyncBackend();
+    const files = await backend.listSideFiles(backend.files.snapshotPrefix);
+
+    return files
+      .map((file) => {
+        // linkedin-memories-snapshot-2024-03-05T09-30-00-000Z-daily.json
+        const match = file.name.match(
+          /(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z-([\w-]+)\.json$/
+        );
+        if (!match) return null;
+
+        const [, date, hours, minutes, seconds, millis, reason] = match;
+        return {
+          id: file.id,
+          name: file.name,
+          createdAt: `${date}T${hours}:${minutes}:${seconds}.${millis}Z`,
+          reason,
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async pruneSnapshots() {
+    const backend = await this.getSyncBackend();
+    const snapshots = await this.listSnapshots();
+
+    for (const snapshot of snapshots.slice(SNAPSHOT_CONFIG.maxSnapshots)) {
+      await backend.deleteSideFile(snapshot.id);
+    }
+  }
+
+  async loadSnapshot(snapshotId) {
+    const backend = await this.getSyncBackend();
+    const snapshot = await this.decryptDrivePayload(
+      await backend.loadSideFile(snapshotId)
+    );
+    this.checkSyncedSchemaVersion(snapshot.schemaVersion);
+
+    // Snapshot memories are stored in Drive format under their profile key
+    const memories = {};
+    for (const [profileKey, driveMemory] of Object.entries(
+      this.normalizeSyncedMemories(snapshot.memories)
+    )) {
+      memories[profileKey] = this.convertDriveToLocalFormat(
+        driveMemory,
+        null,
+        profileKey
+      );
+    }
+
+    return { createdAt: snapshot.createdAt, reason: snapshot.reason, memories };
+  }
+
+  async previewSnapshot(snapshotId) {
+    const snapshot = await this.loadSnapshot(snapshotId);
+    const localMemories = await this.getAllLocalMemories();
+    const profileKeys = new Set([
+      ...Object.keys(snapshot.memories),
+      ...Object.keys(localMemories),
+    ]);
+
+    const changes = [];
+    for (const profileKey of profileKeys) {
+      const snapshotMemory = snapshot.memories[profileKey];
+      const localMemory = localMemories[profileKey];
+
+      if (!localMemory) {
+        changes.push({
+          profileKey,
+          name: snapshotMemory.name,
+          status: "deleted",
+          fields: [],
+        });
+      } else if (!snapshotMemory) {
+        changes.push({
+          profileKey,
+          name: localMemory.name,
+          status: "added",
+          fields: [],
+        });
+      } else {
+        const snapshotBase = this.getMergeBase(snapshotMemory);
+        const localBase = this.getMergeBase(localMemory);
+        const fields = Object.keys(snapshotBase)
+          .filter(
+            (field) =>
+              JSON.stringify(snapshotBase[field]) !==
+              JSON.stringify(localBase[field])
+          )
+          .map((field) => ({
+            field,
+            snapshot: snapshotBase[field],
+            current: localBase[field],
+          }));
+
+        if (fields.length > 0) {
+          changes.push({
+            profileKey,
+            name: localMemory.name,
+            status: "changed",
+            fields,
+          });
+        }
+      }
+    }
+
+    return {
+      createdAt: snapshot.createdAt,
+      reason: snapshot.reason,
+      total: Object.keys(snapshot.memories).length,
+      changes: changes.sort((a, b) => (a.name || "").localeCompare(b.name)),
+    };
+  }
+
+  async restoreSnapshot(snapshotId, profileKeys = null) {
+    const snapshot = await this.loadSnapshot(snapshotId);
+    const localMemories = await this.getAllLocalMemories();
+    const tombstones = await this.getLocalTombstones();
+
+    // Keep the current state so this restore can be undone the same way
+    const currentForDrive = {};
+    for (const [profileKey, memory] of Object.entries(localMemories)) {
+      currentForDrive[profileKey] = this.formatMemoryForDrive(memory);
+    }
+    await this.createSnapshot(currentForDrive, tombstones, "before-restore");
+    await this.pruneSnapshots();
+
+    const keys = profileKeys || [
+      ...new Set([
+        ...Object.keys(snapshot.memories),
+        ...Object.keys(localMemories),
+      ]),
+    ];
+    const now = Date.now();
+    const updates = {};
+    const deletions = [];
+
+    for (const profileKey of keys) {
+      const snapshotMemory = snapshot.memories[profileKey];
+
+      if (snapshotMemory) {
+        // A fresh timestamp makes the restored version win the next merge
+        updates[profileKey] = this.formatMemoryForLocal({
+          ...snapshotMemory,
+          createdAt:
+            localMemories[profileKey]?.createdAt || snapshotMemory.createdAt,
+          updatedAt: now,
+        });
+        delete tombstones[profileKey];
+      } else if (localMemories[profileKey]) {
+        // Added after the snapshot was taken
+        deletions.push(profileKey);
+        tombstones[profileKey] = now;
+      }
+    }
+
+    const store = await this.getMemoryStore();
+    await store.putMany(updates);
+    await store.delete(deletions);
+    await chrome.storage.local.set({
+      [TOMBSTONE_CONFIG.storageKey]: tombstones,
+    });
+
+    if (await this.isGoogleDriveConnected()) {
+      for (const profileKey of Object.keys(updates)) {
+        await this.enqueueSyncChange(profileKey, "update");
+      }
+      for (const profileKey of deletions) {
+        await this.enqueueSyncChange(profileKey, "delete");
+      }
+    }
+
+    await this.notifyAllLinkedInTabs();
+    console.log(
+      `⏪ Restored ${Object.keys(updates).length} memories from snapshot (${
+        deletions.length
+      } removed)`
+    );
+
+    return {
+      restored: Object.keys(updates).length,
+      removed: deletions.length,
+    };
+  }
+
+  // ===== Merge Bases & Conflict Queue =====
+  getMergeBase(memory) {
+    const normalized = MemorySchema.normalize(memory);
+    const base = {
+      entries: normalized.entries,
+      customFields: normalized.customFields,
+      jobChanges: normalized.jobChanges,
+      profileChanges: normalized.profileChanges,
+      deletedAt: memory.deletedAt || null,
+    };
+    MERGE_CONFIG.fields.forEach((field) => {
+      base[field] = memory[field] || "";
+    });
+    return base;
+  }
+
+  async getSyncBases() {
+    const result = await chrome.storage.local.get(MERGE_CONFIG.baseStorageKey);
+    return result[MERGE_CONFIG.baseStorageKey] || {};
+  }
+
+  async getConflicts() {
+    const result = await chrome.storage.local.get(
+      MERGE_CONFIG.conflictsStorageKey
+    );
+    return result[MERGE_CONFIG.conflictsStorageKey] || {};
+  }
+
+  async queueConflicts(newConflicts, tombstones = {}) {
+    const conflicts = await this.getConflicts();
+    const localMemories = await this.getAllLocalMemories();
+
+    for (const [profileKey, fields] of Object.entries(newConflicts)) {
+      const memory = localMemories[profileKey];
+      conflicts[profileKey] = {
+        name: memory?.name || "LinkedIn User",
+        url: memory?.url || "",
+        fields: { ...(conflicts[profileKey]?.fields || {}), ...fields },
+        detectedAt: Date.now(),
+      };
+    }
+
+    // Nothing left to review for memories that have since been deleted
+    Object.keys(conflicts)
+      .filter((profileKey) => tombstones[profileKey])
+      .forEach((profileKey) => delete conflicts[profileKey]);
+
+    await chrome.storage.local.set({
+      [MERGE_CONFIG.conflictsStorageKey]: conflicts,
+    });
+
+    return Object.keys(conflicts).length;
+  }
+
+  async resolveConflict(profileKey, choices = {}) {
+    const conflicts = await this.getConflicts();
+    const conflict = conflicts[profileKey];
+    if (!conflict) {
+      throw new Error("Conflict not found");
+    }
+
+    const store = await this.getMemoryStore();
+    const memory = await store.get(profileKey);
+
+    if (memory) {
+      const { storageKey, ...resolved } = memory;
+
+      for (const [field, values] of Object.entries(conflict.fields)) {
+        const choice = choices[field] || "local";
+        if (field.startsWith(MERGE_CONFIG.entryFieldPrefix)) {
+          resolved.entries = this.resolveEntryConflict(
+            resolved.entries || [],
+            field.slice(MERGE_CONFIG.entryFieldPrefix.length),
+            values,
+            choice
+          );
+        } else if (field.startsWith(MERGE_CONFIG.customFieldPrefix)) {
+          const id = field.slice(MERGE_CONFIG.customFieldPrefix.length);
+          resolved.customFields = {
+            ...resolved.customFields,
+            [id]: choice === "drive" ? values.drive : values.local,
+          };
+        } else if (choice === "drive") {
+          resolved[field] = values.drive;
+        } else {
+          resolved[field] = values.local;
+        }
+      }
+      resolved.updatedAt = Date.now();
+
+      await store.put(profileKey, resolved);
+      await this.handleMemoryChange(
+        { storageKey: profileKey, url: resolved.url },
+        null
+      );
+    }
+
+    delete conflicts[profileKey];
+    await chrome.storage.local.set({
+      [MERGE_CONFIG.conflictsStorageKey]: conflicts,
+    });
+
+    return { remaining: Object.keys(conflicts).length };
+  }
+
+  // "both" keeps this device's text and adds the other device's as an
+  // entry of the same date
+  resolveEntryConflict(entries, entryId, values, choice) {
+    const entry = entries.find((candidate) => candidate.id === entryId);
+    if (!entry) return entries;
+
+    const withText = (text) => ({
+      ...entry,
+      text,
+      tags: this.extractTagsFromNote(text),
+    });
+
+    if (choice === "drive") {
+      return entries.map((candidate) =>
+        candidate === entry ? withText(values.drive) : candidate
+      );
+    }
+    if (choice === "both") {
+      return [
+        ...entries,
+        MemorySchema.createEntry(
+          values.drive,
+          this.extractTagsFromNote(values.drive),
+          entry.date
+        ),
+      ];
+    }
+    return entries;
+  }
+
+  // ===== Deletion Tombstones =====
+  async getLocalTombstones() {
+    const result = await chrome.storage.local.get(TOMBSTONE_CONFIG.storageKey);
+    return result[TOMBSTONE_CONFIG.storageKey] || {};
+  }
+
+  splitDrivePayload(payload) {
+    const {
+      [TOMBSTONE_CONFIG.driveKey]: tombstones,
+      [SCHEMA_CONFIG.driveKey]: schemaVersion,
+      [CUSTOM_FIELDS_CONFIG.driveKey]: customFields,
+      ...memories
+    } = payload || {};
+
+    this.checkSyncedSchemaVersion(schemaVersion);
+    return {
+      memories: this.normalizeSyncedMemories(memories),
+      tombstones: tombstones || {},
+      customFields: customFields || { definitions: [], removed: {} },
+    };
+  }
+
+  // ===== Storage Schema =====
+  // Stops at the first failure: the stored version stays at the last
+  // migration that completed, so the failed one runs again next time
+  async runSchemaMigrations() {
+    const allData = await chrome.storage.local.get(null);
+    const storedVersion = allData[SCHEMA_CONFIG.storageKey] || 1;
+
+    for (const migration of SCHEMA_MIGRATIONS) {
+      if (migration.version <= storedVersion) continue;
+
+      console.log(
+        `🧬 Migrating storage to v${migration.version}: ${migration.description}`
+      );
+      const { set = {}, remove = [] } = await migration.migrate(allData);
+      await chrome.storage.local.set(set);
+      await chrome.storage.local.remove(remove);
+      await chrome.storage.local.set({
+        [SCHEMA_CONFIG.storageKey]: migration.version,
+      });
+
+      Object.assign(allData, set);
+      remove.forEach((key) => delete allData[key]);
+    }
+  }
+
+  // Syncing half-upgraded storage would spread it to every device
+  async assertStorageMigrated() {
+    const result = await chrome.storage.local.get(SCHEMA_CONFIG.storageKey);
+    if ((result[SCHEMA_CONFIG.storageKey] || 1) < STORAGE_SCHEMA_VERSION) {
+      throw new Error(
+        "Stored data hasn't finished upgrading - restart the browser to try again"
+      );
+    }
+  }
+
+  // Writing records this version can't represent would lose data, so stop
+  // until the extension on this device is updated
+  checkSyncedSchemaVersion(schemaVersion) {
+    if ((schemaVersion || 1) > MEMORY_SCHEMA_VERSION) {
+      throw new Error(
+        "Synced memories were saved by a newer version of VibeTag - update the extension on this device to keep syncing"
+      );
+    }
+  }
+
+  // Older versions keyed some profiles by a URL variant; file every record
+  // under its canonical key, keeping the newest when two meet
+  normalizeSyncedMemories(memories = {}) {
+    const normalized = {};
+    for (const [profileKey, memory] of Object.entries(memories)) {
+      const record = MemorySchema.normalize(memory);
+      let key = profileKey;
+      if (record.url) {
+        record.url = ProfileIdentity.canonicalUrl(record.url);
+        key = this.getProfileKeyFromUrl(record.url);
+      }
+
+      if (!normalized[key] || normalized[key].updatedAt < record.updatedAt) {
+        normalized[key] = record;
+      }
+    }
+    return normalized;
+  }
+
+  mergeTombstones(...sources) {
+    const cutoff = Date.now() - TOMBSTONE_CONFIG.retentionMs;
+    const merged = {};
+
+    for (const source of sources) {
+      for (const [profileKey, deletedAt] of Object.entries(source || {})) {
+        // Old tombstones can go once every device has had time to sync
+        if (deletedAt < cutoff) continue;
+        merged[profileKey] = Math.max(merged[profileKey] || 0, deletedAt);
       }
-      return tags;
     }
+
+    return merged;
+  }
+
+  // ===== Utility Methods =====
+  extractTagsFromNote(note) {
+    const tagRegex = /#(\w+)/g;
+    const tags = [];
+    let match;
+
+    while ((match = tagRegex.exec(note)) !== null) {
+      tags.push(match[1]);
+    }
+
+    return [...new Set(tags)];
   }
 
   async updateBadgeForTab(tabId, url) {
     try {
-      const cleanUrl = url.split("?")[0];
-      const storageKey = `lnms_${btoa(cleanUrl).replace(/[^a-zA-Z0-9]/g, "")}`;
-      const result = await chrome.storage.local.get(storageKey);
+      const store = await this.getMemoryStore();
+      const memory = ProfileIdentity.isProfileUrl(url)
+        ? await store.get(this.getProfileKeyFromUrl(url))
+        : null;
 
-      if (result[storageKey] && result[storageKey].note) {
+      if (memory && memory.entries?.length > 0 && !memory.deletedAt) {
         chrome.action.setBadgeText({ tabId: tabId, text: "●" });
         chrome.action.setBadgeBackgroundColor({
           tabId: tabId,
@@ -1003,7 +3828,22 @@ class LinkedInMemoryBackground {
     }
   }
 
-  handleInstallation(details) {
+  async handleInstallation(details) {
+    // Upgrade whatever an older version left in storage before anything
+    // else reads it
+    if (details.reason === "install" || details.reason === "update") {
+      try {
+        await this.runSchemaMigrations();
+      } catch (error) {
+        // Nothing else runs on half-upgraded storage
+        console.error("❌ Storage migration failed:", error);
+        return;
+      }
+    }
+
+    await this.scheduleTrashPurge();
+    await this.checkFollowUps();
+
     if (details.reason === "install") {
       console.log("LinkedIn Memory Search installed");
       chrome.storage.local.set({
@@ -1017,6 +3857,20 @@ class LinkedInMemoryBackground {
     }
   }
 
+  async handleStartup() {
+    // A migration that failed on the last update gets another try
+    try {
+      await this.runSchemaMigrations();
+    } catch (error) {
+      console.error("❌ Storage migration failed:", error);
+      return;
+    }
+
+    this.resumeSyncQueue();
+    this.scheduleTrashPurge();
+    this.checkFollowUps();
+  }
+
   async handleTabUpdate(tabId, changeInfo, tab) {
     if (
       changeInfo.status === "complete" &&
@@ -1043,37 +3897,31 @@ class LinkedInMemoryBackground {
   }
 
   async getMemoryStats() {
-    const allData = await chrome.storage.local.get(null);
-    const memories = Object.entries(allData)
-      .filter(
-        ([key]) =>
-          key.startsWith("lnms_") &&
-          !key.includes("settings") &&
-          !key.includes("google")
-      )
-      .map(([, value]) => value);
+    const store = await this.getMemoryStore();
+    const memories = await store.getAll();
+    const trashed = Object.values(memories).filter(
+      (memory) => memory.deletedAt
+    ).length;
 
     return {
-      totalMemories: memories.length,
-      totalStorage: JSON.stringify(allData).length,
+      totalMemories: Object.keys(memories).length - trashed,
+      trashedMemories: trashed,
+      totalStorage: JSON.stringify(memories).length,
     };
   }
 
   async exportMemories() {
-    const allData = await chrome.storage.local.get(null);
-    const memories = Object.entries(allData)
-      .filter(
-        ([key]) =>
-          key.startsWith("lnms_") &&
-          !key.includes("settings") &&
-          !key.includes("google")
-      )
-      .map(([, value]) => value);
+    const store = await this.getMemoryStore();
+    const memories = Object.values(await store.getAll())
+      .filter((memory) => !memory.deletedAt)
+      .map((memory) => MemorySchema.toStored(memory));
 
     return {
       exportDate: Date.now(),
       version: "1.0.0",
+      schemaVersion: MEMORY_SCHEMA_VERSION,
       totalMemories: memories.length,
+      customFields: await this.getCustomFieldDefinitions(),
       memories: memories,
     };
   }
@@ -1089,12 +3937,9 @@ class LinkedInMemoryBackground {
     for (const memory of importData.memories) {
       if (memory.url && memory.name) {
         try {
-          const cleanUrl = memory.url.split("?")[0];
-          const storageKey = `lnms_${btoa(cleanUrl).replace(
-            /[^a-zA-Z0-9]/g,
-            ""
-          )}`;
-          memoriesToSave[storageKey] = memory;
+          const url = ProfileIdentity.canonicalUrl(memory.url);
+          memoriesToSave[this.getProfileKeyFromUrl(url)] =
+            MemorySchema.toStored({ ...memory, url });
           imported++;
         } catch (error) {
           console.error("Error preparing memory for import:", error);
@@ -1103,7 +3948,33 @@ class LinkedInMemoryBackground {
     }
 
     if (Object.keys(memoriesToSave).length > 0) {
-      await chrome.storage.local.set(memoriesToSave);
+      // An explicit import brings back anything previously deleted
+      const tombstones = await this.getLocalTombstones();
+      Object.keys(memoriesToSave).forEach((key) => delete tombstones[key]);
+
+      const store = await this.getMemoryStore();
+      await store.putMany(memoriesToSave);
+      await chrome.storage.local.set({
+        [TOMBSTONE_CONFIG.storageKey]: tombstones,
+      });
+    }
+
+    // Fields the export was made with and this device lacks come along
+    if (Array.isArray(importData.customFields)) {
+      const definitions = await this.getCustomFieldDefinitions();
+      const known = new Set(definitions.map((field) => field.id));
+      const added = importData.customFields
+        .map((field) => MemorySchema.normalizeFieldDefinition(field))
+        .filter(
+          (field) =>
+            field.label &&
+            (field.type !== "select" || field.options.length > 0) &&
+            !known.has(field.id) &&
+            known.add(field.id)
+        );
+      if (added.length > 0) {
+        await this.saveCustomFieldDefinitions([...definitions, ...added]);
+      }
     }
 
     return { imported };
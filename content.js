@@ -6,6 +6,15 @@ class LinkedInMemoryCard {
     this.isLinkedInProfile = false;
     this.profileData = null;
     this.currentMemory = null;
+    // The timeline entry the note box is writing to; null until a new
+    // entry gets its first words
+    this.editingEntryId = null;
+    // Everyone saved, for the introduced-by picker
+    this.contactNames = [];
+    // Custom fields defined in settings
+    this.customFieldDefinitions = [];
+    // Set while waiting for the Contact info overlay to read it
+    this.contactCaptureTimer = null;
     this.selectedTags = new Set();
     this.saveTimeout = null;
     this.navigationObserver = null;
@@ -105,10 +114,10 @@ class LinkedInMemoryCard {
       console.log("📨 Content script received message:", message.type);
 
       // Check if this message is relevant to current profile
-      const isRelevantProfile =
-        message.url &&
-        (message.url === this.profileData?.url ||
-          message.url.split("?")[0] === this.profileData?.url.split("?")[0]);
+      const isRelevantProfile = ProfileIdentity.isSameProfile(
+        message.url,
+        this.profileData?.url
+      );
 
       switch (message.type) {
         case "memoryDeleted":
@@ -119,6 +128,8 @@ class LinkedInMemoryCard {
             this.currentMemory = null;
             this.resetCardForm();
             this.hideDeleteButton();
+            // Shown again from the trash, with a way to restore it
+            this.loadExistingMemory();
           }
           break;
 
@@ -127,7 +138,6 @@ class LinkedInMemoryCard {
             console.log(
               "📝 Memory updated from popup, updating content script"
             );
-            this.currentMemory = message.memory;
             this.updateCardWithMemory(message.memory);
           }
           break;
@@ -140,6 +150,16 @@ class LinkedInMemoryCard {
           }
           break;
 
+        case "accountSwitched":
+          console.log(
+            "👥 Account switched, loading its memory for this profile"
+          );
+          this.currentMemory = null;
+          this.resetCardForm();
+          this.hideDeleteButton();
+          this.loadExistingMemory();
+          break;
+
         case "memoriesUpdated":
           if (message.action === "reload") {
             console.log("🔄 Global memory update, reloading current profile");
@@ -154,10 +174,11 @@ class LinkedInMemoryCard {
   }
 
   resetCardForm() {
-    const noteInput = document.getElementById("lnms-note-input");
-    if (noteInput) {
-      noteInput.value = "";
-    }
+    this.startNewEntry();
+    this.renderTimeline();
+    this.fillRelationshipFields();
+    this.fillCustomFields();
+    this.renderContactInfo();
 
     // Clear selected tags
     document.querySelectorAll(".lnms-quick-tag").forEach((tag) => {
@@ -174,19 +195,512 @@ class LinkedInMemoryCard {
   }
 
   updateCardWithMemory(memory) {
+    this.currentMemory = MemorySchema.toStored(memory);
+    this.renderTimeline();
+    this.fillRelationshipFields();
+    this.fillCustomFields();
+    this.renderContactInfo();
+
+    // The entry being written may have been edited or removed elsewhere
+    const entry = this.currentMemory.entries.find(
+      (candidate) => candidate.id === this.editingEntryId
+    );
     const noteInput = document.getElementById("lnms-note-input");
-    if (noteInput && noteInput.value !== memory.note) {
-      noteInput.value = memory.note || "";
-      this.updateQuickTagSelection();
-
-      // Show delete button if memory has content
-      const deleteBtn = document.getElementById("lnms-delete-btn");
-      if (deleteBtn) {
-        deleteBtn.style.display = memory.note ? "block" : "none";
+    if (!entry) {
+      if (this.editingEntryId) this.startNewEntry();
+    } else if (noteInput && noteInput.value.trim() !== entry.text) {
+      this.editEntry(entry);
+    }
+
+    // Show delete button if memory has content
+    const deleteBtn = document.getElementById("lnms-delete-btn");
+    if (deleteBtn) {
+      deleteBtn.style.display =
+        this.currentMemory.entries.length > 0 ? "block" : "none";
+    }
+    this.renderTrashState();
+  }
+
+  // A trashed memory is shown read-only until it is restored; edits saved
+  // over it would replace the timeline the trash is keeping
+  renderTrashState() {
+    const trashed = Boolean(this.currentMemory?.deletedAt);
+    const notice = document.getElementById("lnms-trash-notice");
+    if (notice) {
+      notice.style.display = trashed ? "flex" : "none";
+    }
+
+    document
+      .querySelectorAll(
+        "#lnms-memory-card .lnms-card-body :is(textarea, input, select, button):not(#lnms-restore-btn)"
+      )
+      .forEach((control) => (control.disabled = trashed));
+    if (trashed) this.hideDeleteButton();
+  }
+
+  async restoreMemory() {
+    try {
+      const restored = await this.requestMemoryStorage({
+        type: "restoreFromTrash",
+        storageKey: this.getStorageKey(),
+      });
+      this.updateCardWithMemory(restored);
+      console.log("♻️ Restored memory from trash for:", this.profileData.name);
+    } catch (error) {
+      console.error("Error restoring memory:", error);
+    }
+  }
+
+  // ===== Relationship =====
+  async loadContactNames() {
+    try {
+      this.contactNames = await this.requestMemoryStorage({
+        type: "getContactNames",
+      });
+    } catch (error) {
+      console.error("Error loading contacts:", error);
+      this.contactNames = [];
+    }
+  }
+
+  // Puts the memory's relationship and follow-up into the inputs, leaving
+  // alone the one being typed in
+  fillRelationshipFields() {
+    const memory = this.currentMemory || {};
+    const ownKey = this.getStorageKey();
+
+    const introducedBy = document.querySelector(
+      '#lnms-relationship [data-field="introducedBy"]'
+    );
+    if (introducedBy && introducedBy !== document.activeElement) {
+      introducedBy.innerHTML = `<option value="">Nobody</option>${this.contactNames
+        .filter((contact) => contact.storageKey !== ownKey)
+        .map(
+          (contact) =>
+            `<option value="${this.escapeHTML(
+              contact.storageKey
+            )}">${this.escapeHTML(contact.name)}</option>`
+        )
+        .join("")}`;
+    }
+
+    document
+      .querySelectorAll(
+        "#lnms-relationship [data-field], #lnms-follow-up [data-field]"
+      )
+      .forEach((input) => {
+        if (input === document.activeElement) return;
+        const value = memory[input.dataset.field];
+        input.value =
+          input.type === "date"
+            ? value
+              ? MemorySchema.toDateInput(value)
+              : ""
+            : value || "";
+      });
+
+    this.renderRelationshipSummary();
+  }
+
+  readRelationshipFields() {
+    const fields = {};
+    document
+      .querySelectorAll(
+        "#lnms-relationship [data-field], #lnms-follow-up [data-field]"
+      )
+      .forEach((input) => {
+        fields[input.dataset.field] =
+          input.type === "date"
+            ? MemorySchema.fromDateInput(input.value)
+            : input.value.trim();
+      });
+    return fields;
+  }
+
+  renderRelationshipSummary() {
+    const summary = document.getElementById("lnms-relationship-summary");
+    if (!summary) return;
+
+    const memory = this.currentMemory || {};
+    const introducer = this.contactNames.find(
+      (contact) => contact.storageKey === memory.introducedBy
+    );
+    summary.textContent = [
+      memory.metAt && `📍 ${memory.metAt}`,
+      memory.metOn && `📅 ${new Date(memory.metOn).toLocaleDateString()}`,
+      introducer && `🤝 via ${introducer.name}`,
+      memory.relationshipType &&
+        `💼 ${
+          memory.relationshipType.charAt(0).toUpperCase() +
+          memory.relationshipType.slice(1)
+        }`,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+    const followUp = document.getElementById("lnms-follow-up-summary");
+    if (followUp) {
+      followUp.textContent = memory.followUpOn
+        ? [
+            `⏰ Follow up ${new Date(memory.followUpOn).toLocaleDateString()}`,
+            memory.followUpNote,
+          ]
+            .filter(Boolean)
+            .join(" · ")
+        : "";
+      followUp.classList.toggle(
+        "lnms-follow-up-due",
+        MemorySchema.isFollowUpDue(memory)
+      );
+    }
+  }
+
+  // Clearing the date is what marks a follow-up done, on every device
+  completeFollowUp() {
+    document
+      .querySelectorAll("#lnms-follow-up [data-field]")
+      .forEach((input) => (input.value = ""));
+    this.autoSave();
+  }
+
+  // About, every school and the skills, as read from the profile
+  renderBackground() {
+    const section = document.getElementById("lnms-background");
+    if (!section) return;
+
+    const { bio, educations = [], skills = [] } = this.profileData;
+    section.hidden = !bio && educations.length === 0 && skills.length === 0;
+    const body = section.querySelector(".lnms-background-body");
+    body.innerHTML = [
+      ...educations.map(
+        (education) =>
+          `<div>🎓 ${this.escapeHTML(
+            MemorySchema.describeEducation(education)
+          )}</div>`
+      ),
+      skills.length > 0 &&
+        `<div>🛠️ ${this.escapeHTML(skills.join(", "))}</div>`,
+    ]
+      .filter(Boolean)
+      .join("");
+
+    // Built through the DOM: the About is the profile owner's own text, and
+    // goes into an attribute in full
+    if (bio) {
+      const about = document.createElement("div");
+      about.className = "lnms-background-about";
+      about.title = bio;
+      about.textContent = bio.length > 280 ? `${bio.slice(0, 280)}…` : bio;
+      body.prepend(about);
+    }
+  }
+
+  // ===== Contact Info =====
+  // Only read when asked: the capture button opens LinkedIn's Contact info
+  // overlay (or uses the one already open) and saves what it lists
+  captureContactInfo() {
+    this.stopContactCapture();
+    this.setContactStatus("Reading contact info...");
+
+    if (!this.findContactInfoOverlay()) {
+      const link =
+        document.getElementById("top-card-text-details-contact-info") ||
+        document.querySelector('a[href*="/overlay/contact-info"]');
+      if (!link) {
+        this.setContactStatus(
+          "No Contact info on this profile - only 1st-degree connections share it"
+        );
+        return;
       }
+      link.click();
+    }
+
+    // The overlay loads after its URL changes; give it a few seconds
+    let attempts = 0;
+    this.contactCaptureTimer = setInterval(async () => {
+      attempts++;
+      const overlay = this.findContactInfoOverlay();
+      if (overlay && overlay.querySelector("section")) {
+        this.stopContactCapture();
+        await this.saveContactInfo(this.parseContactInfo(overlay));
+      } else if (attempts >= 20) {
+        this.stopContactCapture();
+        this.setContactStatus("Contact info didn't open, try again");
+      }
+    }, 250);
+  }
+
+  stopContactCapture() {
+    if (this.contactCaptureTimer) {
+      clearInterval(this.contactCaptureTimer);
+      this.contactCaptureTimer = null;
     }
   }
 
+  findContactInfoOverlay() {
+    const content = document.querySelector(
+      ".pv-contact-info, .artdeco-modal [class*='contact-info']"
+    );
+    return content?.closest(".artdeco-modal") || content;
+  }
+
+  // Each kind of contact detail has a section with a heading; anything we
+  // don't recognise (address, IM) is left out
+  parseContactInfo(overlay) {
+    const contact = { email: "", phone: "", websites: [], birthday: "" };
+
+    overlay.querySelectorAll("section").forEach((section) => {
+      const heading = section
+        .querySelector("h3, header")
+        ?.textContent.trim()
+        .toLowerCase();
+      if (!heading) return;
+
+      const body = Array.from(section.querySelectorAll("a, span, li"))
+        .map((element) => element.textContent.trim())
+        .find((text) => text && text.toLowerCase() !== heading);
+
+      if (heading.startsWith("email")) {
+        const mailto = section.querySelector('a[href^="mailto:"]');
+        contact.email = mailto
+          ? decodeURIComponent(mailto.href.replace(/^mailto:/, ""))
+          : body || "";
+      } else if (heading.startsWith("phone")) {
+        // "+1 555 0100 (Mobile)"
+        contact.phone = (body || "").replace(/\s*\([^)]*\)\s*$/, "");
+      } else if (heading.startsWith("website")) {
+        contact.websites = Array.from(section.querySelectorAll("a[href]"))
+          .map((link) => this.unwrapRedirect(link.href))
+          .filter((href) => href && !ProfileIdentity.isProfileUrl(href));
+      } else if (heading.startsWith("birthday")) {
+        contact.birthday = body || "";
+      }
+    });
+
+    return contact;
+  }
+
+  // Links in the overlay may go through LinkedIn's redirect
+  unwrapRedirect(href) {
+    try {
+      const url = new URL(href);
+      if (/linkedin\.com$/.test(url.hostname) && url.searchParams.get("url")) {
+        return url.searchParams.get("url");
+      }
+    } catch (error) {
+      // Not a URL we can parse: keep it as it is
+    }
+    return href;
+  }
+
+  async saveContactInfo(contact) {
+    if (!MEMORY_CONTACT_FIELDS.some((field) => contact[field].length > 0)) {
+      this.setContactStatus("Nothing to save in Contact info");
+      return;
+    }
+
+    // Starts a memory for this person if there isn't one yet
+    this.currentMemory = MemorySchema.toStored({
+      ...this.currentMemory,
+      name: this.profileData.name,
+      url: this.profileData.url,
+      ...contact,
+    });
+    await this.saveMemory();
+    this.renderContactInfo();
+    this.setContactStatus("✅ Contact info saved");
+  }
+
+  renderContactInfo() {
+    const values = document.getElementById("lnms-contact-values");
+    if (!values) return;
+
+    const memory = this.currentMemory || {};
+    const rows = [
+      memory.email && `✉️ ${memory.email}`,
+      memory.phone && `📞 ${memory.phone}`,
+      ...(memory.websites || []).map((website) => `🔗 ${website}`),
+      memory.birthday && `🎂 ${memory.birthday}`,
+    ].filter(Boolean);
+
+    values.innerHTML = rows
+      .map((row) => `<div>${this.escapeHTML(row)}</div>`)
+      .join("");
+  }
+
+  setContactStatus(text) {
+    const status = document.getElementById("lnms-contact-status");
+    if (status) status.textContent = text;
+  }
+
+  // ===== Custom Fields =====
+  // Defined in the popup's settings; the inputs are built once they load
+  async loadCustomFields() {
+    try {
+      this.customFieldDefinitions = await this.requestMemoryStorage({
+        type: "getCustomFields",
+      });
+    } catch (error) {
+      console.error("Error loading custom fields:", error);
+      this.customFieldDefinitions = [];
+    }
+    this.renderCustomFieldInputs();
+  }
+
+  renderCustomFieldInputs() {
+    const section = document.getElementById("lnms-custom-fields");
+    if (!section) return;
+
+    section.hidden = this.customFieldDefinitions.length === 0;
+    section.querySelector(".lnms-relationship-fields").innerHTML =
+      this.customFieldDefinitions
+        .map((field) => {
+          const id = this.escapeHTML(field.id);
+          const label = `<span>${this.escapeHTML(field.label)}</span>`;
+          switch (field.type) {
+            case "checkbox":
+              return `<label class="lnms-field lnms-field-checkbox"><input type="checkbox" data-custom-field="${id}">${label}</label>`;
+            case "select":
+              return `<label class="lnms-field">${label}<select class="lnms-field-input" data-custom-field="${id}"></select></label>`;
+            default:
+              return `<label class="lnms-field">${label}<input type="${field.type}" class="lnms-field-input" data-custom-field="${id}"></label>`;
+          }
+        })
+        .join("");
+
+    // Options through the DOM, so one with quotes in it keeps its exact value
+    this.customFieldDefinitions
+      .filter((field) => field.type === "select")
+      .forEach((field) =>
+        section
+          .querySelector(`[data-custom-field="${CSS.escape(field.id)}"]`)
+          .replaceChildren(
+            new Option("Not set", ""),
+            ...field.options.map((option) => new Option(option, option))
+          )
+      );
+
+    this.fillCustomFields();
+  }
+
+  // Like the relationship, leaving alone the input being typed in
+  fillCustomFields() {
+    const values = this.currentMemory?.customFields || {};
+    document
+      .querySelectorAll("#lnms-custom-fields [data-custom-field]")
+      .forEach((input) => {
+        if (input === document.activeElement) return;
+        const value = values[input.dataset.customField];
+        if (input.type === "checkbox") {
+          input.checked = !!value;
+        } else if (input.type === "date") {
+          input.value = value ? MemorySchema.toDateInput(value) : "";
+        } else {
+          input.value = value ?? "";
+        }
+      });
+
+    this.renderCustomFieldSummary();
+  }
+
+  // Values of fields this device doesn't define are kept as they are
+  readCustomFields() {
+    const values = { ...this.currentMemory?.customFields };
+    this.customFieldDefinitions.forEach((field) => {
+      const input = document.querySelector(
+        `#lnms-custom-fields [data-custom-field="${CSS.escape(field.id)}"]`
+      );
+      if (!input) return;
+      values[field.id] = MemorySchema.parseCustomFieldValue(
+        field.type,
+        input.type === "checkbox" ? input.checked : input.value
+      );
+    });
+    return MemorySchema.normalizeCustomFields(values);
+  }
+
+  renderCustomFieldSummary() {
+    const summary = document.getElementById("lnms-custom-summary");
+    if (!summary) return;
+
+    summary.textContent = Object.entries(this.currentMemory?.customFields || {})
+      .map(([id, value]) => {
+        const definition = this.customFieldDefinitions.find(
+          (field) => field.id === id
+        );
+        const text = MemorySchema.formatCustomFieldValue(definition, value);
+        return text
+          ? `${MemorySchema.customFieldLabel(
+              this.customFieldDefinitions,
+              id
+            )}: ${text}`
+          : "";
+      })
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  // ===== Timeline =====
+  renderTimeline() {
+    const timeline = document.getElementById("lnms-timeline");
+    if (!timeline) return;
+
+    // Newest first, right above the note box
+    const entries = [...(this.currentMemory?.entries || [])].reverse();
+    timeline.innerHTML = entries
+      .map(
+        (entry) => `
+        <div class="lnms-timeline-entry${
+          entry.id === this.editingEntryId ? " editing" : ""
+        }" data-entry-id="${this.escapeHTML(entry.id)}" title="Edit this entry">
+          <div class="lnms-timeline-date">${new Date(
+            entry.date
+          ).toLocaleDateString()}</div>
+          <div class="lnms-timeline-text">${this.escapeHTML(
+            entry.text || "(no text)"
+          )}</div>
+        </div>
+      `
+      )
+      .join("");
+
+    timeline.querySelectorAll(".lnms-timeline-entry").forEach((element) => {
+      element.addEventListener("click", () => {
+        const entry = this.currentMemory?.entries.find(
+          (candidate) => candidate.id === element.dataset.entryId
+        );
+        if (entry) this.editEntry(entry);
+      });
+    });
+  }
+
+  // Loads an entry into the note box, where changes save to it
+  editEntry(entry) {
+    this.editingEntryId = entry.id;
+
+    const noteInput = document.getElementById("lnms-note-input");
+    const dateInput = document.getElementById("lnms-entry-date");
+    if (noteInput) noteInput.value = entry.text;
+    if (dateInput) dateInput.value = MemorySchema.toDateInput(entry.date);
+
+    this.updateQuickTagSelection();
+    this.renderTimeline();
+    noteInput?.focus();
+  }
+
+  // Empties the note box for an entry dated today
+  startNewEntry() {
+    this.editingEntryId = null;
+
+    const noteInput = document.getElementById("lnms-note-input");
+    const dateInput = document.getElementById("lnms-entry-date");
+    if (noteInput) noteInput.value = "";
+    if (dateInput) dateInput.value = MemorySchema.toDateInput(Date.now());
+
+    this.updateQuickTagSelection();
+    this.renderTimeline();
+  }
+
   checkProfilePage() {
     const url = window.location.href;
     const profilePattern =
@@ -334,20 +848,202 @@ class LinkedInMemoryCard {
     }
 
     this.profileData = {
-      url: window.location.href.split("?")[0],
+      url: ProfileIdentity.canonicalUrl(window.location.href),
+      memberUrn: this.extractMemberUrn(mainContent),
       name: name,
       title: title || "",
       company: company || "",
       location: location || "",
       education: education || "",
       bio: bio || "",
+      positions: [],
+      educations: [],
+      skills: [],
       extractedAt: Date.now(),
     };
+    // Better than the headline guess, when the sections have loaded
+    this.extractProfileSections();
 
     console.log("Successfully extracted profile data:", this.profileData);
     return true;
   }
 
+  // ===== Profile Sections =====
+  // Experience, About, Education and Skills load lazily below the top card,
+  // so this runs again once the page has settled. Only what is found
+  // replaces what we have.
+  extractProfileSections() {
+    if (this.profileData.positions.length === 0) {
+      this.applyPositions(this.extractPositions());
+    }
+
+    const about = this.extractAbout();
+    if (about.bio) this.profileData.bio = about.bio;
+
+    const educations = this.extractEducations();
+    if (educations.length > 0) {
+      this.profileData.educations = educations;
+      this.profileData.education = educations[0].school;
+    }
+
+    const skills = MemorySchema.parseList([
+      ...this.extractSkills(),
+      ...about.topSkills,
+    ]);
+    if (skills.length > 0) this.profileData.skills = skills;
+  }
+
+  // Text LinkedIn shows to sighted users; each also has a screen reader
+  // copy we skip
+  getVisibleTexts(element) {
+    return Array.from(element.querySelectorAll('span[aria-hidden="true"]'))
+      .map((span) => span.textContent.trim())
+      .filter(Boolean);
+  }
+
+  getSection(anchorId) {
+    return document.getElementById(anchorId)?.closest("section") || null;
+  }
+
+  // The entries of a section, without the roles nested inside them
+  getTopLevelItems(section) {
+    return Array.from(section.querySelectorAll("li")).filter(
+      (li) => !li.parentElement.closest("li")
+    );
+  }
+
+  // One position per role. Several roles at one company are grouped under
+  // the company's name, each with its own title and dates.
+  extractPositions() {
+    const section = this.getSection("experience");
+    if (!section) return [];
+
+    const isDates = (text) =>
+      /\b(19|20)\d{2}\b|Present/.test(text) && /[-–]/.test(text);
+    const texts = (element) => this.getVisibleTexts(element);
+
+    const positions = [];
+    try {
+      this.getTopLevelItems(section).forEach((item) => {
+        const roles = Array.from(item.querySelectorAll("li")).filter((li) =>
+          texts(li).some(isDates)
+        );
+
+        if (roles.length > 0) {
+          const company = texts(item)[0];
+          roles.forEach((role) => {
+            const roleTexts = texts(role);
+            positions.push({
+              title: roleTexts[0],
+              company,
+              dates: roleTexts.find(isDates),
+            });
+          });
+        } else {
+          const itemTexts = texts(item);
+          if (!itemTexts.some(isDates)) return;
+          positions.push({
+            title: itemTexts[0],
+            // "Acme · Full-time"
+            company: (itemTexts[1] || "").split("·")[0],
+            dates: itemTexts.find(isDates),
+          });
+        }
+      });
+    } catch (error) {
+      console.error("Error extracting experience:", error);
+    }
+
+    return MemorySchema.normalizePositions(positions);
+  }
+
+  applyPositions(positions) {
+    if (positions.length === 0) return;
+
+    this.profileData.positions = positions;
+    this.profileData.title = positions[0].title || this.profileData.title;
+    this.profileData.company = positions[0].company || this.profileData.company;
+  }
+
+  // The About text, and the "Top skills" line LinkedIn may show under it
+  extractAbout() {
+    const about = { bio: "", topSkills: [] };
+    const section = this.getSection("about");
+    if (!section) return about;
+
+    try {
+      const texts = this.getVisibleTexts(section);
+      const topSkillsIndex = texts.findIndex((text) =>
+        /^top skills$/i.test(text)
+      );
+      const topSkillsLine =
+        topSkillsIndex === -1 ? "" : texts[topSkillsIndex + 1] || "";
+      about.topSkills = topSkillsLine.split("•");
+
+      // The longest text left is the About itself
+      about.bio = texts
+        .filter(
+          (text) =>
+            text !== topSkillsLine && !/^(about|top skills)$/i.test(text)
+        )
+        .reduce(
+          (longest, text) => (text.length > longest.length ? text : longest),
+          ""
+        );
+    } catch (error) {
+      console.error("Error extracting about:", error);
+    }
+
+    return about;
+  }
+
+  // Every school: its name, then "Degree, Field" and the years when given
+  extractEducations() {
+    const section = this.getSection("education");
+    if (!section) return [];
+
+    const isYears = (text) =>
+      /^([A-Za-z]+ )?(19|20)\d{2}( [-–] (([A-Za-z]+ )?(19|20)\d{2}|Present))?$/.test(
+        text
+      );
+
+    const educations = [];
+    try {
+      this.getTopLevelItems(section).forEach((item) => {
+        const [school, ...rest] = this.getVisibleTexts(item);
+        const details = rest.find((text) => !isYears(text)) || "";
+        const separator = details.indexOf(", ");
+        educations.push({
+          school,
+          degree: separator === -1 ? details : details.slice(0, separator),
+          field: separator === -1 ? "" : details.slice(separator + 2),
+          years: rest.find(isYears),
+        });
+      });
+    } catch (error) {
+      console.error("Error extracting education:", error);
+    }
+
+    return MemorySchema.normalizeEducations(educations);
+  }
+
+  // The skills shown on the profile page, usually the top few
+  extractSkills() {
+    const section = this.getSection("skills");
+    if (!section) return [];
+
+    return this.getTopLevelItems(section)
+      .map((item) => this.getVisibleTexts(item)[0])
+      .filter(Boolean);
+  }
+
+  // LinkedIn's own id for the member, found in the top card's links; the
+  // rest of the page links to other people too
+  extractMemberUrn(mainContent) {
+    const topCard = mainContent.querySelector("section");
+    return ProfileIdentity.parseMemberUrn(topCard?.innerHTML) || "";
+  }
+
   createMemoryCard() {
     this.cleanup();
 
@@ -379,6 +1075,13 @@ class LinkedInMemoryCard {
       conference: "🎤",
     };
 
+    const relationshipOptionsHTML = RELATIONSHIP_TYPES.map(
+      (type) =>
+        `<option value="${type}">${
+          type.charAt(0).toUpperCase() + type.slice(1)
+        }</option>`
+    ).join("");
+
     const quickTagsHTML = this.quickTags
       .map(
         (tag) =>
@@ -394,7 +1097,7 @@ class LinkedInMemoryCard {
           )}" alt="Memory Card" style="width: 28px; height: 28px; vertical-align: middle;">
         </h3>
         <div class="lnms-controls">
-          <button class="lnms-control-btn lnms-delete-btn" id="lnms-delete-btn" title="Delete Memory" style="display: none;">🗑️</button>
+          <button class="lnms-control-btn lnms-delete-btn" id="lnms-delete-btn" title="Move to trash" style="display: none;">🗑️</button>
           <button class="lnms-control-btn" id="lnms-minimize" title="Minimize">−</button>
           <button class="lnms-control-btn" id="lnms-close" title="Close">×</button>
         </div>
@@ -413,6 +1116,78 @@ class LinkedInMemoryCard {
               .filter((item) => item)
               .join(" • ")
           )}</div>
+          <div class="lnms-relationship-summary" id="lnms-relationship-summary"></div>
+          <div class="lnms-relationship-summary" id="lnms-custom-summary"></div>
+          <div class="lnms-relationship-summary" id="lnms-follow-up-summary"></div>
+        </div>
+
+        <div class="lnms-trash-notice" id="lnms-trash-notice" style="display: none;">
+          <span>🗑️ This memory is in the trash</span>
+          <button class="lnms-new-entry-btn" id="lnms-restore-btn">Restore</button>
+        </div>
+        
+        <details class="lnms-relationship" id="lnms-relationship">
+          <summary>How you know them</summary>
+          <div class="lnms-relationship-fields">
+            <label class="lnms-field">
+              <span>📍 Met at</span>
+              <input type="text" class="lnms-field-input" data-field="metAt" placeholder="Event or place">
+            </label>
+            <label class="lnms-field">
+              <span>📅 Met on</span>
+              <input type="date" class="lnms-field-input" data-field="metOn">
+            </label>
+            <label class="lnms-field">
+              <span>🤝 Introduced by</span>
+              <select class="lnms-field-input" data-field="introducedBy"></select>
+            </label>
+            <label class="lnms-field">
+              <span>💼 Relationship</span>
+              <select class="lnms-field-input" data-field="relationshipType">
+                <option value="">Not set</option>
+                ${relationshipOptionsHTML}
+              </select>
+            </label>
+          </div>
+        </details>
+        
+        <details class="lnms-relationship" id="lnms-follow-up">
+          <summary>Follow up</summary>
+          <div class="lnms-relationship-fields">
+            <label class="lnms-field">
+              <span>⏰ On</span>
+              <input type="date" class="lnms-field-input" data-field="followUpOn">
+            </label>
+            <label class="lnms-field">
+              <span>📝 About</span>
+              <input type="text" class="lnms-field-input" data-field="followUpNote" placeholder="Ping after the Q3 launch">
+            </label>
+          </div>
+          <button class="lnms-new-entry-btn" id="lnms-follow-up-done" title="Clear this follow-up">✓ Done</button>
+        </details>
+        
+        <details class="lnms-relationship" id="lnms-background" hidden>
+          <summary>About & background</summary>
+          <div class="lnms-contact-values lnms-background-body"></div>
+        </details>
+        
+        <details class="lnms-relationship" id="lnms-contact">
+          <summary>Contact info</summary>
+          <div class="lnms-contact-values" id="lnms-contact-values"></div>
+          <button class="lnms-new-entry-btn" id="lnms-capture-contact" title="Read email, phone, websites and birthday from LinkedIn's Contact info">📇 Capture from Contact info</button>
+          <div class="lnms-contact-status" id="lnms-contact-status"></div>
+        </details>
+        
+        <details class="lnms-relationship" id="lnms-custom-fields" hidden>
+          <summary>More details</summary>
+          <div class="lnms-relationship-fields"></div>
+        </details>
+        
+        <div class="lnms-timeline" id="lnms-timeline"></div>
+        
+        <div class="lnms-entry-bar">
+          <input type="date" class="lnms-entry-date" id="lnms-entry-date" title="When this happened">
+          <button class="lnms-new-entry-btn" id="lnms-new-entry" title="Write about another interaction">＋ New entry</button>
         </div>
         
         <div class="lnms-tags-section">
@@ -424,7 +1199,7 @@ class LinkedInMemoryCard {
         <textarea 
           class="lnms-textarea" 
           id="lnms-note-input"
-          placeholder="Type your memory here..."
+          placeholder="What happened? Met at a conference, a coffee chat..."
           rows="4"
         ></textarea>
         
@@ -446,12 +1221,56 @@ class LinkedInMemoryCard {
     document
       .getElementById("lnms-delete-btn")
       ?.addEventListener("click", () => this.deleteMemory());
+    document
+      .getElementById("lnms-restore-btn")
+      ?.addEventListener("click", () => this.restoreMemory());
 
     // Quick tags
     document.querySelectorAll(".lnms-quick-tag").forEach((tag) => {
       tag.addEventListener("click", () => this.toggleQuickTag(tag));
     });
 
+    // Timeline entries
+    document.getElementById("lnms-new-entry")?.addEventListener("click", () => {
+      this.startNewEntry();
+      document.getElementById("lnms-note-input")?.focus();
+    });
+    const dateInput = document.getElementById("lnms-entry-date");
+    if (dateInput) {
+      dateInput.value = MemorySchema.toDateInput(Date.now());
+      dateInput.addEventListener("change", () => this.autoSave());
+    }
+
+    // Relationship and follow-up fields save like the note
+    document
+      .querySelectorAll(
+        "#lnms-relationship [data-field], #lnms-follow-up [data-field]"
+      )
+      .forEach((input) => {
+        input.addEventListener(
+          input.tagName === "SELECT" || input.type === "date"
+            ? "change"
+            : "input",
+          () => this.autoSave()
+        );
+      });
+
+    document
+      .getElementById("lnms-follow-up-done")
+      ?.addEventListener("click", () => this.completeFollowUp());
+
+    document
+      .getElementById("lnms-capture-contact")
+      ?.addEventListener("click", () => this.captureContactInfo());
+
+    // Custom fields are rebuilt when their definitions load
+    const customFields = document.getElementById("lnms-custom-fields");
+    ["input", "change"].forEach((type) => {
+      customFields?.addEventListener(type, (e) => {
+        if (e.target.dataset.customField) this.autoSave();
+      });
+    });
+
     // Auto-save with improved debouncing
     const noteInput = document.getElementById("lnms-note-input");
     if (noteInput) {
@@ -619,21 +1438,30 @@ class LinkedInMemoryCard {
     try {
       console.log("🔍 Loading existing memory for:", this.profileData.name);
 
-      const result = await chrome.storage.local.get(storageKey);
-      this.currentMemory = result[storageKey] || null;
-
-      if (this.currentMemory) {
+      const stored = await this.requestMemoryStorage({
+        type: "getMemory",
+        storageKey,
+        url: this.profileData.url,
+        memberUrn: this.profileData.memberUrn,
+      });
+      this.currentMemory = stored ? MemorySchema.toStored(stored) : null;
+      await this.loadContactNames();
+      this.fillRelationshipFields();
+      this.renderContactInfo();
+      await this.loadCustomFields();
+
+      if (this.currentMemory?.deletedAt) {
+        console.log("🗑️ Memory for this profile is in the trash");
+        this.startNewEntry();
+        this.renderTimeline();
+        this.mergeProfileDataWithStored(this.currentMemory);
+      } else if (this.currentMemory) {
         console.log(
           "📝 Found existing memory:",
-          this.currentMemory.note?.substring(0, 50) + "..."
+          `${this.currentMemory.entries.length} timeline entries`
         );
 
-        const noteInput = document.getElementById("lnms-note-input");
-        if (noteInput) {
-          noteInput.value = this.currentMemory.note || "";
-        }
-
-        this.updateQuickTagSelection();
+        this.startNewEntry();
 
         const deleteBtn = document.getElementById("lnms-delete-btn");
         if (deleteBtn) {
@@ -652,7 +1480,12 @@ class LinkedInMemoryCard {
         if (deleteBtn) {
           deleteBtn.style.display = "none";
         }
+
+        // For when a memory is started on this visit
+        this.extractProfileSections();
       }
+      this.renderBackground();
+      this.renderTrashState();
     } catch (error) {
       console.error("Error loading existing memory:", error);
     }
@@ -662,6 +1495,22 @@ class LinkedInMemoryCard {
   mergeProfileDataWithStored(storedMemory) {
     if (!storedMemory) return;
 
+    // Without the Experience section the headline guess would undo what it
+    // gave us last time
+    if (
+      this.profileData.positions.length === 0 &&
+      storedMemory.positions?.length > 0
+    ) {
+      this.profileData.title = storedMemory.title;
+      this.profileData.company = storedMemory.company;
+    }
+    if (
+      this.profileData.educations.length === 0 &&
+      storedMemory.educations?.length > 0
+    ) {
+      this.profileData.education = storedMemory.education;
+    }
+
     // Preserve extracted data but fill in gaps from stored memory
     this.profileData = {
       ...this.profileData,
@@ -671,6 +1520,14 @@ class LinkedInMemoryCard {
       location: this.profileData.location || storedMemory.location || "",
       education: this.profileData.education || storedMemory.education || "",
       bio: this.profileData.bio || storedMemory.bio || "",
+      educations:
+        this.profileData.educations.length > 0
+          ? this.profileData.educations
+          : storedMemory.educations || [],
+      skills:
+        this.profileData.skills.length > 0
+          ? this.profileData.skills
+          : storedMemory.skills || [],
     };
 
     console.log("🔗 Merged profile data:", this.profileData);
@@ -719,12 +1576,43 @@ class LinkedInMemoryCard {
   // ===== FIXED: Enhanced Save Memory =====
   async saveMemory() {
     const noteInput = document.getElementById("lnms-note-input");
-    if (!noteInput) return;
+    if (!noteInput || this.currentMemory?.deletedAt) return;
 
     const note = noteInput.value.trim();
+    const date =
+      MemorySchema.fromDateInput(
+        document.getElementById("lnms-entry-date")?.value
+      ) || Date.now();
+    const tags = this.extractTagsFromNote(note);
+
+    // The note box writes to one entry; emptying it removes that entry
+    let entries = (this.currentMemory?.entries || []).filter(
+      (entry) => entry.id !== this.editingEntryId
+    );
+    if (note) {
+      const entry = this.currentMemory?.entries.find(
+        (candidate) => candidate.id === this.editingEntryId
+      );
+      const saved = entry
+        ? { ...entry, text: note, tags, date }
+        : MemorySchema.createEntry(note, tags, date);
+      entries = [...entries, saved];
+      this.editingEntryId = saved.id;
+    } else {
+      this.editingEntryId = null;
+    }
+
+    const relationship = this.readRelationshipFields();
+    const customFields = this.readCustomFields();
+    // What this visit read, unless the memory has it already
+    const known = (field) =>
+      this.currentMemory?.[field]?.length > 0
+        ? this.currentMemory[field]
+        : this.profileData[field] || [];
 
     // ✅ Preserve existing data, update with latest
-    const memory = {
+    const memory = MemorySchema.toStored({
+      ...this.currentMemory,
       name: this.profileData.name,
       title: this.currentMemory?.title || this.profileData.title || "",
       company: this.currentMemory?.company || this.profileData.company || "",
@@ -732,22 +1620,42 @@ class LinkedInMemoryCard {
       education:
         this.currentMemory?.education || this.profileData.education || "",
       bio: this.currentMemory?.bio || this.profileData.bio || "",
+      positions: known("positions"),
+      educations: known("educations"),
+      skills: known("skills"),
       url: this.profileData.url,
+      memberUrn:
+        this.profileData.memberUrn || this.currentMemory?.memberUrn || "",
+      ...relationship,
+      customFields,
 
-      note: note,
-      tags: this.extractTagsFromNote(note),
+      entries,
 
       updatedAt: Date.now(),
       createdAt: this.currentMemory?.createdAt || Date.now(),
-    };
+    });
 
     const storageKey = this.getStorageKey();
 
     try {
-      if (note) {
+      // An emptied timeline is saved like any other edit; only the delete
+      // button moves a memory to the trash
+      if (
+        entries.length > 0 ||
+        this.currentMemory ||
+        Object.values(relationship).some(Boolean) ||
+        Object.keys(customFields).length > 0
+      ) {
         // Save memory with complete profile data
-        await chrome.storage.local.set({ [storageKey]: memory });
+        await this.requestMemoryStorage({
+          type: "saveMemory",
+          storageKey,
+          memory,
+        });
         this.currentMemory = memory;
+        this.renderTimeline();
+        this.renderRelationshipSummary();
+        this.renderCustomFieldSummary();
 
         const deleteBtn = document.getElementById("lnms-delete-btn");
         if (deleteBtn) {
@@ -771,17 +1679,6 @@ class LinkedInMemoryCard {
           .catch(() => {
             // Popup might be closed, ignore error
           });
-      } else {
-        // Remove memory if note is empty
-        await chrome.storage.local.remove(storageKey);
-        this.currentMemory = null;
-
-        const deleteBtn = document.getElementById("lnms-delete-btn");
-        if (deleteBtn) {
-          deleteBtn.style.display = "none";
-        }
-
-        console.log("🗑️ Removed empty memory for:", this.profileData.name);
       }
     } catch (error) {
       console.error("Error saving memory:", error);
@@ -789,30 +1686,68 @@ class LinkedInMemoryCard {
   }
   // NEW: Auto-update profile data when visiting profiles
   async updateProfileDataIfChanged() {
-    if (!this.currentMemory) return;
+    if (!this.currentMemory || this.currentMemory.deletedAt) return;
+
+    // The sections below the top card load lazily; they may be there by now
+    this.extractProfileSections();
+    const { positions, educations, skills } = this.profileData;
+    const jobChange = MemorySchema.detectJobChange(
+      this.currentMemory,
+      positions
+    );
+    const profileChanges = MemorySchema.detectProfileChanges(
+      this.currentMemory,
+      this.profileData
+    );
 
     const hasProfileDataChanged =
+      (positions.length > 0 &&
+        JSON.stringify(positions) !==
+          JSON.stringify(this.currentMemory.positions)) ||
       this.profileData.title !== this.currentMemory.title ||
       this.profileData.company !== this.currentMemory.company ||
       this.profileData.location !== this.currentMemory.location ||
-      this.profileData.education !== this.currentMemory.education;
+      this.profileData.education !== this.currentMemory.education ||
+      this.profileData.bio !== this.currentMemory.bio ||
+      JSON.stringify(educations) !==
+        JSON.stringify(this.currentMemory.educations) ||
+      JSON.stringify(skills) !== JSON.stringify(this.currentMemory.skills) ||
+      (this.profileData.memberUrn &&
+        this.profileData.memberUrn !== this.currentMemory.memberUrn);
 
     if (hasProfileDataChanged) {
       console.log("🔄 Profile data changed, updating stored memory");
 
       // Update the stored memory with new profile data
-      const updatedMemory = {
+      const updatedMemory = MemorySchema.toStored({
         ...this.currentMemory,
         title: this.profileData.title || this.currentMemory.title,
         company: this.profileData.company || this.currentMemory.company,
         location: this.profileData.location || this.currentMemory.location,
         education: this.profileData.education || this.currentMemory.education,
         bio: this.profileData.bio || this.currentMemory.bio,
+        memberUrn: this.profileData.memberUrn || this.currentMemory.memberUrn,
+        positions:
+          positions.length > 0 ? positions : this.currentMemory.positions,
+        educations,
+        skills,
+        // Added to, never overwritten
+        jobChanges: jobChange
+          ? [...this.currentMemory.jobChanges, jobChange]
+          : this.currentMemory.jobChanges,
+        profileChanges: [
+          ...this.currentMemory.profileChanges,
+          ...profileChanges,
+        ],
         updatedAt: Date.now(),
-      };
+      });
 
       const storageKey = this.getStorageKey();
-      await chrome.storage.local.set({ [storageKey]: updatedMemory });
+      await this.requestMemoryStorage({
+        type: "saveMemory",
+        storageKey,
+        memory: updatedMemory,
+      });
       this.currentMemory = updatedMemory;
 
       // Trigger background sync if connected to Google Drive
@@ -823,6 +1758,23 @@ class LinkedInMemoryCard {
           memory: updatedMemory,
         })
         .catch(() => {});
+
+      // The background raises the alert
+      const events = [
+        ...(jobChange ? [{ ...jobChange, type: "job" }] : []),
+        ...profileChanges.map((change) => ({ ...change, type: "profile" })),
+      ];
+      if (events.length > 0) {
+        console.log("💼 Profile changes noticed:", events);
+        chrome.runtime
+          .sendMessage({
+            type: "profileChanged",
+            url: this.profileData.url,
+            name: updatedMemory.name,
+            events,
+          })
+          .catch(() => {});
+      }
     }
   }
 
@@ -832,32 +1784,34 @@ class LinkedInMemoryCard {
     const storageKey = this.getStorageKey();
 
     try {
-      await chrome.storage.local.remove(storageKey);
-      this.currentMemory = null;
+      // The background queues the change for sync; the card keeps the
+      // trashed memory so it can be restored from here or the popup
+      this.currentMemory = await this.requestMemoryStorage({
+        type: "trashMemory",
+        storageKey,
+      });
 
       // Reset the form
       this.resetCardForm();
-      this.hideDeleteButton();
-
-      console.log("🗑️ Deleted memory for:", this.profileData.name);
+      this.renderTrashState();
 
-      // Notify popup about the deletion
-      chrome.runtime
-        .sendMessage({
-          type: "memoryDeleted",
-          url: this.profileData.url,
-        })
-        .catch(() => {
-          // Popup might be closed, ignore error
-        });
+      console.log("🗑️ Moved memory to trash for:", this.profileData.name);
     } catch (error) {
       console.error("Error deleting memory:", error);
     }
   }
 
+  // Memories live in the extension's IndexedDB, which this page can't open
+  async requestMemoryStorage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response?.success) {
+      throw new Error(response?.error || "Memory storage unavailable");
+    }
+    return response.data;
+  }
+
   getStorageKey() {
-    const cleanUrl = this.profileData.url.replace(/\/$/, "");
-    return `lnms_${btoa(cleanUrl).replace(/[^a-zA-Z0-9]/g, "")}`;
+    return ProfileIdentity.getStorageKey(this.profileData.url);
   }
 
   showCard() {
@@ -898,6 +1852,16 @@ class LinkedInMemoryCard {
     const handleNavigation = () => {
       const newUrl = window.location.href;
 
+      // Overlays such as Contact info change the URL but not the person
+      if (
+        newUrl !== this.currentUrl &&
+        this.isInitialized &&
+        ProfileIdentity.isSameProfile(newUrl, this.profileData?.url)
+      ) {
+        this.currentUrl = newUrl;
+        return;
+      }
+
       if (newUrl !== this.currentUrl) {
         console.log("🧭 Navigation detected:", this.currentUrl, "->", newUrl);
 
@@ -972,6 +1936,7 @@ class LinkedInMemoryCard {
       clearTimeout(this.saveTimeout);
       this.saveTimeout = null;
     }
+    this.stopContactCapture();
 
     if (this.extractionTimeout) {
       clearTimeout(this.extractionTimeout);
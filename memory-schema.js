@@ -0,0 +1,569 @@
+// memory-schema.js
+// The one shape every memory record has, in local storage and in synced
+// files alike, and how older shapes are read. Shared by the background
+// service worker (importScripts), the content script and the popup.
+
+// The shape of one record; unrelated to the storage version that
+// background.js's SCHEMA_MIGRATIONS count up
+const MEMORY_SCHEMA_VERSION = 3;
+
+// Copied from the LinkedIn profile, as opposed to written by the user
+const MEMORY_PROFILE_FIELDS = [
+  "title",
+  "company",
+  "location",
+  "education",
+  "bio",
+];
+
+// Written by the user about how they know the person, all optional.
+// introducedBy holds the storage key of another saved contact and metOn a
+// timestamp.
+const MEMORY_RELATIONSHIP_FIELDS = [
+  "metAt",
+  "metOn",
+  "introducedBy",
+  "relationshipType",
+];
+
+const RELATIONSHIP_TYPES = [
+  "colleague",
+  "classmate",
+  "client",
+  "mentor",
+  "mentee",
+  "recruiter",
+  "investor",
+  "friend",
+  "other",
+];
+
+// A reminder to get back in touch: followUpOn is the day, as a timestamp
+// like metOn, and followUpNote says why. Cleared once done.
+const MEMORY_FOLLOW_UP_FIELDS = ["followUpOn", "followUpNote"];
+
+// Read from the Contact info overlay of a 1st-degree connection when the
+// user asks for it. websites is a list; birthday is kept as LinkedIn shows
+// it, usually without a year.
+const MEMORY_CONTACT_FIELDS = ["email", "phone", "websites", "birthday"];
+
+// Fields the user defines in settings. Values are kept per memory under
+// customFields, keyed by the field's id.
+const CUSTOM_FIELD_TYPES = ["text", "number", "date", "select", "checkbox"];
+
+// Added while a record is in use, never stored
+const MEMORY_RUNTIME_FIELDS = ["storageKey", "source"];
+
+// The account registry, read by the background and by the memory store to
+// pick the active account's database
+const ACCOUNTS_STORAGE_KEY = "lnms_accounts";
+const DEFAULT_ACCOUNT_ID = "default";
+
+// lnms_ keys that hold something other than a memory. Keep in line with the
+// storage keys configured in background.js.
+const RESERVED_STORAGE_KEYS = [
+  "lnms_tombstones",
+  "lnms_sync_base",
+  "lnms_conflicts",
+  "lnms_sync_queue",
+  "lnms_drive_changes",
+  "lnms_device_id",
+  "lnms_encryption",
+  "lnms_snapshot_state",
+  "lnms_sync_journal",
+  ACCOUNTS_STORAGE_KEY,
+  "lnms_schema_version",
+  "lnms_ignored_duplicates",
+  "lnms_follow_up_notified",
+  "lnms_custom_fields",
+];
+const RESERVED_STORAGE_PREFIXES = ["lnms_account_data_"];
+
+class MemorySchema {
+  static isMemoryStorageKey(key) {
+    return (
+      key.startsWith("lnms_") &&
+      !key.includes("settings") &&
+      !key.includes("google") &&
+      !RESERVED_STORAGE_KEYS.includes(key) &&
+      !RESERVED_STORAGE_PREFIXES.some((prefix) => key.startsWith(prefix))
+    );
+  }
+
+  // Any known shape in, canonical record out. Older shapes:
+  //   v1 local - the same flat fields without a schemaVersion
+  //   v1 Drive - profile fields both under profileData and at the root,
+  //              tags joined with ", " and ISO timestamps
+  //   v2       - one note per memory instead of timeline entries
+  // Fields this version doesn't know about are kept as they are.
+  static normalize(record) {
+    const { profileData, schemaVersion, note, entries, tags, ...rest } =
+      record || {};
+    const updatedAt = MemorySchema.toTimestamp(rest.updatedAt) || Date.now();
+    const createdAt = MemorySchema.toTimestamp(rest.createdAt) || updatedAt;
+
+    // Fixed key order, so equal records serialize the same
+    const memory = {
+      schemaVersion: MEMORY_SCHEMA_VERSION,
+      name: rest.name || "LinkedIn User",
+      url: rest.url || "",
+    };
+    MEMORY_PROFILE_FIELDS.forEach((field) => {
+      memory[field] = profileData?.[field] || rest[field] || "";
+    });
+    // The Experience section as last seen, current position first, and
+    // every change of current position noticed since, oldest first
+    memory.positions = MemorySchema.normalizePositions(rest.positions);
+    // Every school listed, first one as in education, and the skills
+    memory.educations = MemorySchema.normalizeEducations(
+      profileData?.educations || rest.educations
+    );
+    memory.skills = MemorySchema.parseList(profileData?.skills || rest.skills);
+    memory.jobChanges = MemorySchema.normalizeJobChanges(rest.jobChanges);
+    memory.profileChanges = MemorySchema.normalizeProfileChanges(
+      rest.profileChanges
+    );
+    memory.metAt = rest.metAt || "";
+    memory.metOn = MemorySchema.toTimestamp(rest.metOn);
+    memory.introducedBy = rest.introducedBy || "";
+    memory.relationshipType = rest.relationshipType || "";
+    memory.followUpOn = MemorySchema.toTimestamp(rest.followUpOn);
+    memory.followUpNote = rest.followUpNote || "";
+    memory.customFields = MemorySchema.normalizeCustomFields(rest.customFields);
+    memory.email = rest.email || "";
+    memory.phone = rest.phone || "";
+    memory.websites = MemorySchema.parseList(rest.websites);
+    memory.birthday = rest.birthday || "";
+    memory.entries = Array.isArray(entries)
+      ? MemorySchema.normalizeEntries(entries)
+      : MemorySchema.entriesFromNote(note, tags, createdAt);
+    // The memory's tags are those of its entries, kept for the tags index
+    memory.tags = MemorySchema.collectTags(memory.entries);
+    memory.updatedAt = updatedAt;
+    memory.createdAt = createdAt;
+    // Set while the memory is in the trash
+    memory.deletedAt = MemorySchema.toTimestamp(rest.deletedAt);
+
+    Object.entries(rest)
+      .filter(([field]) => !(field in memory))
+      .forEach(([field, value]) => (memory[field] = value));
+
+    return memory;
+  }
+
+  // The canonical record without the fields only used at runtime
+  static toStored(record) {
+    const memory = MemorySchema.normalize(record);
+    MEMORY_RUNTIME_FIELDS.forEach((field) => delete memory[field]);
+    return memory;
+  }
+
+  // One record from several copies of the same person: the latest copy's
+  // details, experience, relationship, follow-up, contact info and custom
+  // fields (older ones fill in what it lacks), every job change, every
+  // distinct timeline entry and the earliest createdAt
+  static combine(records) {
+    const copies = records
+      .map((record) => MemorySchema.normalize(record))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+
+    const combined = Object.assign({}, ...[...copies].reverse());
+    MEMORY_PROFILE_FIELDS.forEach((field) => {
+      combined[field] = copies.find((copy) => copy[field])?.[field] || "";
+    });
+    [...MEMORY_RELATIONSHIP_FIELDS, ...MEMORY_FOLLOW_UP_FIELDS].forEach(
+      (field) => {
+        const copy = copies.find((candidate) => candidate[field]);
+        if (copy) combined[field] = copy[field];
+      }
+    );
+    [...MEMORY_CONTACT_FIELDS, "positions", "educations", "skills"].forEach(
+      (field) => {
+        const copy = copies.find((candidate) => candidate[field].length > 0);
+        if (copy) combined[field] = copy[field];
+      }
+    );
+    combined.jobChanges = MemorySchema.normalizeJobChanges(
+      copies.flatMap((copy) => copy.jobChanges)
+    );
+    combined.profileChanges = MemorySchema.normalizeProfileChanges(
+      copies.flatMap((copy) => copy.profileChanges)
+    );
+    combined.customFields = MemorySchema.normalizeCustomFields(
+      Object.assign(
+        {},
+        ...[...copies].reverse().map((copy) => copy.customFields)
+      )
+    );
+
+    // Newest copy first, so an entry edited in several copies keeps its
+    // latest text under its id; other texts become entries of their own
+    const seen = new Set();
+    const entries = [];
+    copies
+      .flatMap((copy) => copy.entries)
+      .forEach((entry) => {
+        const content = `${entry.date}\n${entry.text}`;
+        if (seen.has(content)) return;
+        seen.add(content);
+        entries.push(
+          entries.some((kept) => kept.id === entry.id)
+            ? { ...entry, id: `${entry.id}-${entries.length}` }
+            : entry
+        );
+      });
+    combined.entries = MemorySchema.normalizeEntries(entries);
+    combined.tags = MemorySchema.collectTags(combined.entries);
+    combined.createdAt = Math.min(...copies.map((copy) => copy.createdAt));
+
+    return combined;
+  }
+
+  // ===== Experience =====
+  // Dates as LinkedIn shows them ("Mar 2021 - Present"), without the
+  // duration, which changes every month
+  static normalizePositions(positions) {
+    return (Array.isArray(positions) ? positions : [])
+      .map((position) => ({
+        title: String(position?.title || "").trim(),
+        company: String(position?.company || "").trim(),
+        dates: String(position?.dates || "")
+          .split("·")[0]
+          .trim(),
+      }))
+      .filter((position) => position.title || position.company);
+  }
+
+  static normalizeEducations(educations) {
+    return (Array.isArray(educations) ? educations : [])
+      .map((education) => ({
+        school: String(education?.school || "").trim(),
+        degree: String(education?.degree || "").trim(),
+        field: String(education?.field || "").trim(),
+        years: String(education?.years || "").trim(),
+      }))
+      .filter((education) => education.school);
+  }
+
+  // "MIT (BSc, Computer Science, 2010 - 2014)"
+  static describeEducation(education) {
+    const details = [education.degree, education.field, education.years]
+      .filter(Boolean)
+      .join(", ");
+    return details ? `${education.school} (${details})` : education.school;
+  }
+
+  // Devices noticing the same move on different days keep the first
+  static normalizeJobChanges(changes) {
+    const seen = new Set();
+    return (Array.isArray(changes) ? changes : [])
+      .map((change) => ({
+        date: MemorySchema.toTimestamp(change?.date) || Date.now(),
+        from: MemorySchema.normalizePositions([change?.from])[0] || null,
+        to: MemorySchema.normalizePositions([change?.to])[0] || null,
+      }))
+      .filter((change) => change.to)
+      .sort((a, b) => a.date - b.date)
+      .filter((change) => {
+        const key = JSON.stringify([change.from, change.to]);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  // The move from the memory's current position to the first of
+  // positions, or null. Memories without positions are only given their
+  // first ones: a title guessed from the headline isn't a reliable "from".
+  static detectJobChange(memory, positions, date = Date.now()) {
+    const from = memory?.positions?.[0];
+    const to = MemorySchema.normalizePositions(positions)[0];
+    if (!from || !to) return null;
+
+    const key = (position) =>
+      `${position.title}\n${position.company}`.toLowerCase();
+    if (key(from) === key(to)) return null;
+
+    return { date, from: { ...from }, to: { ...to } };
+  }
+
+  // Other profile details that changed between visits, as
+  // {date, field, from, to}
+  static normalizeProfileChanges(changes) {
+    const seen = new Set();
+    return (Array.isArray(changes) ? changes : [])
+      .filter((change) => MEMORY_PROFILE_FIELDS.includes(change?.field))
+      .map((change) => ({
+        date: MemorySchema.toTimestamp(change.date) || Date.now(),
+        field: change.field,
+        from: String(change.from || ""),
+        to: String(change.to || ""),
+      }))
+      .sort((a, b) => a.date - b.date)
+      .filter((change) => {
+        const key = JSON.stringify([change.field, change.from, change.to]);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  // Details that went from one value to another. Title and company are
+  // left to detectJobChange once either side has positions, and a detail
+  // seen for the first time isn't a change. Neither is the first school
+  // once it is read from the full education list rather than guessed.
+  static detectProfileChanges(memory, profileData, date = Date.now()) {
+    const tracksPositions =
+      memory?.positions?.length > 0 || profileData?.positions?.length > 0;
+    const firstEducationList =
+      !memory?.educations?.length && profileData?.educations?.length > 0;
+
+    return ["title", "company", "location", "education"]
+      .filter(
+        (field) =>
+          !(tracksPositions && (field === "title" || field === "company")) &&
+          !(firstEducationList && field === "education")
+      )
+      .filter(
+        (field) =>
+          memory?.[field] &&
+          profileData?.[field] &&
+          memory[field] !== profileData[field]
+      )
+      .map((field) => ({
+        date,
+        field,
+        from: memory[field],
+        to: profileData[field],
+      }));
+  }
+
+  // Every recorded change of a memory, newest first: {date, type, ...}
+  // with type "job" or "profile"
+  static changeEvents(memory) {
+    return [
+      ...(memory.jobChanges || []).map((change) => ({
+        ...change,
+        type: "job",
+      })),
+      ...(memory.profileChanges || []).map((change) => ({
+        ...change,
+        type: "profile",
+      })),
+    ].sort((a, b) => b.date - a.date);
+  }
+
+  // "Engineer at Acme", or whichever half is known
+  static describePosition(position) {
+    if (!position) return "";
+    return [position.title, position.company].filter(Boolean).join(" at ");
+  }
+
+  // ===== Custom Fields =====
+  // Unset values are left out, and ids sorted, so equal values serialize
+  // the same
+  static normalizeCustomFields(values) {
+    const fields = {};
+    Object.keys(values || {})
+      .sort()
+      .forEach((id) => {
+        const value = values[id];
+        if (
+          value !== "" &&
+          value !== null &&
+          value !== undefined &&
+          value !== false
+        ) {
+          fields[id] = value;
+        }
+      });
+    return fields;
+  }
+
+  static normalizeFieldDefinition(definition) {
+    const type = CUSTOM_FIELD_TYPES.includes(definition?.type)
+      ? definition.type
+      : "text";
+    const label = String(definition?.label || "").trim();
+    return {
+      // Always a slug, as it ends up in attributes and selectors
+      id: MemorySchema.customFieldId(definition?.id || label),
+      label,
+      type,
+      options:
+        type === "select"
+          ? [
+              ...new Set(
+                (definition.options || [])
+                  .map((option) => String(option).trim())
+                  .filter(Boolean)
+              ),
+            ]
+          : [],
+      // When the definition last changed, for merging across devices
+      updatedAt: MemorySchema.toTimestamp(definition?.updatedAt) || 0,
+    };
+  }
+
+  // Derived from the label, so a field defined the same way on two devices
+  // reads the same synced values
+  static customFieldId(label) {
+    return String(label)
+      .toLowerCase()
+      .trim()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "");
+  }
+
+  // An input's value as stored: numbers and dates as numbers, checkboxes as
+  // true or nothing
+  static parseCustomFieldValue(type, value) {
+    if (type === "checkbox") return value === true || value === "true";
+    if (type === "date") return MemorySchema.fromDateInput(value);
+    if (type === "number") {
+      const number = parseFloat(value);
+      return isNaN(number) ? null : number;
+    }
+    return String(value ?? "").trim();
+  }
+
+  // A stored value as the user reads it. Values of fields this device has
+  // no definition for show as they are.
+  static formatCustomFieldValue(definition, value) {
+    if (value === "" || value === null || value === undefined) return "";
+    switch (definition?.type) {
+      case "checkbox":
+        return value ? "Yes" : "";
+      case "date":
+        return new Date(value).toLocaleDateString();
+      default:
+        return String(value);
+    }
+  }
+
+  // "Notice period" for a field only known by its id "notice-period"
+  static customFieldLabel(definitions, id) {
+    const definition = (definitions || []).find((field) => field.id === id);
+    if (definition) return definition.label;
+    const words = id.replace(/-/g, " ");
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  // ===== Timeline Entries =====
+  // Each entry is one dated interaction - met at a conference, a coffee
+  // chat, a referral - with the #tags written in its text. Ordered oldest
+  // first.
+  static normalizeEntries(entries) {
+    return (entries || [])
+      .map((entry) => MemorySchema.normalizeEntry(entry))
+      .sort((a, b) => a.date - b.date || a.id.localeCompare(b.id));
+  }
+
+  static normalizeEntry(entry) {
+    const date = MemorySchema.toTimestamp(entry?.date) || Date.now();
+    return {
+      id: String(entry?.id || `entry-${date}`),
+      date,
+      text: entry?.text || "",
+      tags: MemorySchema.parseTags(entry?.tags),
+    };
+  }
+
+  static createEntry(text = "", tags = [], date = Date.now()) {
+    return MemorySchema.normalizeEntry({
+      id: `${Date.now().toString(36)}-${Math.random()
+        .toString(36)
+        .slice(2, 8)}`,
+      date,
+      text,
+      tags,
+    });
+  }
+
+  // A v2 note becomes the first entry, dated when the memory was created.
+  // The id only depends on that date, so every device migrating the same
+  // note ends up with the same entry.
+  static entriesFromNote(note, tags, createdAt) {
+    const parsedTags = MemorySchema.parseTags(tags);
+    if (!note && parsedTags.length === 0) return [];
+
+    return [
+      MemorySchema.normalizeEntry({
+        id: `note-${createdAt}`,
+        date: createdAt,
+        text: note || "",
+        tags: parsedTags,
+      }),
+    ];
+  }
+
+  static collectTags(entries) {
+    return [...new Set(entries.flatMap((entry) => entry.tags))];
+  }
+
+  // The whole timeline as plain text, for searching and comparing
+  static timelineText(entries) {
+    return (entries || [])
+      .map((entry) => `${MemorySchema.toDateInput(entry.date)} ${entry.text}`)
+      .join("\n\n");
+  }
+
+  // On or past the follow-up day, by the local calendar
+  static isFollowUpDue(memory, now = Date.now()) {
+    return (
+      !!memory?.followUpOn &&
+      MemorySchema.toDateInput(memory.followUpOn) <=
+        MemorySchema.toDateInput(now)
+    );
+  }
+
+  // "YYYY-MM-DD" in local time, as date inputs take it
+  static toDateInput(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+      date.getDate()
+    )}`;
+  }
+
+  // Midday local time, so a time zone change doesn't move it to another day
+  static fromDateInput(value) {
+    const [year, month, day] = String(value).split("-").map(Number);
+    if (!year || !month || !day) return null;
+    return new Date(year, month - 1, day, 12).getTime();
+  }
+
+  static parseTags(tags) {
+    if (!tags) return [];
+
+    const list = Array.isArray(tags)
+      ? tags
+      : tags.includes(",")
+      ? tags.split(",")
+      : tags.includes("#")
+      ? tags.match(/#(\w+)/g) || []
+      : [tags];
+
+    return [
+      ...new Set(
+        list.map((tag) => String(tag).replace(/^#/, "").trim()).filter(Boolean)
+      ),
+    ];
+  }
+
+  // A list kept as an array, from an array or from one value per line
+  static parseList(value) {
+    const list = Array.isArray(value) ? value : String(value || "").split("\n");
+    return [
+      ...new Set(list.map((item) => String(item).trim()).filter(Boolean)),
+    ];
+  }
+
+  static toTimestamp(value) {
+    if (typeof value === "number") return value;
+    if (!value) return null;
+
+    const time = new Date(value).getTime();
+    return isNaN(time) ? null : time;
+  }
+}
@@ -0,0 +1,498 @@
+// memory-store.js
+// Memories live in IndexedDB, one database per account, with indexes for
+// the lookups the popup and content script make. Shared by the background
+// service worker (importScripts) and the popup. Records are stored in the
+// canonical shape from memory-schema.js, keyed by their storage key.
+//
+// Each database also keeps every memory's earlier timelines in a history store
+// under the same key. Saves a few seconds apart while typing fold into one
+// version, so a session of edits is one step back rather than hundreds. The
+// history stays on this device; it isn't synced.
+
+const MEMORY_STORE_CONFIG = {
+  dbNamePrefix: "vibetag-memories",
+  dbVersion: 3,
+  storeName: "memories",
+  historyStoreName: "history",
+  historyLimit: 50,
+  historySessionGapMs: 5 * 60 * 1000,
+};
+
+class MemoryStore {
+  constructor(accountId = DEFAULT_ACCOUNT_ID) {
+    this.accountId = accountId;
+    this.dbName = MemoryStore.getDatabaseName(accountId);
+    this.db = null;
+    this.opening = null;
+  }
+
+  static getDatabaseName(accountId) {
+    return accountId === DEFAULT_ACCOUNT_ID
+      ? MEMORY_STORE_CONFIG.dbNamePrefix
+      : `${MEMORY_STORE_CONFIG.dbNamePrefix}-${accountId}`;
+  }
+
+  static async openForActiveAccount() {
+    const result = await chrome.storage.local.get(ACCOUNTS_STORAGE_KEY);
+    const registry = result[ACCOUNTS_STORAGE_KEY];
+    return new MemoryStore(registry?.activeAccountId || DEFAULT_ACCOUNT_ID);
+  }
+
+  static deleteDatabase(accountId) {
+    return MemoryStore.promisify(
+      indexedDB.deleteDatabase(MemoryStore.getDatabaseName(accountId))
+    );
+  }
+
+  // ===== Connection =====
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+
+    if (!this.opening) {
+      const request = indexedDB.open(
+        this.dbName,
+        MEMORY_STORE_CONFIG.dbVersion
+      );
+
+      request.onupgradeneeded = (event) => {
+        let store;
+        if (event.oldVersion < 1) {
+          store = request.result.createObjectStore(
+            MEMORY_STORE_CONFIG.storeName
+          );
+          store.createIndex("updatedAt", "updatedAt");
+          store.createIndex("company", "company");
+          store.createIndex("name", "name");
+          store.createIndex("tags", "tags", { multiEntry: true });
+        } else {
+          store = request.transaction.objectStore(
+            MEMORY_STORE_CONFIG.storeName
+          );
+        }
+
+        if (event.oldVersion < 2) {
+          store.createIndex("memberUrn", "memberUrn");
+        }
+
+        if (event.oldVersion < 3) {
+          request.result.createObjectStore(
+            MEMORY_STORE_CONFIG.historyStoreName
+          );
+        }
+      };
+
+      this.opening = MemoryStore.promisify(request)
+        .then((db) => {
+          // Another context deleting this account's database must not wait
+          db.onversionchange = () => this.close();
+          this.db = db;
+          return db;
+        })
+        .finally(() => (this.opening = null));
+    }
+
+    return this.opening;
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  // ===== Reads =====
+  async get(storageKey) {
+    const store = await this.transaction("readonly");
+    const record = await MemoryStore.promisify(store.get(storageKey));
+    return record ? { ...record, storageKey } : null;
+  }
+
+  // Records by storage key, as chrome.storage.local.get would return them
+  async getMany(storageKeys) {
+    const store = await this.transaction("readonly");
+    const records = await Promise.all(
+      storageKeys.map((key) => MemoryStore.promisify(store.get(key)))
+    );
+
+    const found = {};
+    storageKeys.forEach((key, i) => {
+      if (records[i]) found[key] = records[i];
+    });
+    return found;
+  }
+
+  async getAll() {
+    const store = await this.transaction("readonly");
+    const [keys, records] = await Promise.all([
+      MemoryStore.promisify(store.getAllKeys()),
+      MemoryStore.promisify(store.getAll()),
+    ]);
+
+    const all = {};
+    keys.forEach((key, i) => (all[key] = records[i]));
+    return all;
+  }
+
+  // Most recently updated first
+  async getRecent(limit = Infinity) {
+    const store = await this.transaction("readonly");
+    return MemoryStore.collect(
+      store.index("updatedAt").openCursor(null, "prev"),
+      limit
+    );
+  }
+
+  async findByTag(tag) {
+    const store = await this.transaction("readonly");
+    return MemoryStore.collect(
+      store.index("tags").openCursor(IDBKeyRange.only(tag))
+    );
+  }
+
+  async findByCompany(company) {
+    const store = await this.transaction("readonly");
+    return MemoryStore.collect(
+      store.index("company").openCursor(IDBKeyRange.only(company))
+    );
+  }
+
+  // Finds a memory saved under the member's previous profile URL
+  async findByMemberUrn(memberUrn) {
+    const store = await this.transaction("readonly");
+    return MemoryStore.collect(
+      store.index("memberUrn").openCursor(IDBKeyRange.only(memberUrn))
+    );
+  }
+
+  // Names are matched case-sensitively from the start
+  async findByName(prefix) {
+    const store = await this.transaction("readonly");
+    return MemoryStore.collect(
+      store
+        .index("name")
+        .openCursor(IDBKeyRange.bound(prefix, `${prefix}\uffff`))
+    );
+  }
+
+  // Every search term must appear somewhere in the memory; with tags
+  // selected, the memory must carry at least one of them, and every field
+  // given in fields (and customFields) must hold exactly that value. With
+  // changedJobsSince, only memories with a job change noticed since then.
+  // Most recently updated first.
+  async search({
+    query = "",
+    tags = [],
+    fields = {},
+    customFields = {},
+    changedJobsSince = null,
+  } = {}) {
+    const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const isSet = ([, value]) =>
+      value !== "" && value !== null && value !== undefined;
+    const required = Object.entries(fields).filter(isSet);
+    const requiredCustom = Object.entries(customFields).filter(isSet);
+
+    let candidates;
+    if (tags.length > 0) {
+      const byKey = new Map();
+      for (const tag of tags) {
+        (await this.findByTag(tag)).forEach((memory) =>
+          byKey.set(memory.storageKey, memory)
+        );
+      }
+      candidates = [...byKey.values()].sort(
+        (a, b) => (b.updatedAt || 0) - (a.updatedAt || 0)
+      );
+    } else {
+      candidates = await this.getRecent();
+    }
+
+    candidates = candidates.filter(
+      (memory) =>
+        required.every(([field, value]) => memory[field] === value) &&
+        requiredCustom.every(
+          ([id, value]) => (memory.customFields?.[id] ?? false) === value
+        ) &&
+        (!changedJobsSince ||
+          (memory.jobChanges || []).some(
+            (change) => change.date >= changedJobsSince
+          ))
+    );
+    if (terms.length === 0) return candidates;
+
+    // Whoever made the introduction is found by name
+    const names = new Map(
+      (await this.getRecent()).map((memory) => [memory.storageKey, memory.name])
+    );
+
+    return candidates.filter((memory) => {
+      const searchableText = [
+        memory.name,
+        memory.title,
+        memory.company,
+        memory.education,
+        memory.bio,
+        ...(memory.positions || []).flatMap((position) => [
+          position.title,
+          position.company,
+        ]),
+        ...(memory.educations || []).flatMap((education) => [
+          education.school,
+          education.degree,
+          education.field,
+        ]),
+        ...(memory.skills || []),
+        memory.metAt,
+        memory.relationshipType,
+        memory.followUpNote,
+        names.get(memory.introducedBy),
+        memory.email,
+        memory.phone,
+        ...(memory.websites || []),
+        ...Object.values(memory.customFields || {}).filter(
+          (value) => typeof value === "string"
+        ),
+        ...(memory.entries || []).map((entry) => entry.text),
+        ...(memory.tags || []),
+      ]
+        .join(" ")
+        .toLowerCase();
+      return terms.every((term) => searchableText.includes(term));
+    });
+  }
+
+  async count() {
+    const store = await this.transaction("readonly");
+    return MemoryStore.promisify(store.count());
+  }
+
+  // Memories in the trash, most recently deleted first
+  async getTrash() {
+    const all = await this.getAll();
+    return Object.entries(all)
+      .filter(([, memory]) => memory.deletedAt)
+      .map(([storageKey, memory]) => ({ ...memory, storageKey }))
+      .sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  // A memory's timelines, newest first - the first is the timeline as it
+  // is now. Empty until the timeline is changed for the first time.
+  async getHistory(storageKey) {
+    const history = await this.transaction(
+      "readonly",
+      MEMORY_STORE_CONFIG.historyStoreName
+    );
+    const entry = await MemoryStore.promisify(history.get(storageKey));
+    if (!entry) return [];
+
+    // Versions saved before timelines hold a single note
+    return entry.versions
+      .map((version) =>
+        version.entries
+          ? version
+          : {
+              entries: MemorySchema.entriesFromNote(
+                version.note,
+                [],
+                version.savedAt
+              ),
+              savedAt: version.savedAt,
+            }
+      )
+      .reverse();
+  }
+
+  // ===== Writes =====
+  async put(storageKey, memory, options) {
+    await this.putMany({ [storageKey]: memory }, options);
+  }
+
+  // Writes all records in one transaction, so either all land or none.
+  // Records whose timeline changed get a new version in their history;
+  // newVersion keeps the change out of the current editing session.
+  async putMany(memories, { newVersion = false } = {}) {
+    const entries = Object.entries(memories);
+    if (entries.length === 0) return;
+
+    const { store, history } = await this.writeTransaction();
+    entries.forEach(([key, memory]) => {
+      const stored = MemorySchema.toStored(memory);
+      const previousRequest = store.get(key);
+      previousRequest.onsuccess = () => {
+        const previous =
+          previousRequest.result &&
+          MemorySchema.normalize(previousRequest.result);
+        store.put(stored, key);
+        if (
+          !previous ||
+          MemoryStore.sameEntries(previous.entries, stored.entries)
+        ) {
+          return;
+        }
+
+        const historyRequest = history.get(key);
+        historyRequest.onsuccess = () =>
+          history.put(
+            MemoryStore.addVersion(
+              historyRequest.result,
+              previous,
+              stored,
+              newVersion
+            ),
+            key
+          );
+      };
+    });
+    await MemoryStore.complete(store.transaction);
+  }
+
+  async delete(storageKeys) {
+    const keys = [].concat(storageKeys);
+    if (keys.length === 0) return;
+
+    const { store, history } = await this.writeTransaction();
+    keys.forEach((key) => {
+      store.delete(key);
+      history.delete(key);
+    });
+    await MemoryStore.complete(store.transaction);
+  }
+
+  // Stores the memory under a new key and drops the old one together; its
+  // history moves along
+  async move(fromKey, toKey, memory) {
+    const { store, history } = await this.writeTransaction();
+    store.delete(fromKey);
+    store.put(MemorySchema.toStored(memory), toKey);
+
+    const historyRequest = history.get(fromKey);
+    historyRequest.onsuccess = () => {
+      if (!historyRequest.result) return;
+      history.delete(fromKey);
+      history.put(historyRequest.result, toKey);
+    };
+    await MemoryStore.complete(store.transaction);
+  }
+
+  // ===== History =====
+  // The history entry after a timeline changed from previous to current. A
+  // save within the session gap of the latest version replaces it instead
+  // of adding one - unless it removes an entry or throws away most of one,
+  // which is what a select-all-and-type does, so the text it replaced stays
+  // restorable.
+  static addVersion(entry, previous, current, newVersion = false) {
+    const versions = entry ? [...entry.versions] : [];
+    const latest = versions[versions.length - 1];
+    const version = { entries: current.entries, savedAt: Date.now() };
+    const latestIsPrevious =
+      latest?.entries &&
+      MemoryStore.sameEntries(latest.entries, previous.entries);
+
+    const continuesSession =
+      !newVersion &&
+      latestIsPrevious &&
+      version.savedAt - latest.savedAt <
+        MEMORY_STORE_CONFIG.historySessionGapMs &&
+      MemoryStore.keepsEntries(latest.entries, current.entries);
+
+    if (continuesSession) {
+      versions[versions.length - 1] = version;
+    } else {
+      // The first change, or one made where this history didn't see it
+      if (!latestIsPrevious) {
+        versions.push({
+          entries: previous.entries,
+          savedAt: previous.updatedAt,
+        });
+      }
+      versions.push(version);
+    }
+
+    return { versions: versions.slice(-MEMORY_STORE_CONFIG.historyLimit) };
+  }
+
+  static sameEntries(entries, otherEntries) {
+    return JSON.stringify(entries) === JSON.stringify(otherEntries);
+  }
+
+  // Whether every entry of before is still there, with most of its text
+  static keepsEntries(before, after) {
+    return before.every((entry) => {
+      const kept = after.find((candidate) => candidate.id === entry.id);
+      return kept && MemoryStore.keepsMostOf(entry.text, kept.text);
+    });
+  }
+
+  // Whether after still has at least half of before, counting the text they
+  // share at the start and at the end
+  static keepsMostOf(before, after) {
+    const shortest = Math.min(before.length, after.length);
+    let prefix = 0;
+    while (prefix < shortest && before[prefix] === after[prefix]) prefix++;
+
+    let suffix = 0;
+    while (
+      suffix < shortest - prefix &&
+      before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    return prefix + suffix >= before.length / 2;
+  }
+
+  // ===== Helpers =====
+  async transaction(mode, storeName = MEMORY_STORE_CONFIG.storeName) {
+    const db = await this.open();
+    return db.transaction(storeName, mode).objectStore(storeName);
+  }
+
+  // Memories and their history, written together
+  async writeTransaction() {
+    const db = await this.open();
+    const transaction = db.transaction(
+      [MEMORY_STORE_CONFIG.storeName, MEMORY_STORE_CONFIG.historyStoreName],
+      "readwrite"
+    );
+    return {
+      store: transaction.objectStore(MEMORY_STORE_CONFIG.storeName),
+      history: transaction.objectStore(MEMORY_STORE_CONFIG.historyStoreName),
+    };
+  }
+
+  static promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  static complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Walks a cursor, returning records with their storage key attached.
+  // Memories in the trash are left out; getAll still has them.
+  static collect(request, limit = Infinity) {
+    return new Promise((resolve, reject) => {
+      const records = [];
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || records.length >= limit) {
+          resolve(records);
+          return;
+        }
+        if (!cursor.value.deletedAt) {
+          records.push({ ...cursor.value, storageKey: cursor.primaryKey });
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
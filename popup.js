@@ -8,13 +8,22 @@ class ModernMemorySearch {
     this.emptyState = document.getElementById("emptyState");
     this.resultCount = document.getElementById("resultCount");
     this.tagFilters = document.getElementById("tagFilters");
+    this.fieldFiltersContainer = document.getElementById("fieldFilters");
 
     this.allMemories = [];
     this.filteredMemories = [];
     this.allTags = new Set();
     this.selectedTags = new Set();
+    this.fieldFilters = {};
+    this.customFieldFilters = {};
+    this.customFieldDefinitions = [];
+    // Only contacts whose job change was noticed in the last 30 days
+    this.recentJobChangesOnly = false;
+    this.recentJobChangeDays = 30;
     this.editingCard = null;
     this.saveTimeouts = new Map();
+    this.memoryStore = null;
+    this.filterRequest = 0;
 
     // Google Drive status
     this.isGoogleDriveConnected = false;
@@ -34,11 +43,16 @@ class ModernMemorySearch {
   }
 
   async init() {
+    this.memoryStore = await MemoryStore.openForActiveAccount();
+    await this.loadCustomFields();
     await this.loadMemories();
     this.setupEventListeners();
     this.populateTagFilters();
     this.showLastAddedNote();
+    this.setupPanel();
     await this.setupGoogleDriveSync();
+    await this.refreshConflictBanner();
+    await this.refreshDuplicateBanner();
   }
 
   async setupGoogleDriveSync() {
@@ -47,12 +61,14 @@ class ModernMemorySearch {
     const userAvatar = document.getElementById("userAvatar");
 
     // Check if already connected
+    await this.refreshAccountIndicator();
     await this.checkGoogleDriveStatus();
+    this.watchSyncQueue();
 
     // Connect button click
     if (connectBtn) {
       connectBtn.addEventListener("click", async () => {
-        await this.connectGoogleDrive();
+        this.showBackendPicker();
       });
     }
 
@@ -62,6 +78,183 @@ class ModernMemorySearch {
         await this.disconnectGoogleDrive();
       });
     }
+
+    document
+      .getElementById("encryptionBtn")
+      ?.addEventListener("click", () => this.showEncryptionPanel());
+    document
+      .getElementById("historyBtn")
+      ?.addEventListener("click", () => this.showSnapshotsPanel());
+    document
+      .getElementById("journalBtn")
+      ?.addEventListener("click", () => this.showSyncJournal());
+    document
+      .getElementById("trashBtn")
+      ?.addEventListener("click", () => this.showTrashPanel());
+    document
+      .getElementById("customFieldsBtn")
+      ?.addEventListener("click", () => this.showCustomFieldsPanel());
+    document
+      .getElementById("newsBtn")
+      ?.addEventListener("click", () => this.showNewsPanel());
+    document
+      .getElementById("dueBtn")
+      ?.addEventListener("click", () => this.showDuePanel());
+    document
+      .getElementById("accountSwitcher")
+      ?.addEventListener("click", () => this.showAccountSwitcher());
+  }
+
+  // ===== Accounts =====
+  async refreshAccountIndicator() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "getAccounts",
+      });
+      if (!response.success) return;
+
+      const { activeAccountId, accounts } = response.data;
+      this.activeAccount = accounts[activeAccountId];
+
+      const switcher = document.getElementById("accountSwitcher");
+      document.getElementById("accountLabel").textContent =
+        this.activeAccount.label;
+      switcher.title = `Showing memories for ${this.activeAccount.label}${
+        this.activeAccount.email ? ` (${this.activeAccount.email})` : ""
+      }\nClick to switch accounts`;
+    } catch (error) {
+      console.error("Error loading accounts:", error);
+    }
+  }
+
+  async showAccountSwitcher() {
+    const body = this.openPanel("Accounts");
+    body.innerHTML = `<div class="panel-empty">Loading accounts...</div>`;
+
+    const response = await chrome.runtime.sendMessage({ type: "getAccounts" });
+    if (!response.success) {
+      body.innerHTML = `<div class="panel-empty">❌ ${this.escapeHTML(
+        response.error
+      )}</div>`;
+      return;
+    }
+
+    const { activeAccountId, accounts } = response.data;
+    body.innerHTML = `<p class="panel-text">Each account keeps its own memories and its own sync backup.</p>`;
+
+    Object.values(accounts)
+      .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+      .forEach((account) => {
+        const isActive = account.id === activeAccountId;
+        const item = document.createElement("div");
+        item.className = `account-item${isActive ? " active" : ""}`;
+        item.innerHTML = `
+          <div>
+            <div class="account-name">${this.escapeHTML(account.label)}</div>
+            <div class="account-email">${this.escapeHTML(
+              account.email || "Not syncing"
+            )}</div>
+          </div>
+          ${
+            isActive
+              ? `<span class="account-active">Showing</span>`
+              : `<div class="account-actions">
+                  <button class="panel-btn" data-action="switch">Switch</button>
+                  <button class="panel-btn panel-btn-secondary" data-action="remove" title="Remove from this device">Remove</button>
+                </div>`
+          }
+        `;
+
+        item
+          .querySelector('[data-action="switch"]')
+          ?.addEventListener("click", () => this.switchAccount(account.id));
+
+        const removeBtn = item.querySelector('[data-action="remove"]');
+        removeBtn?.addEventListener("click", async () => {
+          if (!removeBtn.dataset.confirming) {
+            removeBtn.dataset.confirming = "true";
+            removeBtn.textContent = "Click again to confirm";
+            return;
+          }
+
+          const removeResponse = await chrome.runtime.sendMessage({
+            type: "removeAccount",
+            accountId: account.id,
+          });
+          if (removeResponse.success) {
+            this.showNotification(`🗑️ Removed ${account.label}`, "success");
+            this.showAccountSwitcher();
+          } else {
+            this.showNotification(`❌ ${removeResponse.error}`, "error");
+          }
+        });
+
+        body.appendChild(item);
+      });
+
+    const addForm = document.createElement("div");
+    addForm.className = "account-add";
+    addForm.innerHTML = `
+      <input type="text" class="panel-input" placeholder="New account, e.g. Work or Personal">
+      <div class="panel-error hidden"></div>
+      <button class="panel-btn">Add account</button>
+    `;
+    const input = addForm.querySelector(".panel-input");
+    const errorEl = addForm.querySelector(".panel-error");
+    const addAccount = async () => {
+      const addResponse = await chrome.runtime.sendMessage({
+        type: "addAccount",
+        label: input.value,
+      });
+      if (!addResponse.success) {
+        errorEl.textContent = addResponse.error;
+        errorEl.classList.remove("hidden");
+        return;
+      }
+
+      // A fresh account starts empty; offer to connect its own backup
+      await this.reloadForAccount();
+      this.showBackendPicker();
+    };
+    addForm.querySelector("button").addEventListener("click", addAccount);
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") addAccount();
+    });
+    body.appendChild(addForm);
+  }
+
+  async switchAccount(accountId) {
+    const response = await chrome.runtime.sendMessage({
+      type: "switchAccount",
+      accountId,
+    });
+
+    if (!response.success) {
+      this.showNotification(`❌ ${response.error}`, "error");
+      return;
+    }
+
+    await this.reloadForAccount();
+    this.showNotification(`👥 Showing ${response.data.label}`, "success");
+  }
+
+  // Everything on screen belongs to the previous account
+  async reloadForAccount() {
+    this.closePanel();
+    this.isGoogleDriveConnected = false;
+    this.userInfo = null;
+    this.backendLabel = null;
+    this.selectedTags.clear();
+
+    this.memoryStore?.close();
+    this.memoryStore = await MemoryStore.openForActiveAccount();
+    await this.refreshAccountIndicator();
+    await this.loadMemories();
+    this.populateTagFilters();
+    this.applyFilters();
+    await this.checkGoogleDriveStatus();
+    await this.refreshConflictBanner();
+    await this.refreshDuplicateBanner();
   }
 
   async checkGoogleDriveStatus() {
@@ -73,6 +266,7 @@ class ModernMemorySearch {
       if (response.success && response.data.connected) {
         this.isGoogleDriveConnected = true;
         this.userInfo = response.data.userInfo;
+        this.backendLabel = response.data.backendLabel;
         this.showConnectedState();
       } else {
         this.showDisconnectedState();
@@ -83,9 +277,74 @@ class ModernMemorySearch {
     }
   }
 
-  async connectGoogleDrive() {
+  // ===== Sync Backend Picker =====
+  showBackendPicker() {
+    const body = this.openPanel("Sync your memories");
+    body.innerHTML = `
+      <div class="backend-option">
+        <div class="backend-option-title">Google Drive</div>
+        <p class="panel-text">Private app folder in your Google account.</p>
+        <button class="panel-btn" data-backend="googleDrive">Connect Google Drive</button>
+      </div>
+      <div class="backend-option">
+        <div class="backend-option-title">WebDAV</div>
+        <p class="panel-text">Nextcloud, ownCloud or any WebDAV folder.</p>
+        <input type="url" class="panel-input" data-field="url" placeholder="https://cloud.example.com/remote.php/dav/files/me/vibetag">
+        <input type="text" class="panel-input" data-field="username" placeholder="Username">
+        <input type="password" class="panel-input" data-field="password" placeholder="Password or app password">
+        <button class="panel-btn" data-backend="webdav">Connect WebDAV</button>
+      </div>
+      <div class="backend-option">
+        <div class="backend-option-title">Self-hosted server</div>
+        <p class="panel-text">Your team's own JSON sync endpoint.</p>
+        <input type="url" class="panel-input" data-field="url" placeholder="https://sync.example.com/api">
+        <input type="password" class="panel-input" data-field="token" placeholder="Access token">
+        <button class="panel-btn" data-backend="rest">Connect server</button>
+      </div>
+    `;
+
+    body.querySelectorAll("[data-backend]").forEach((button) => {
+      button.addEventListener("click", async () => {
+        const config = {};
+        button
+          .closest(".backend-option")
+          .querySelectorAll(".panel-input")
+          .forEach((input) => {
+            config[input.dataset.field] = input.value.trim();
+          });
+
+        if (button.dataset.backend !== "googleDrive") {
+          try {
+            // Must run straight from the click to count as a user gesture
+            const granted = await chrome.permissions.request({
+              origins: [`${new URL(config.url).origin}/*`],
+            });
+            if (!granted) {
+              throw new Error("Permission to reach the server was denied");
+            }
+          } catch (error) {
+            this.showNotification(
+              "❌ " + (config.url ? error.message : "Enter the server URL"),
+              "error"
+            );
+            return;
+          }
+        }
+
+        this.closePanel();
+        await this.connectSyncBackend(button.dataset.backend, config);
+      });
+    });
+  }
+
+  async connectSyncBackend(backend = "googleDrive", config = {}) {
     const connectBtn = document.getElementById("connectGoogle");
     const originalText = connectBtn.textContent;
+    const backendLabels = {
+      googleDrive: "Google Drive",
+      webdav: "WebDAV",
+      rest: "your server",
+    };
 
     try {
       connectBtn.textContent = "Connecting...";
@@ -93,23 +352,26 @@ class ModernMemorySearch {
 
       // Show sync overlay
       this.showSyncOverlay(
-        "Connecting to Google Drive...",
+        `Connecting to ${backendLabels[backend]}...`,
         "Please wait while we set up your connection"
       );
 
       // Request authentication from background script
       const response = await chrome.runtime.sendMessage({
-        type: "connectGoogleDrive",
+        type: "connectSyncBackend",
+        backend,
+        config,
       });
 
       if (response.success) {
         this.isGoogleDriveConnected = true;
         this.userInfo = response.userInfo;
+        this.backendLabel = response.backendLabel;
 
         // Update sync overlay for data loading
         this.updateSyncOverlay(
           "Syncing your memories...",
-          `Found ${response.syncResult.localCount} local, ${response.syncResult.driveCount} from Drive`
+          `Found ${response.syncResult.localCount} local, ${response.syncResult.driveCount} from ${response.backendLabel}`
         );
 
         // Show connected state
@@ -137,12 +399,26 @@ class ModernMemorySearch {
           this.showEmptyState();
         }
 
+        await this.refreshConflictBanner();
+
         // Update sync overlay for completion
         this.updateSyncOverlay(
           "Sync completed!",
           `${response.syncResult.mergedCount} memories synced successfully`
         );
 
+        // Encrypted backup from another device - ask for the passphrase
+        if (response.encryptionLocked) {
+          this.hideSyncOverlay();
+          await this.refreshEncryptionStatus();
+          this.showNotification(
+            "🔐 Your backup is encrypted - enter your passphrase",
+            "info"
+          );
+          await this.showEncryptionPanel();
+          return;
+        }
+
         // Hide overlay after showing success
         setTimeout(() => {
           this.hideSyncOverlay();
@@ -155,7 +431,7 @@ class ModernMemorySearch {
         throw new Error(response.error || "Connection failed");
       }
     } catch (error) {
-      console.error("Google Drive connection failed:", error);
+      console.error("Sync backend connection failed:", error);
       this.hideSyncOverlay();
       this.showNotification("❌ Connection failed: " + error.message, "error");
     } finally {
@@ -165,7 +441,7 @@ class ModernMemorySearch {
   }
 
   // FIXED: Enhanced auto-save with better sync
-  async handleAutoSave(memory, newNote, card, saveIndicator) {
+  async handleAutoSave(memory, card, saveIndicator) {
     const storageKey = memory.storageKey;
 
     // Clear existing timeout for this card
@@ -180,14 +456,15 @@ class ModernMemorySearch {
     // Set new timeout for auto-save
     const timeout = setTimeout(async () => {
       try {
-        const updatedMemory = {
+        const updatedMemory = MemorySchema.normalize({
           ...memory,
-          note: newNote.trim(),
-          tags: this.extractTagsFromNote(newNote.trim()),
+          entries: this.collectEditedEntries(card),
+          ...this.collectRelationshipFields(card),
+          ...this.collectCustomFields(card),
           updatedAt: Date.now(),
-        };
+        });
 
-        await chrome.storage.local.set({ [storageKey]: updatedMemory });
+        await this.memoryStore.put(storageKey, updatedMemory);
 
         // Update local data immediately
         const index = this.allMemories.findIndex(
@@ -206,9 +483,9 @@ class ModernMemorySearch {
         saveIndicator.querySelector(".indicator-text").textContent =
           "Changes saved";
 
-        // Trigger Google Drive sync if connected
+        // Queue the change for Google Drive sync if connected
         if (this.isGoogleDriveConnected) {
-          this.queueGoogleDriveSync();
+          this.queueGoogleDriveSync("memoryUpdated", updatedMemory);
         }
 
         // Hide indicator after 2 seconds
@@ -244,12 +521,17 @@ class ModernMemorySearch {
     this.saveTimeouts.set(storageKey, timeout);
   }
 
-  // Queue Google Drive sync to avoid too frequent calls
-  queueGoogleDriveSync() {
-    clearTimeout(this.syncTimeout);
-    this.syncTimeout = setTimeout(() => {
-      this.backgroundSyncToGoogleDrive();
-    }, 3000);
+  // Hand the change to the background sync queue, which outlives the popup
+  async queueGoogleDriveSync(type, memory) {
+    try {
+      await chrome.runtime.sendMessage({
+        type,
+        storageKey: memory.storageKey,
+        url: memory.url,
+      });
+    } catch (error) {
+      console.error("Error queueing sync:", error);
+    }
   }
 
   async backgroundSyncToGoogleDrive() {
@@ -259,51 +541,145 @@ class ModernMemorySearch {
       this.setSyncStatus("syncing");
 
       const response = await chrome.runtime.sendMessage({
-        type: "backupToGoogleDrive",
+        type: "flushSyncQueue",
       });
 
-      if (response.success) {
-        this.setSyncStatus("synced");
-      } else {
+      if (response.locked) {
+        await this.refreshEncryptionStatus();
+      }
+
+      if (!response.success) {
         throw new Error(response.error);
       }
+
+      await this.refreshSyncQueueStatus();
     } catch (error) {
       console.error("Background sync failed:", error);
-      this.setSyncStatus("error");
+      await this.refreshSyncQueueStatus();
+      if (this.syncStatus !== "error") {
+        this.setSyncStatus("error", { message: error.message });
+      }
+    }
+  }
+
+  watchSyncQueue() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "local" && changes.lnms_sync_queue) {
+        this.renderSyncQueueStatus(changes.lnms_sync_queue.newValue);
+      }
+    });
+  }
+
+  async refreshSyncQueueStatus() {
+    const result = await chrome.storage.local.get("lnms_sync_queue");
+    this.renderSyncQueueStatus(result.lnms_sync_queue);
+  }
+
+  renderSyncQueueStatus(queue) {
+    if (!this.isGoogleDriveConnected) return;
+
+    const pendingCount = Object.keys(queue?.pending || {}).length;
+    const pendingBadge = document.getElementById("syncPendingCount");
+
+    if (pendingBadge) {
+      pendingBadge.textContent = pendingCount > 99 ? "99+" : pendingCount;
+      pendingBadge.title =
+        pendingCount === 1
+          ? "1 change waiting to sync"
+          : `${pendingCount} changes waiting to sync`;
+      pendingBadge.classList.toggle("hidden", pendingCount === 0);
+    }
+
+    if (queue?.lastError) {
+      // Older versions stored the error as a plain message
+      const lastError =
+        typeof queue.lastError === "string"
+          ? { message: queue.lastError }
+          : queue.lastError;
+      this.setSyncStatus("error", {
+        ...lastError,
+        nextAttemptAt: queue.nextAttemptAt,
+      });
+    } else if (pendingCount > 0) {
+      this.setSyncStatus("pending");
+    } else {
+      this.setSyncStatus("synced");
     }
   }
 
-  setSyncStatus(status) {
+  setSyncStatus(status, error = null) {
     this.syncStatus = status;
     const syncStatusIcon = document.getElementById("syncStatusIcon");
 
     if (!syncStatusIcon) return;
 
+    syncStatusIcon.style.cursor = "";
+    syncStatusIcon.onclick = null;
+
     switch (status) {
       case "syncing":
         syncStatusIcon.textContent = "🟡";
-        syncStatusIcon.title = "Syncing with Google Drive...";
+        syncStatusIcon.title = `Syncing with ${this.getBackendLabel()}...`;
         syncStatusIcon.style.animation = "spin 1s linear infinite";
         break;
+      case "pending":
+        syncStatusIcon.textContent = "🟡";
+        syncStatusIcon.title = `Changes waiting to sync with ${this.getBackendLabel()}`;
+        syncStatusIcon.style.animation = "";
+        break;
       case "synced":
         syncStatusIcon.textContent = "🟢";
-        syncStatusIcon.title = "Synced with Google Drive";
+        syncStatusIcon.title = `Synced with ${this.getBackendLabel()}`;
         syncStatusIcon.style.animation = "";
         break;
       case "error":
         syncStatusIcon.textContent = "🔴";
-        syncStatusIcon.title = "Sync failed - Click to retry";
+        syncStatusIcon.title = this.getSyncErrorTitle(error);
         syncStatusIcon.style.animation = "";
         syncStatusIcon.style.cursor = "pointer";
-        syncStatusIcon.onclick = () => this.backgroundSyncToGoogleDrive();
+        syncStatusIcon.onclick =
+          error?.code === "auth"
+            ? () => this.showBackendPicker()
+            : () => this.backgroundSyncToGoogleDrive();
         break;
       default:
         syncStatusIcon.textContent = "🟢";
-        syncStatusIcon.title = "Connected to Google Drive";
+        syncStatusIcon.title = `Connected to ${this.getBackendLabel()}`;
         syncStatusIcon.style.animation = "";
     }
   }
 
+  getSyncErrorTitle(error) {
+    const backendLabel = this.getBackendLabel();
+
+    switch (error?.code) {
+      case "auth":
+        return `${backendLabel} sign-in expired - Click to reconnect`;
+      case "locked":
+        return "Backup is encrypted - Enter your passphrase to sync";
+      case "rate_limited":
+      case "server":
+      case "network": {
+        const reason = {
+          rate_limited: `${backendLabel} is rate limiting requests`,
+          server: `${backendLabel} is having problems`,
+          network: `Can't reach ${backendLabel}`,
+        }[error.code];
+        const retryAt = error.nextAttemptAt
+          ? `, retrying at ${new Date(error.nextAttemptAt).toLocaleTimeString(
+              [],
+              { hour: "2-digit", minute: "2-digit" }
+            )}`
+          : "";
+        return `${reason}${retryAt} - Click to retry now`;
+      }
+      default:
+        return error?.message
+          ? `Sync failed: ${error.message} - Click to retry`
+          : "Sync failed - Click to retry";
+    }
+  }
+
   showConnectedState() {
     const connectBtn = document.getElementById("connectGoogle");
     const connectedDiv = document.getElementById("googleConnected");
@@ -320,10 +696,18 @@ class ModernMemorySearch {
     } else {
       userAvatar.src =
         "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzIiIGhlaWdodD0iMzIiIHZpZXdCb3g9IjAgMCAzMiAzMiIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPGNpcmNsZSBjeD0iMTYiIGN5PSIxNiIgcj0iMTYiIGZpbGw9IiM0Mjg1RjQiLz4KPHBhdGggZD0iTTE2IDhBOCA4IDAgMCAwIDggMTZhOCA4IDAgMCAwIDggOCA4IDggMCAwIDAgOC04IDggOCAwIDAgMC04LTh6bTAgM2EyLjUgMi41IDAgMCAxIDAgNSAyLjUgMi41IDAgMCAxIDAtNXptMCAxM2MtMiAwLTMuNzUtMS00LjUtMi5DQzExLjUgMTkuNSAxMy41IDE4IDE2IDE4czQuNSAxLjUgNC41IDMuNUMxOS43NSAyMyAxOCAyNCAxNiAyNHoiIGZpbGw9IndoaXRlIi8+Cjwvc3ZnPgo=";
-      userAvatar.title = "Connected to Google Drive\nClick to disconnect";
+      userAvatar.title = `Connected to ${
+        this.userInfo?.email || this.getBackendLabel()
+      }\nClick to disconnect`;
     }
 
     this.setSyncStatus("idle");
+    this.refreshSyncQueueStatus();
+    this.refreshEncryptionStatus();
+  }
+
+  getBackendLabel() {
+    return this.backendLabel || "Google Drive";
   }
 
   showDisconnectedState() {
@@ -335,6 +719,7 @@ class ModernMemorySearch {
 
     this.isGoogleDriveConnected = false;
     this.userInfo = null;
+    this.backendLabel = null;
     this.syncStatus = "idle";
   }
 
@@ -350,7 +735,10 @@ class ModernMemorySearch {
 
       if (response.success) {
         this.showDisconnectedState();
-        this.showNotification("🔌 Disconnected from Google Drive", "info");
+        this.showNotification(
+          `🔌 Disconnected from ${this.getBackendLabel()}`,
+          "info"
+        );
       } else {
         throw new Error(response.error);
       }
@@ -397,7 +785,8 @@ class ModernMemorySearch {
     });
   }
 
-  showNotification(message, type, clickCallback = null) {
+  // action: optional { label, onClick } shown as a button, e.g. Undo
+  showNotification(message, type, clickCallback = null, action = null) {
     // Remove existing notifications
     const existingNotifications = document.querySelectorAll(".notification");
     existingNotifications.forEach((notification) => {
@@ -415,6 +804,13 @@ class ModernMemorySearch {
     notification.innerHTML = `
       <div class="notification-content">
         <span class="notification-message">${message}</span>
+        ${
+          action
+            ? `<button class="notification-action">${this.escapeHTML(
+                action.label
+              )}</button>`
+            : ""
+        }
         <button class="notification-close">×</button>
       </div>
     `;
@@ -467,6 +863,18 @@ class ModernMemorySearch {
         }
         
         .notification-close:hover { color: #2d3748; }
+
+        .notification-action {
+          background: none;
+          border: none;
+          font-size: 13px;
+          font-weight: 700;
+          color: #667eea;
+          cursor: pointer;
+          padding: 0;
+          margin-left: 12px;
+          flex-shrink: 0;
+        }
         
         @keyframes slideInFromRight {
           from { opacity: 0; transform: translateX(100%); }
@@ -494,9 +902,21 @@ class ModernMemorySearch {
       this.removeNotification(notification);
     });
 
-    setTimeout(() => {
-      this.removeNotification(notification);
-    }, 4000);
+    notification
+      .querySelector(".notification-action")
+      ?.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.removeNotification(notification);
+        action.onClick();
+      });
+
+    // Leave time to reach an action button
+    setTimeout(
+      () => {
+        this.removeNotification(notification);
+      },
+      action ? 8000 : 4000
+    );
   }
 
   removeNotification(notification) {
@@ -511,7 +931,7 @@ class ModernMemorySearch {
   }
 
   // ADD THESE 3 METHODS RIGHT HERE:
-  showSyncOverlay(message = "Syncing with Google Drive...", details = "") {
+  showSyncOverlay(message = "Syncing...", details = "") {
     const overlay = document.createElement("div");
     overlay.id = "syncOverlay";
     overlay.className = "sync-overlay";
@@ -549,354 +969,2140 @@ class ModernMemorySearch {
     }
   }
 
-  // ===== FIXED Memory Loading =====
-  async loadMemories() {
-    try {
-      const result = await chrome.storage.local.get(null);
-
-      // FIXED: Only get memories from local storage (no duplication)
-      this.allMemories = Object.entries(result)
-        .filter(
-          ([key]) =>
-            key.startsWith("lnms_") &&
-            !key.includes("settings") &&
-            !key.includes("google")
-        )
-        .map(([key, value]) => ({
-          ...value,
-          storageKey: key,
-        }))
-        .sort(
-          (a, b) =>
-            (b.updatedAt || b.createdAt || 0) -
-            (a.updatedAt || a.createdAt || 0)
-        );
+  // ===== Panel for Secondary Views =====
+  setupPanel() {
+    const overlay = document.getElementById("panelOverlay");
+    const closeBtn = document.getElementById("panelClose");
 
-      // Collect all unique tags
-      this.allTags.clear();
-      this.allMemories.forEach((memory) => {
-        (memory.tags || []).forEach((tag) => this.allTags.add(tag));
-      });
+    closeBtn?.addEventListener("click", () => this.closePanel());
+    overlay?.addEventListener("click", (e) => {
+      if (e.target === overlay) {
+        this.closePanel();
+      }
+    });
+  }
 
-      console.log(
-        `📚 Loaded ${this.allMemories.length} memories from local storage`
-      );
+  openPanel(title) {
+    document.getElementById("panelTitle").textContent = title;
+    const body = document.getElementById("panelBody");
+    body.innerHTML = "";
+    document.getElementById("panelOverlay").classList.add("show");
+    return body;
+  }
 
-      // ADD THIS LINE TO FORCE UPDATE THE FILTERED MEMORIES
-      this.filteredMemories = [...this.allMemories];
+  closePanel() {
+    document.getElementById("panelOverlay").classList.remove("show");
+  }
+
+  // ===== Drive Backup Encryption =====
+  async refreshEncryptionStatus() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "getEncryptionStatus",
+      });
+      this.encryptionStatus = response.data;
+      this.renderEncryptionStatus();
     } catch (error) {
-      console.error("Error loading memories:", error);
-      this.allMemories = [];
-      this.filteredMemories = [];
+      console.error("Error checking encryption status:", error);
     }
   }
 
-  populateTagFilters() {
-    this.tagFilters.innerHTML = "";
+  renderEncryptionStatus() {
+    const encryptionBtn = document.getElementById("encryptionBtn");
+    if (!encryptionBtn) return;
 
-    // Add "All" filter first
-    const allTag = document.createElement("span");
-    allTag.className = "filter-tag active";
-    allTag.dataset.tag = "";
-    allTag.textContent = "All";
-    this.tagFilters.appendChild(allTag);
+    const status = this.encryptionStatus || {};
+    encryptionBtn.classList.toggle(
+      "locked",
+      status.enabled && !status.unlocked
+    );
 
-    // Use consistent tags from our defined set
-    const consistentTags = [
-      "important",
-      "friend",
-      "alumni",
-      "event",
-      "conference",
-    ];
+    if (!status.enabled) {
+      encryptionBtn.textContent = "🔓";
+      encryptionBtn.title = "Backup is not encrypted - click to set up";
+    } else if (!status.unlocked) {
+      encryptionBtn.textContent = "🔐";
+      encryptionBtn.title = "Backup is locked - click to unlock";
+    } else {
+      encryptionBtn.textContent = "🔒";
+      encryptionBtn.title = "Backup is encrypted";
+    }
+  }
 
-    consistentTags.forEach((tag) => {
-      if (this.allTags.has(tag) || consistentTags.includes(tag)) {
-        const filterTag = document.createElement("span");
-        filterTag.className = "filter-tag";
-        filterTag.dataset.tag = tag;
-        filterTag.innerHTML = `${this.tagIcons[tag] || "🏷️"} ${tag}`;
-        this.tagFilters.appendChild(filterTag);
-      }
-    });
+  async showEncryptionPanel() {
+    await this.refreshEncryptionStatus();
+    const status = this.encryptionStatus || {};
+    const body = this.openPanel("Backup encryption");
+
+    if (!status.enabled) {
+      body.innerHTML = `
+        <p class="panel-text">Encrypt your synced backup with a passphrase. Only devices where you enter it can read your memories.</p>
+        <p class="panel-text panel-warning">There is no way to recover the backup if you forget the passphrase.</p>
+        <input type="password" class="panel-input" data-field="newPassphrase" placeholder="Passphrase (8+ characters)">
+        <input type="password" class="panel-input" data-field="confirmPassphrase" placeholder="Confirm passphrase">
+        <div class="panel-error hidden"></div>
+        <button class="panel-btn" data-action="submit">Encrypt backup</button>
+      `;
+    } else if (!status.unlocked) {
+      body.innerHTML = `
+        <p class="panel-text">Your backup is encrypted. Enter your passphrase to sync on this device.</p>
+        <input type="password" class="panel-input" data-field="passphrase" placeholder="Passphrase">
+        <div class="panel-error hidden"></div>
+        <button class="panel-btn" data-action="submit">Unlock</button>
+      `;
+    } else {
+      body.innerHTML = `
+        <p class="panel-text">🔒 Your backup is encrypted. Changing the passphrase re-encrypts it; other devices will ask for the new one.</p>
+        <input type="password" class="panel-input" data-field="currentPassphrase" placeholder="Current passphrase">
+        <input type="password" class="panel-input" data-field="newPassphrase" placeholder="New passphrase (8+ characters)">
+        <input type="password" class="panel-input" data-field="confirmPassphrase" placeholder="Confirm new passphrase">
+        <div class="panel-error hidden"></div>
+        <button class="panel-btn" data-action="submit">Change passphrase</button>
+      `;
+    }
 
-    // Add event listeners to filter tags
-    this.tagFilters.querySelectorAll(".filter-tag").forEach((tag) => {
-      tag.addEventListener("click", () => {
-        this.toggleTagFilter(tag);
+    const submitBtn = body.querySelector('[data-action="submit"]');
+    const submit = () => this.submitEncryptionForm(body, status, submitBtn);
+    submitBtn.addEventListener("click", submit);
+    body.querySelectorAll(".panel-input").forEach((input) => {
+      input.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") submit();
       });
     });
+    body.querySelector(".panel-input").focus();
   }
 
-  toggleTagFilter(clickedTag) {
-    const tag = clickedTag.dataset.tag;
+  async submitEncryptionForm(body, status, submitBtn) {
+    const values = {};
+    body.querySelectorAll(".panel-input").forEach((input) => {
+      values[input.dataset.field] = input.value;
+    });
+    const errorEl = body.querySelector(".panel-error");
 
-    if (tag === "") {
-      // "All" button clicked
-      this.selectedTags.clear();
-      this.tagFilters
-        .querySelectorAll(".filter-tag")
-        .forEach((t) => t.classList.remove("active"));
-      clickedTag.classList.add("active");
+    const showError = (message) => {
+      errorEl.textContent = message;
+      errorEl.classList.remove("hidden");
+    };
+
+    if (
+      values.confirmPassphrase !== undefined &&
+      values.newPassphrase !== values.confirmPassphrase
+    ) {
+      showError("Passphrases don't match");
+      return;
+    }
+
+    let message;
+    if (!status.enabled) {
+      message = {
+        type: "enableEncryption",
+        passphrase: values.newPassphrase,
+      };
+    } else if (!status.unlocked) {
+      message = { type: "unlockEncryption", passphrase: values.passphrase };
     } else {
-      // Specific tag clicked
-      const allButton = this.tagFilters.querySelector('[data-tag=""]');
-      allButton.classList.remove("active");
+      message = {
+        type: "changeEncryptionPassphrase",
+        currentPassphrase: values.currentPassphrase,
+        newPassphrase: values.newPassphrase,
+      };
+    }
 
-      if (this.selectedTags.has(tag)) {
-        this.selectedTags.delete(tag);
-        clickedTag.classList.remove("active");
+    const originalText = submitBtn.textContent;
+    try {
+      submitBtn.textContent = "Working...";
+      submitBtn.disabled = true;
+      errorEl.classList.add("hidden");
 
-        if (this.selectedTags.size === 0) {
-          allButton.classList.add("active");
-        }
-      } else {
-        this.selectedTags.add(tag);
-        clickedTag.classList.add("active");
+      // Key derivation and re-encrypting the backup take a moment
+      const response = await chrome.runtime.sendMessage(message);
+      if (!response.success) {
+        throw new Error(response.error);
       }
-    }
 
-    this.applyFilters();
+      this.closePanel();
+      await this.refreshEncryptionStatus();
+
+      if (response.data.synced) {
+        await this.loadMemories();
+        this.populateTagFilters();
+        this.applyFilters();
+        await this.refreshConflictBanner();
+        await this.refreshSyncQueueStatus();
+      }
+
+      const notifications = {
+        enableEncryption: "🔒 Backup is now encrypted",
+        unlockEncryption: "🔓 Unlocked - your memories are synced",
+        changeEncryptionPassphrase: "🔑 Passphrase changed",
+      };
+      this.showNotification(notifications[message.type], "success");
+    } catch (error) {
+      console.error("Encryption update failed:", error);
+      showError(error.message);
+    } finally {
+      submitBtn.textContent = originalText;
+      submitBtn.disabled = false;
+    }
   }
 
-  setupEventListeners() {
-    this.searchInput.addEventListener("input", () => {
-      this.applyFilters();
-    });
+  // ===== Backup History =====
+  async showSnapshotsPanel() {
+    const body = this.openPanel("Backup history");
+    body.innerHTML = `<div class="panel-empty">Loading backups...</div>`;
 
-    this.searchInput.addEventListener("keydown", (e) => {
-      if (e.key === "Enter") {
-        this.openFirstResult();
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "listSnapshots",
+      });
+      if (!response.success) {
+        throw new Error(response.error);
       }
-    });
 
-    setTimeout(() => this.searchInput.focus(), 100);
-  }
+      if (response.data.length === 0) {
+        body.innerHTML = `<div class="panel-empty">No backups yet - one is taken each day you sync 📸</div>`;
+        return;
+      }
 
-  showLastAddedNote() {
-    if (this.allMemories.length > 0) {
-      this.filteredMemories = [...this.allMemories];
-      this.render();
-    } else {
-      this.showEmptyState();
+      const reasonLabels = {
+        daily: "Daily backup",
+        "before-restore": "Before a restore",
+      };
+
+      body.innerHTML = "";
+      response.data.forEach((snapshot) => {
+        const item = document.createElement("div");
+        item.className = "snapshot-item";
+        item.innerHTML = `
+          <div>
+            <div class="snapshot-date">${new Date(
+              snapshot.createdAt
+            ).toLocaleString()}</div>
+            <div class="snapshot-reason">${
+              reasonLabels[snapshot.reason] || snapshot.reason
+            }</div>
+          </div>
+          <button class="panel-btn panel-btn-secondary">Preview</button>
+        `;
+        item
+          .querySelector("button")
+          .addEventListener("click", () => this.showSnapshotPreview(snapshot));
+        body.appendChild(item);
+      });
+    } catch (error) {
+      console.error("Error loading backups:", error);
+      body.innerHTML = `<div class="panel-empty">❌ ${this.escapeHTML(
+        error.message
+      )}</div>`;
     }
   }
 
-  applyFilters() {
-    const query = this.searchInput.value.trim().toLowerCase();
+  async showSnapshotPreview(snapshot) {
+    const body = this.openPanel(
+      `Backup from ${new Date(snapshot.createdAt).toLocaleDateString()}`
+    );
+    body.innerHTML = `<div class="panel-empty">Comparing with your memories...</div>`;
 
-    if (!query && this.selectedTags.size === 0) {
-      this.filteredMemories = [...this.allMemories];
-      this.render();
+    const response = await chrome.runtime.sendMessage({
+      type: "previewSnapshot",
+      snapshotId: snapshot.id,
+    });
+    if (!response.success) {
+      body.innerHTML = `<div class="panel-empty">❌ ${this.escapeHTML(
+        response.error
+      )}</div>`;
       return;
     }
 
-    const terms = query ? query.split(/\s+/) : [];
-
-    this.filteredMemories = this.allMemories.filter((memory) => {
-      // Check search terms
-      let matchesSearch = true;
-      if (terms.length > 0) {
-        const searchableText = [
-          memory.name,
-          memory.title,
-          memory.company,
-          memory.education,
-          memory.bio,
-          memory.note,
-          ...(memory.tags || []),
-        ]
-          .join(" ")
-          .toLowerCase();
-        matchesSearch = terms.every((term) => searchableText.includes(term));
-      }
+    const { total, changes } = response.data;
+    const statusLabels = {
+      changed: "Changed since",
+      deleted: "Deleted since",
+      added: "Added since",
+    };
+    const fieldLabels = {
+      entries: "Timeline",
+      customFields: "Custom fields",
+      positions: "Experience",
+      educations: "Education history",
+      skills: "Skills",
+      jobChanges: "Job changes",
+    };
+    const describe = (field, value) =>
+      this.escapeHTML(
+        (field === "entries"
+          ? MemorySchema.timelineText(value)
+          : field === "customFields"
+          ? this.getCustomFieldSummary({ customFields: value })
+          : field === "positions" || field === "educations"
+          ? this.formatFieldValue(field, value)
+          : field === "jobChanges"
+          ? value
+              .map(
+                (change) =>
+                  `${MemorySchema.describePosition(
+                    change.from
+                  )} → ${MemorySchema.describePosition(change.to)}`
+              )
+              .join(", ")
+          : Array.isArray(value)
+          ? value.join(", ")
+          : value) || "(empty)"
+      );
+
+    body.innerHTML = `
+      <p class="panel-text">${total} memories in this backup. ${
+      changes.length === 0
+        ? "It matches your current memories."
+        : `${changes.length} differ from what you have now.`
+    }</p>
+      <div class="snapshot-changes">
+        ${changes
+          .map(
+            (change) => `
+          <label class="snapshot-change">
+            <input type="checkbox" data-profile-key="${change.profileKey}">
+            <div class="snapshot-change-body">
+              <div class="snapshot-change-name">${this.escapeHTML(
+                change.name
+              )} <span class="snapshot-status snapshot-status-${
+              change.status
+            }">${statusLabels[change.status]}</span></div>
+              ${change.fields
+                .map(
+                  (field) => `
+                <div class="snapshot-field"><strong>${
+                  fieldLabels[field.field] ||
+                  field.field.charAt(0).toUpperCase() + field.field.slice(1)
+                }:</strong> ${describe(
+                    field.field,
+                    field.snapshot
+                  )} <span class="snapshot-field-now">→ now ${describe(
+                    field.field,
+                    field.current
+                  )}</span></div>
+              `
+                )
+                .join("")}
+            </div>
+          </label>
+        `
+          )
+          .join("")}
+      </div>
+      <div class="conflict-actions">
+        <button class="panel-btn panel-btn-secondary" data-action="back">Back</button>
+        ${
+          changes.length > 0
+            ? `<button class="panel-btn panel-btn-secondary" data-action="selected">Restore selected</button>
+               <button class="panel-btn" data-action="all">Restore everything</button>`
+            : ""
+        }
+      </div>
+    `;
+
+    body
+      .querySelector('[data-action="back"]')
+      .addEventListener("click", () => this.showSnapshotsPanel());
+
+    body
+      .querySelector('[data-action="selected"]')
+      ?.addEventListener("click", () => {
+        const profileKeys = [
+          ...body.querySelectorAll(".snapshot-change input:checked"),
+        ].map((input) => input.dataset.profileKey);
+
+        if (profileKeys.length === 0) {
+          this.showNotification("Select the memories to restore", "info");
+          return;
+        }
+        this.restoreSnapshot(snapshot, profileKeys);
+      });
+
+    // Restoring everything also drops memories added since, so ask twice
+    const restoreAllBtn = body.querySelector('[data-action="all"]');
+    restoreAllBtn?.addEventListener("click", () => {
+      if (restoreAllBtn.dataset.confirming) {
+        this.restoreSnapshot(snapshot, null);
+        return;
+      }
+      restoreAllBtn.dataset.confirming = "true";
+      restoreAllBtn.textContent = "Click again to confirm";
+    });
+  }
+
+  async restoreSnapshot(snapshot, profileKeys) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "restoreSnapshot",
+        snapshotId: snapshot.id,
+        profileKeys,
+      });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      this.closePanel();
+      await this.loadMemories();
+      this.populateTagFilters();
+      this.applyFilters();
+
+      this.showNotification(
+        `⏪ Restored ${response.data.restored} memories from backup`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Error restoring backup:", error);
+      this.showNotification("❌ Restore failed: " + error.message, "error");
+    }
+  }
+
+  // ===== Sync Activity =====
+  async showSyncJournal() {
+    const body = this.openPanel("Sync activity");
+    body.innerHTML = `<div class="panel-empty">Loading sync activity...</div>`;
+
+    const response = await chrome.runtime.sendMessage({
+      type: "getSyncJournal",
+    });
+    if (!response.success) {
+      body.innerHTML = `<div class="panel-empty">❌ ${this.escapeHTML(
+        response.error
+      )}</div>`;
+      return;
+    }
+
+    const journal = response.data;
+    body.innerHTML = `
+      <div class="journal-actions">
+        <button class="panel-btn" data-action="export">Export for bug report</button>
+        <button class="panel-btn panel-btn-secondary" data-action="clear">Clear</button>
+      </div>
+      <p class="panel-text">The export includes contact names; nothing else about them.</p>
+    `;
+    body
+      .querySelector('[data-action="export"]')
+      .addEventListener("click", () => this.exportSyncJournal(journal));
+    body
+      .querySelector('[data-action="clear"]')
+      .addEventListener("click", async () => {
+        await chrome.runtime.sendMessage({ type: "clearSyncJournal" });
+        this.showSyncJournal();
+      });
+
+    if (journal.length === 0) {
+      body.insertAdjacentHTML(
+        "beforeend",
+        `<div class="panel-empty">No syncs recorded yet</div>`
+      );
+      return;
+    }
+
+    const triggerLabels = {
+      connect: "Connected",
+      queue: "Automatic",
+      manual: "Manual",
+      backup: "Backup",
+      restore: "Restore",
+      encryption: "Encryption change",
+    };
+    const directionLabels = {
+      both: "⇅ both ways",
+      pull: "↓ received",
+      push: "↑ sent",
+      none: "nothing to move",
+    };
+    const decisionLabels = {
+      merged: "Merged edits",
+      conflict: "Conflict",
+      "kept-local": "Kept this device's copy",
+      "kept-remote": "Took the synced copy",
+      "local-only": "Only on this device",
+      "remote-only": "Added from sync",
+      "kept-deletion": "Stayed deleted",
+      undeleted: "Re-created after delete",
+      pushed: "Sent",
+      "pushed-deletion": "Sent deletion",
+    };
+
+    journal.forEach((entry) => {
+      const item = document.createElement("div");
+      item.className = `journal-item${
+        entry.status === "error" ? " journal-failed" : ""
+      }`;
+
+      const counts = entry.counts
+        ? `${entry.counts.local} local · ${entry.counts.remote} remote · ${
+            entry.counts.merged
+          } merged${
+            entry.counts.conflicts
+              ? ` · ${entry.counts.conflicts} conflicts`
+              : ""
+          }`
+        : "";
+      const decisions = entry.decisions
+        .map(
+          (decision) => `
+            <div class="journal-decision">
+              <span class="journal-decision-name">${this.escapeHTML(
+                decision.name || decision.profileKey
+              )}</span>
+              <span>${decisionLabels[decision.decision] || decision.decision}${
+            decision.fields
+              ? ` (${this.escapeHTML(decision.fields.join(", "))})`
+              : ""
+          }</span>
+            </div>`
+        )
+        .join("");
+
+      item.innerHTML = `
+        <div class="journal-header">
+          <span class="journal-date">${new Date(
+            entry.startedAt
+          ).toLocaleString()}</span>
+          <span class="journal-status">${
+            entry.status === "error" ? "❌ Failed" : "✅ Synced"
+          }</span>
+        </div>
+        <div class="journal-meta">
+          ${triggerLabels[entry.trigger] || entry.trigger}${
+        entry.mode ? ` · ${entry.mode}` : ""
+      }${entry.direction ? ` · ${directionLabels[entry.direction]}` : ""} · ${(
+        (entry.finishedAt - entry.startedAt) /
+        1000
+      ).toFixed(1)}s
+        </div>
+        ${counts ? `<div class="journal-meta">${counts}</div>` : ""}
+        ${
+          entry.error
+            ? `<div class="journal-error">${this.escapeHTML(
+                entry.error.message
+              )}</div>`
+            : ""
+        }
+        ${
+          decisions
+            ? `<details class="journal-decisions">
+                <summary>${entry.decisions.length} contact decisions${
+                entry.omittedDecisions
+                  ? ` (+${entry.omittedDecisions} not kept)`
+                  : ""
+              }</summary>
+                ${decisions}
+              </details>`
+            : ""
+        }
+      `;
+      body.appendChild(item);
+    });
+  }
+
+  async exportSyncJournal(journal) {
+    const queue = await chrome.storage.local.get("lnms_sync_queue");
+    const report = {
+      exportedAt: new Date().toISOString(),
+      version: chrome.runtime.getManifest().version,
+      userAgent: navigator.userAgent,
+      backend: this.backendLabel || null,
+      syncQueue: queue.lnms_sync_queue || null,
+      journal,
+    };
+
+    const blob = new Blob([JSON.stringify(report, null, 2)], {
+      type: "application/json",
+    });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `vibetag-sync-report-${new Date()
+      .toISOString()
+      .slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  // ===== Sync Conflict Review =====
+  async refreshConflictBanner() {
+    const banner = document.getElementById("conflictBanner");
+    if (!banner) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "getConflicts",
+      });
+      const count = Object.keys(response.data || {}).length;
+
+      if (count > 0) {
+        document.getElementById("conflictBannerText").textContent =
+          count === 1
+            ? "⚠️ 1 memory was edited on two devices"
+            : `⚠️ ${count} memories were edited on two devices`;
+        banner.classList.remove("hidden");
+        document.getElementById("reviewConflictsBtn").onclick = () =>
+          this.showConflictsPanel();
+      } else {
+        banner.classList.add("hidden");
+      }
+    } catch (error) {
+      console.error("Error loading sync conflicts:", error);
+    }
+  }
+
+  async showConflictsPanel() {
+    const body = this.openPanel("Review sync conflicts");
+    const response = await chrome.runtime.sendMessage({ type: "getConflicts" });
+    const conflicts = Object.entries(response.data || {});
+
+    if (conflicts.length === 0) {
+      body.innerHTML = `<div class="panel-empty">No conflicts to review 🎉</div>`;
+      return;
+    }
+
+    const fieldLabels = {
+      name: "Name",
+      title: "Title",
+      company: "Company",
+      location: "Location",
+      education: "Education",
+      bio: "Bio",
+      metAt: "Met at",
+      metOn: "Met on",
+      introducedBy: "Introduced by",
+      relationshipType: "Relationship",
+      followUpOn: "Follow up on",
+      followUpNote: "Follow-up note",
+      email: "Email",
+      phone: "Phone",
+      websites: "Websites",
+      birthday: "Birthday",
+      positions: "Experience",
+      educations: "Education history",
+      skills: "Skills",
+    };
+
+    conflicts.forEach(([profileKey, conflict]) => {
+      const item = document.createElement("div");
+      item.className = "conflict-item";
+      const choices = {};
+
+      // Timeline entries are queued as "entry:<id>"
+      const entryFields = Object.keys(conflict.fields).filter((field) =>
+        field.startsWith("entry:")
+      );
+      const fieldsHTML = Object.entries(conflict.fields)
+        .map(([field, values]) => {
+          choices[field] = "local";
+          const label = entryFields.includes(field)
+            ? `Entry from ${new Date(values.date).toLocaleDateString()}`
+            : field.startsWith("custom:")
+            ? MemorySchema.customFieldLabel(
+                this.customFieldDefinitions,
+                field.slice("custom:".length)
+              )
+            : fieldLabels[field] || field;
+          return `
+            <div class="conflict-field" data-field="${this.escapeHTML(field)}">
+              <div class="conflict-field-label">${this.escapeHTML(label)}</div>
+              <div class="conflict-sides">
+                <div class="conflict-side selected" data-choice="local"><span class="conflict-side-label">THIS DEVICE</span>${this.escapeHTML(
+                  this.formatFieldValue(field, values.local) || "(empty)"
+                )}</div>
+                <div class="conflict-side" data-choice="drive"><span class="conflict-side-label">GOOGLE DRIVE</span>${this.escapeHTML(
+                  this.formatFieldValue(field, values.drive) || "(empty)"
+                )}</div>
+              </div>
+            </div>
+          `;
+        })
+        .join("");
+
+      item.innerHTML = `
+        <div class="conflict-name">${this.escapeHTML(conflict.name)}</div>
+        ${fieldsHTML}
+        <div class="conflict-actions">
+          ${
+            entryFields.length > 0
+              ? `<button class="panel-btn panel-btn-secondary" data-action="both">Keep both entries</button>`
+              : ""
+          }
+          <button class="panel-btn" data-action="resolve">Resolve</button>
+        </div>
+      `;
+
+      item.querySelectorAll(".conflict-field").forEach((fieldEl) => {
+        fieldEl.querySelectorAll(".conflict-side").forEach((side) => {
+          side.addEventListener("click", () => {
+            fieldEl
+              .querySelectorAll(".conflict-side")
+              .forEach((s) => s.classList.remove("selected"));
+            side.classList.add("selected");
+            choices[fieldEl.dataset.field] = side.dataset.choice;
+          });
+        });
+      });
+
+      item
+        .querySelector('[data-action="resolve"]')
+        .addEventListener("click", () =>
+          this.resolveConflict(profileKey, choices)
+        );
+      item
+        .querySelector('[data-action="both"]')
+        ?.addEventListener("click", () => {
+          const both = {};
+          entryFields.forEach((field) => (both[field] = "both"));
+          this.resolveConflict(profileKey, { ...choices, ...both });
+        });
+
+      body.appendChild(item);
+    });
+  }
+
+  async resolveConflict(profileKey, choices) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "resolveConflict",
+        profileKey,
+        choices,
+      });
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      await this.loadMemories();
+      this.populateTagFilters();
+      this.applyFilters();
+      await this.refreshConflictBanner();
+
+      if (response.data.remaining > 0) {
+        await this.showConflictsPanel();
+      } else {
+        this.closePanel();
+      }
+
+      this.showNotification("✅ Conflict resolved", "success");
+    } catch (error) {
+      console.error("Error resolving conflict:", error);
+      this.showNotification("❌ Failed to resolve conflict", "error");
+    }
+  }
+
+  // ===== Duplicate Contacts =====
+  async refreshDuplicateBanner() {
+    const banner = document.getElementById("duplicateBanner");
+    if (!banner) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "getDuplicates",
+      });
+      const count = (response.data || []).length;
+
+      if (count > 0) {
+        document.getElementById("duplicateBannerText").textContent =
+          count === 1
+            ? "🧬 1 person may be saved twice"
+            : `🧬 ${count} people may be saved twice`;
+        banner.classList.remove("hidden");
+        document.getElementById("reviewDuplicatesBtn").onclick = () =>
+          this.showDuplicatesPanel();
+      } else {
+        banner.classList.add("hidden");
+      }
+    } catch (error) {
+      console.error("Error looking for duplicates:", error);
+    }
+  }
+
+  async showDuplicatesPanel() {
+    const body = this.openPanel("Possible duplicates");
+    const response = await chrome.runtime.sendMessage({
+      type: "getDuplicates",
+    });
+    const groups = response.data || [];
+
+    if (groups.length === 0) {
+      body.innerHTML = `<div class="panel-empty">No duplicates found 🎉</div>`;
+      return;
+    }
+
+    const reasonLabels = {
+      "same-profile": "Same profile URL",
+      "same-member": "Same LinkedIn member",
+      "same-name-company": "Same name and company",
+    };
+
+    body.innerHTML = `<p class="panel-text">Merging keeps every timeline entry in the most recently edited memory and removes the others on all your devices.</p>`;
+
+    groups.forEach((group) => {
+      const item = document.createElement("div");
+      item.className = "conflict-item";
+
+      const memoriesHTML = group.memories
+        .map(
+          (memory) => `
+            <div class="duplicate-memory">
+              <div class="duplicate-memory-header">
+                <span class="duplicate-memory-name">${this.escapeHTML(
+                  memory.name
+                )}</span>
+                <span class="duplicate-memory-date">${this.formatDate(
+                  memory.updatedAt
+                )}</span>
+              </div>
+              <div class="duplicate-memory-meta">${this.escapeHTML(
+                [memory.title, memory.company].filter(Boolean).join(" · ") ||
+                  memory.url
+              )}</div>
+              <div class="duplicate-memory-note">${this.escapeHTML(
+                MemorySchema.timelineText(memory.entries) || "(no entries)"
+              )}</div>
+            </div>
+          `
+        )
+        .join("");
+
+      item.innerHTML = `
+        <div class="conflict-name">${group.reasons
+          .map((reason) => reasonLabels[reason] || reason)
+          .join(", ")}</div>
+        ${memoriesHTML}
+        <div class="conflict-actions">
+          <button class="panel-btn panel-btn-secondary" data-action="ignore">Different people</button>
+          <button class="panel-btn" data-action="merge">Merge</button>
+        </div>
+      `;
+
+      item
+        .querySelector('[data-action="merge"]')
+        .addEventListener("click", () =>
+          this.mergeDuplicates(
+            group.memories.map((memory) => memory.storageKey)
+          )
+        );
+      item
+        .querySelector('[data-action="ignore"]')
+        .addEventListener("click", async () => {
+          await chrome.runtime.sendMessage({
+            type: "ignoreDuplicates",
+            groupId: group.id,
+          });
+          await this.refreshDuplicateBanner();
+          await this.showDuplicatesPanel();
+        });
+
+      body.appendChild(item);
+    });
+  }
+
+  async mergeDuplicates(storageKeys) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "mergeDuplicates",
+        storageKeys,
+      });
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      await this.loadMemories();
+      this.populateTagFilters();
+      this.applyFilters();
+      await this.refreshDuplicateBanner();
+      await this.showDuplicatesPanel();
+
+      this.showNotification(
+        `🧬 Merged into ${response.data.name}'s memory`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Error merging duplicates:", error);
+      this.showNotification(`❌ ${error.message}`, "error");
+    }
+  }
+
+  // ===== FIXED Memory Loading =====
+  async loadMemories() {
+    try {
+      // Newest first, straight from the updatedAt index
+      const memories = await this.memoryStore.getRecent();
+      this.allMemories = memories.map((memory) => ({
+        ...MemorySchema.normalize(memory),
+        storageKey: memory.storageKey,
+      }));
+
+      // Collect all unique tags
+      this.allTags.clear();
+      this.allMemories.forEach((memory) => {
+        (memory.tags || []).forEach((tag) => this.allTags.add(tag));
+      });
+
+      console.log(
+        `📚 Loaded ${this.allMemories.length} memories from local storage`
+      );
+
+      // ADD THIS LINE TO FORCE UPDATE THE FILTERED MEMORIES
+      this.filteredMemories = [...this.allMemories];
+      await this.refreshNewsBadge();
+      this.refreshDueBadge();
+    } catch (error) {
+      console.error("Error loading memories:", error);
+      this.allMemories = [];
+      this.filteredMemories = [];
+    }
+  }
+
+  populateTagFilters() {
+    this.tagFilters.innerHTML = "";
+
+    // Add "All" filter first
+    const allTag = document.createElement("span");
+    allTag.className = "filter-tag active";
+    allTag.dataset.tag = "";
+    allTag.textContent = "All";
+    this.tagFilters.appendChild(allTag);
+
+    // Use consistent tags from our defined set
+    const consistentTags = [
+      "important",
+      "friend",
+      "alumni",
+      "event",
+      "conference",
+    ];
+
+    consistentTags.forEach((tag) => {
+      if (this.allTags.has(tag) || consistentTags.includes(tag)) {
+        const filterTag = document.createElement("span");
+        filterTag.className = "filter-tag";
+        filterTag.dataset.tag = tag;
+        filterTag.innerHTML = `${this.tagIcons[tag] || "🏷️"} ${tag}`;
+        this.tagFilters.appendChild(filterTag);
+      }
+    });
+
+    // Add event listeners to filter tags
+    this.tagFilters.querySelectorAll(".filter-tag").forEach((tag) => {
+      tag.addEventListener("click", () => {
+        this.toggleTagFilter(tag);
+      });
+    });
+
+    this.populateFieldFilters();
+  }
+
+  toggleTagFilter(clickedTag) {
+    const tag = clickedTag.dataset.tag;
+
+    if (tag === "") {
+      // "All" button clicked
+      this.selectedTags.clear();
+      this.tagFilters
+        .querySelectorAll(".filter-tag")
+        .forEach((t) => t.classList.remove("active"));
+      clickedTag.classList.add("active");
+    } else {
+      // Specific tag clicked
+      const allButton = this.tagFilters.querySelector('[data-tag=""]');
+      allButton.classList.remove("active");
+
+      if (this.selectedTags.has(tag)) {
+        this.selectedTags.delete(tag);
+        clickedTag.classList.remove("active");
+
+        if (this.selectedTags.size === 0) {
+          allButton.classList.add("active");
+        }
+      } else {
+        this.selectedTags.add(tag);
+        clickedTag.classList.add("active");
+      }
+    }
+
+    this.applyFilters();
+  }
+
+  setupEventListeners() {
+    this.searchInput.addEventListener("input", () => {
+      this.applyFilters();
+    });
+
+    this.searchInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        this.openFirstResult();
+      }
+    });
+
+    setTimeout(() => this.searchInput.focus(), 100);
+  }
+
+  showLastAddedNote() {
+    if (this.allMemories.length > 0) {
+      this.filteredMemories = [...this.allMemories];
+      this.render();
+    } else {
+      this.showEmptyState();
+    }
+  }
+
+  async applyFilters() {
+    const query = this.searchInput.value.trim();
+    const request = ++this.filterRequest;
+
+    const fields = Object.fromEntries(
+      Object.entries(this.fieldFilters).filter(([, value]) => value)
+    );
+    // Checkbox filters read "yes" or "no"
+    const customFields = Object.fromEntries(
+      Object.entries(this.customFieldFilters)
+        .filter(([, value]) => value)
+        .map(([id, value]) => {
+          const definition = this.customFieldDefinitions.find(
+            (field) => field.id === id
+          );
+          return [
+            id,
+            definition?.type === "checkbox" ? value === "yes" : value,
+          ];
+        })
+    );
+
+    const changedJobsSince = this.recentJobChangesOnly
+      ? Date.now() - this.recentJobChangeDays * 24 * 60 * 60 * 1000
+      : null;
+
+    if (
+      !query &&
+      this.selectedTags.size === 0 &&
+      Object.keys(fields).length === 0 &&
+      Object.keys(customFields).length === 0 &&
+      !changedJobsSince
+    ) {
+      this.filteredMemories = [...this.allMemories];
+      this.render();
+      return;
+    }
+
+    // Typing fires a search per keystroke; only the latest one renders
+    try {
+      const results = await this.memoryStore.search({
+        query,
+        tags: Array.from(this.selectedTags),
+        fields,
+        customFields,
+        changedJobsSince,
+      });
+      if (request !== this.filterRequest) return;
+
+      this.filteredMemories = results.map((memory) => ({
+        ...MemorySchema.normalize(memory),
+        storageKey: memory.storageKey,
+      }));
+    } catch (error) {
+      console.error("Error searching memories:", error);
+      if (request !== this.filterRequest) return;
+      this.filteredMemories = [];
+    }
+
+    this.render();
+  }
+
+  render() {
+    this.updateResultCount();
+
+    if (this.filteredMemories.length === 0) {
+      this.showEmptyState();
+    } else {
+      this.hideEmptyState();
+      this.renderResults();
+    }
+
+    // ADD THIS LINE TO FORCE REFRESH THE DOM
+    console.log("🎨 Rendered", this.filteredMemories.length, "memories");
+  }
+
+  updateResultCount() {
+    const count = this.filteredMemories.length;
+    this.resultCount.textContent =
+      count === 1 ? "1 memory" : `${count} memories`;
+  }
+
+  showEmptyState() {
+    this.emptyState.classList.add("show");
+    this.resultsContainer.innerHTML = "";
+  }
+
+  hideEmptyState() {
+    this.emptyState.classList.remove("show");
+  }
+
+  renderResults() {
+    this.resultsContainer.innerHTML = "";
+
+    this.filteredMemories.forEach((memory) => {
+      const card = this.createResultCard(memory);
+      this.resultsContainer.appendChild(card);
+    });
+  }
+
+  createResultCard(memory) {
+    const card = document.createElement("div");
+    card.className = "result-card";
+    card.dataset.storageKey = memory.storageKey;
+
+    const formattedDate = this.formatDate(memory.updatedAt);
+    const tags = memory.tags || [];
+    const tagsHTML = tags
+      .map((tag) => {
+        const icon = this.tagIcons[tag] || "🏷️";
+        return `<span class="tag">${icon} ${tag}</span>`;
+      })
+      .join("");
+
+    // FIXED: Create comprehensive LinkedIn bio string
+    const bioDetails = [memory.title, memory.company, memory.education]
+      .filter((item) => item && item.trim())
+      .join(" • ");
+
+    card.innerHTML = `
+      <div class="card-content">
+        <div class="card-header">
+          <div class="person-info">
+            <div class="person-name">${this.escapeHTML(
+              memory.name || "Unknown"
+            )}</div>
+            <div class="person-bio">${this.escapeHTML(bioDetails)}</div>
+            <div class="person-relationship">${this.escapeHTML(
+              this.getRelationshipSummary(memory)
+            )}</div>
+            <div class="person-relationship person-job-change">${this.escapeHTML(
+              this.getJobChangeSummary(memory)
+            )}</div>
+            <div class="person-relationship person-custom-fields">${this.escapeHTML(
+              this.getCustomFieldSummary(memory)
+            )}</div>
+            <div class="person-relationship person-contact">${this.escapeHTML(
+              this.getContactSummary(memory)
+            )}</div>
+            <div class="person-relationship person-background">${this.escapeHTML(
+              this.getBackgroundSummary(memory)
+            )}</div>
+            <div class="person-relationship person-follow-up${
+              MemorySchema.isFollowUpDue(memory) ? " due" : ""
+            }">${this.escapeHTML(this.getFollowUpSummary(memory))}</div>
+          </div>
+          <div class="card-actions">
+            <button class="action-btn edit" title="Edit timeline">✏️</button>
+            <button class="action-btn delete" title="Delete memory">🗑️</button>
+          </div>
+        </div>
+        
+        ${this.getTimelineHTML(memory)}
+        
+        <div class="card-footer">
+          <div class="tags-container">${tagsHTML}</div>
+          <div class="date-info">${formattedDate}</div>
+        </div>
+      </div>
+      
+      <div class="edit-mode">
+        <div class="edit-profile-info">
+          <div class="edit-profile-name">${this.escapeHTML(
+            memory.name || "Unknown"
+          )}</div>
+          <div class="edit-profile-details">${this.escapeHTML(bioDetails)}</div>
+        </div>
+        
+        <div class="edit-tags-section">
+          <div class="edit-quick-tags">
+            ${this.getQuickTagsHTML()}
+          </div>
+        </div>
+        
+        ${this.getEditRelationshipHTML()}
+        
+        <button class="edit-new-entry-btn" title="Write about another interaction">＋ New entry</button>
+        
+        <div class="edit-entries" data-storage-key="${memory.storageKey}"></div>
+        
+        <div class="edit-note-hint">
+          <span>💡 Use #tags to organize memories</span>
+          <button class="edit-history-btn" title="Earlier versions of this timeline">🕘 History</button>
+        </div>
+        
+        <div class="save-indicator">
+          <span class="indicator-text">Changes saved</span>
+        </div>
+      </div>
+    `;
+    // Set as a property: the About is the profile owner's text, quotes and all
+    card.querySelector(".person-background").title = memory.bio || "";
+
+    this.setupCardEventListeners(card, memory);
+    return card;
+  }
+
+  getQuickTagsHTML() {
+    const quickTags = ["important", "friend", "alumni", "event", "conference"];
+    return quickTags
+      .map(
+        (tag) =>
+          `<span class="edit-quick-tag" data-tag="${tag}">${this.tagIcons[tag]} ${tag}</span>`
+      )
+      .join("");
+  }
+
+  setupCardEventListeners(card, memory) {
+    const cardContent = card.querySelector(".card-content");
+    const editBtn = card.querySelector(".action-btn.edit");
+    const deleteBtn = card.querySelector(".action-btn.delete");
+    const editEntries = card.querySelector(".edit-entries");
+    const saveIndicator = card.querySelector(".save-indicator");
+
+    this.renderEditEntries(card, memory.entries);
+
+    // Click to open profile
+    cardContent.addEventListener("click", (e) => {
+      if (!e.target.closest(".action-btn")) {
+        this.openProfile(memory.url);
+      }
+    });
+
+    // Edit button
+    editBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.enterEditMode(card, memory);
+    });
+
+    // Delete button
+    deleteBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.deleteMemory(memory, card);
+    });
+
+    // Earlier versions of the timeline
+    card.querySelector(".edit-history-btn").addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.showHistoryPanel(memory, card);
+    });
 
-      // Check selected tags
-      let matchesTags = true;
-      if (this.selectedTags.size > 0) {
-        const memoryTags = memory.tags || [];
-        matchesTags = Array.from(this.selectedTags).some((tag) =>
-          memoryTags.includes(tag)
+    card.querySelector(".edit-new-entry-btn").addEventListener("click", () => {
+      this.addEditEntry(card);
+    });
+
+    // Relationship fields save like the timeline does
+    const editRelationship = card.querySelector(".edit-relationship");
+    ["input", "change"].forEach((type) => {
+      editRelationship.addEventListener(type, (e) => {
+        if (e.target.matches("[data-field], [data-custom-field]")) {
+          this.handleAutoSave(memory, card, saveIndicator);
+        }
+      });
+    });
+
+    // Auto-save on typing or changing a date
+    editEntries.addEventListener("input", (e) => {
+      if (e.target.classList.contains("edit-textarea")) {
+        this.autoResizeTextarea(e.target);
+        this.updateEditTagSelection(card);
+      }
+      this.handleAutoSave(memory, card, saveIndicator);
+    });
+
+    editEntries.addEventListener("click", (e) => {
+      const removeBtn = e.target.closest(".edit-entry-remove");
+      if (!removeBtn) return;
+
+      removeBtn.closest(".edit-entry").remove();
+      if (!editEntries.querySelector(".edit-entry")) {
+        this.addEditEntry(card);
+      }
+      this.handleAutoSave(memory, card, saveIndicator);
+    });
+
+    // Quick tags go to the entry last typed in
+    editEntries.addEventListener("focusin", (e) => {
+      const entry = e.target.closest(".edit-entry");
+      if (!entry) return;
+
+      editEntries
+        .querySelectorAll(".edit-entry")
+        .forEach((element) =>
+          element.classList.toggle("active", element === entry)
         );
+      this.updateEditTagSelection(card);
+    });
+
+    // Exit edit mode on escape
+    editEntries.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        this.exitEditMode(card);
       }
+    });
+  }
+
+  // ===== Relationship =====
+  // How the user knows someone: where and when they met, who introduced
+  // them and what they are to each other
+  getContactName(storageKey) {
+    return (
+      this.allMemories.find((memory) => memory.storageKey === storageKey)
+        ?.name || ""
+    );
+  }
+
+  formatRelationshipType(type) {
+    return type ? type.charAt(0).toUpperCase() + type.slice(1) : "";
+  }
+
+  // Relationship and custom field values as the user reads them; other
+  // values unchanged
+  formatFieldValue(field, value) {
+    if (field.startsWith("custom:")) {
+      const id = field.slice("custom:".length);
+      return MemorySchema.formatCustomFieldValue(
+        this.customFieldDefinitions.find((definition) => definition.id === id),
+        value
+      );
+    }
+    if (!value) return value;
+    if (Array.isArray(value)) {
+      return value
+        .map((item) =>
+          typeof item !== "object"
+            ? item
+            : item.school
+            ? MemorySchema.describeEducation(item)
+            : MemorySchema.describePosition(item)
+        )
+        .join(", ");
+    }
+    if (field === "metOn" || field === "followUpOn") {
+      return new Date(value).toLocaleDateString();
+    }
+    if (field === "introducedBy") return this.getContactName(value) || value;
+    if (field === "relationshipType") return this.formatRelationshipType(value);
+    return value;
+  }
+
+  getRelationshipSummary(memory) {
+    const introducer = this.getContactName(memory.introducedBy);
+    return [
+      memory.metAt && `📍 ${memory.metAt}`,
+      memory.metOn && `📅 ${new Date(memory.metOn).toLocaleDateString()}`,
+      introducer && `🤝 via ${introducer}`,
+      memory.relationshipType &&
+        `💼 ${this.formatRelationshipType(memory.relationshipType)}`,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  }
 
-      return matchesSearch && matchesTags;
+  // The latest move noticed on a visit: "Moved from Engineer at Acme to
+  // Lead at Initech in March"
+  getJobChangeSummary(memory) {
+    const change = memory.jobChanges?.[memory.jobChanges.length - 1];
+    if (!change) return "";
+
+    const date = new Date(change.date);
+    const when = date.toLocaleDateString(undefined, {
+      month: "long",
+      ...(date.getFullYear() !== new Date().getFullYear() && {
+        year: "numeric",
+      }),
     });
+    return `💼 ${this.describeChangeEvent({
+      ...change,
+      type: "job",
+    })} in ${when}`;
+  }
 
-    this.render();
+  // One event from MemorySchema.changeEvents as a sentence
+  describeChangeEvent(event) {
+    if (event.type === "job") {
+      return `Moved from ${
+        MemorySchema.describePosition(event.from) || "an unknown position"
+      } to ${MemorySchema.describePosition(event.to)}`;
+    }
+
+    const field = event.field.charAt(0).toUpperCase() + event.field.slice(1);
+    return `${field}: ${event.from} → ${event.to}`;
   }
 
-  render() {
-    this.updateResultCount();
+  // ===== What's New =====
+  // Changes noticed on saved contacts' profiles, newest first. Those since
+  // the feed was last opened are counted on its button.
+  async getNewsSeenAt() {
+    const result = await chrome.storage.local.get("lnms_settings");
+    return result.lnms_settings?.newsSeenAt || 0;
+  }
 
-    if (this.filteredMemories.length === 0) {
-      this.showEmptyState();
+  getNewsEvents() {
+    return this.allMemories
+      .flatMap((memory) =>
+        MemorySchema.changeEvents(memory).map((event) => ({
+          ...event,
+          memory,
+        }))
+      )
+      .sort((a, b) => b.date - a.date);
+  }
+
+  async refreshNewsBadge() {
+    const count = document.getElementById("newsCount");
+    if (!count) return;
+
+    const seenAt = await this.getNewsSeenAt();
+    const unseen = this.getNewsEvents().filter(
+      (event) => event.date > seenAt
+    ).length;
+    count.textContent = unseen > 99 ? "99+" : String(unseen);
+    count.classList.toggle("hidden", unseen === 0);
+  }
+
+  async showNewsPanel() {
+    const body = this.openPanel("What's new");
+    const seenAt = await this.getNewsSeenAt();
+    const events = this.getNewsEvents().slice(0, 50);
+
+    if (events.length === 0) {
+      body.innerHTML = `<div class="panel-empty">No changes noticed yet. Job and profile changes show up here when you revisit saved contacts.</div>`;
     } else {
-      this.hideEmptyState();
-      this.renderResults();
+      body.innerHTML = events
+        .map(
+          (event, index) => `
+        <div class="news-item${
+          event.date > seenAt ? " unseen" : ""
+        }" data-index="${index}">
+          <div class="snapshot-date">${
+            event.type === "job" ? "💼" : "🔄"
+          } ${this.escapeHTML(event.memory.name)}</div>
+          <div class="news-text">${this.escapeHTML(
+            this.describeChangeEvent(event)
+          )}</div>
+          <div class="snapshot-reason">${this.formatDate(event.date)}</div>
+        </div>
+      `
+        )
+        .join("");
+
+      body.querySelectorAll(".news-item").forEach((item) => {
+        item.addEventListener("click", () =>
+          this.openProfile(events[item.dataset.index].memory.url)
+        );
+      });
     }
 
-    // ADD THIS LINE TO FORCE REFRESH THE DOM
-    console.log("🎨 Rendered", this.filteredMemories.length, "memories");
+    const result = await chrome.storage.local.get("lnms_settings");
+    await chrome.storage.local.set({
+      lnms_settings: { ...result.lnms_settings, newsSeenAt: Date.now() },
+    });
+    await this.refreshNewsBadge();
   }
 
-  updateResultCount() {
-    const count = this.filteredMemories.length;
-    this.resultCount.textContent =
-      count === 1 ? "1 memory" : `${count} memories`;
+  // ===== Follow-ups =====
+  // Everyone with a follow-up date, soonest first
+  getFollowUps() {
+    return this.allMemories
+      .filter((memory) => memory.followUpOn)
+      .sort((a, b) => a.followUpOn - b.followUpOn);
   }
 
-  showEmptyState() {
-    this.emptyState.classList.add("show");
-    this.resultsContainer.innerHTML = "";
+  getFollowUpSummary(memory) {
+    if (!memory.followUpOn) return "";
+    return [`⏰ ${this.describeFollowUpDate(memory)}`, memory.followUpNote]
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  describeFollowUpDate(memory) {
+    const day = MemorySchema.toDateInput(memory.followUpOn);
+    const today = MemorySchema.toDateInput(Date.now());
+    const date = new Date(memory.followUpOn).toLocaleDateString();
+    if (day === today) return "Follow up today";
+    return day < today
+      ? `Follow up overdue since ${date}`
+      : `Follow up ${date}`;
+  }
+
+  refreshDueBadge() {
+    const count = document.getElementById("dueCount");
+    if (!count) return;
+
+    const due = this.getFollowUps().filter((memory) =>
+      MemorySchema.isFollowUpDue(memory)
+    ).length;
+    count.textContent = due > 99 ? "99+" : String(due);
+    count.classList.toggle("hidden", due === 0);
+  }
+
+  showDuePanel() {
+    const body = this.openPanel("Follow-ups");
+    const followUps = this.getFollowUps();
+
+    if (followUps.length === 0) {
+      body.innerHTML = `<div class="panel-empty">No follow-ups planned. Set a date under Follow up on a contact's card, or while editing a memory here.</div>`;
+      return;
+    }
+
+    followUps.forEach((memory) => {
+      const item = document.createElement("div");
+      item.className = `snapshot-item follow-up-item${
+        MemorySchema.isFollowUpDue(memory) ? " due" : ""
+      }`;
+      item.innerHTML = `
+        <div class="trash-memory">
+          <div class="snapshot-date">${this.escapeHTML(memory.name)}</div>
+          <div class="snapshot-reason">⏰ ${this.escapeHTML(
+            this.describeFollowUpDate(memory)
+          )}</div>
+          <div class="trash-note">${this.escapeHTML(
+            memory.followUpNote || ""
+          )}</div>
+        </div>
+        <div class="trash-actions">
+          <button class="panel-btn" data-action="done">Done</button>
+          <button class="panel-btn panel-btn-secondary" data-action="snooze">+1 week</button>
+        </div>
+      `;
+
+      item
+        .querySelector(".trash-memory")
+        .addEventListener("click", () => this.openProfile(memory.url));
+      item
+        .querySelector('[data-action="done"]')
+        .addEventListener("click", async () => {
+          if (
+            await this.updateFollowUp(memory, {
+              followUpOn: null,
+              followUpNote: "",
+            })
+          ) {
+            this.showDuePanel();
+          }
+        });
+      item
+        .querySelector('[data-action="snooze"]')
+        .addEventListener("click", async () => {
+          // From today when it's overdue, so it doesn't come back at once
+          const from = Math.max(memory.followUpOn, Date.now());
+          if (
+            await this.updateFollowUp(memory, {
+              followUpOn: MemorySchema.fromDateInput(
+                MemorySchema.toDateInput(from + 7 * 24 * 60 * 60 * 1000)
+              ),
+            })
+          ) {
+            this.showDuePanel();
+          }
+        });
+
+      body.appendChild(item);
+    });
+  }
+
+  // Done clears the date and a snooze moves it; either syncs like any edit
+  async updateFollowUp(memory, changes) {
+    try {
+      const updatedMemory = MemorySchema.normalize({
+        ...memory,
+        ...changes,
+        updatedAt: Date.now(),
+      });
+      await this.memoryStore.put(memory.storageKey, updatedMemory);
+
+      if (this.isGoogleDriveConnected) {
+        this.queueGoogleDriveSync("memoryUpdated", updatedMemory);
+      }
+      await this.loadMemories();
+      this.applyFilters();
+      this.notifyContentScript(
+        "memoryUpdated",
+        updatedMemory.url,
+        updatedMemory
+      );
+      return true;
+    } catch (error) {
+      console.error("Error updating follow-up:", error);
+      this.showNotification("❌ Failed to update the follow-up", "error");
+      return false;
+    }
+  }
+
+  // Every school and the skills read from the profile; the About text
+  // shows on hover
+  getBackgroundSummary(memory) {
+    return [
+      ...(memory.educations || []).map(
+        (education) => `🎓 ${MemorySchema.describeEducation(education)}`
+      ),
+      memory.skills?.length > 0 && `🛠️ ${memory.skills.join(", ")}`,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  // Captured from LinkedIn's Contact info on the memory card
+  getContactSummary(memory) {
+    return [
+      memory.email && `✉️ ${memory.email}`,
+      memory.phone && `📞 ${memory.phone}`,
+      ...(memory.websites || []).map((website) => `🔗 ${website}`),
+      memory.birthday && `🎂 ${memory.birthday}`,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  // The contacts to pick an introducer from are filled in when editing starts
+  getEditRelationshipHTML() {
+    const typeOptions = RELATIONSHIP_TYPES.map(
+      (type) =>
+        `<option value="${type}">${this.formatRelationshipType(type)}</option>`
+    ).join("");
+
+    return `
+      <div class="edit-relationship">
+        <label class="edit-field">
+          <span>Met at</span>
+          <input type="text" class="edit-field-input" data-field="metAt" placeholder="Conference, company, city...">
+        </label>
+        <label class="edit-field">
+          <span>Met on</span>
+          <input type="date" class="edit-field-input" data-field="metOn">
+        </label>
+        <label class="edit-field">
+          <span>Introduced by</span>
+          <select class="edit-field-input" data-field="introducedBy"></select>
+        </label>
+        <label class="edit-field">
+          <span>Relationship</span>
+          <select class="edit-field-input" data-field="relationshipType">
+            <option value="">Not set</option>
+            ${typeOptions}
+          </select>
+        </label>
+        <label class="edit-field">
+          <span>Follow up on</span>
+          <input type="date" class="edit-field-input" data-field="followUpOn">
+        </label>
+        <label class="edit-field">
+          <span>Follow-up note</span>
+          <input type="text" class="edit-field-input" data-field="followUpNote" placeholder="Ping after the Q3 launch">
+        </label>
+        ${this.getEditCustomFieldsHTML()}
+      </div>
+    `;
+  }
+
+  fillEditRelationship(card, memory) {
+    const contacts = this.allMemories
+      .filter(
+        (contact) =>
+          contact.storageKey !== memory.storageKey && contact.name?.trim()
+      )
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const introducedBy = card.querySelector('[data-field="introducedBy"]');
+    introducedBy.innerHTML = `<option value="">Nobody</option>${contacts
+      .map(
+        (contact) =>
+          `<option value="${this.escapeHTML(
+            contact.storageKey
+          )}">${this.escapeHTML(contact.name)}</option>`
+      )
+      .join("")}`;
+
+    const current =
+      this.allMemories.find(
+        (contact) => contact.storageKey === memory.storageKey
+      ) || memory;
+    card
+      .querySelectorAll(".edit-relationship [data-field]")
+      .forEach((input) => {
+        const value = current[input.dataset.field];
+        input.value =
+          input.type === "date"
+            ? value
+              ? MemorySchema.toDateInput(value)
+              : ""
+            : value || "";
+      });
+  }
+
+  // Nothing until edit mode has filled the fields in, so a save can't
+  // clear values the form never showed
+  collectRelationshipFields(card) {
+    if (!card.classList.contains("editing")) return {};
+
+    const fields = {};
+    card
+      .querySelectorAll(".edit-relationship [data-field]")
+      .forEach((input) => {
+        fields[input.dataset.field] =
+          input.type === "date"
+            ? MemorySchema.fromDateInput(input.value)
+            : input.value.trim();
+      });
+    return fields;
+  }
+
+  // One select per relationship field, offering the values in use
+  populateFieldFilters() {
+    const container = this.fieldFiltersContainer;
+    const distinct = (field) => [
+      ...new Set(
+        this.allMemories.map((memory) => memory[field]).filter(Boolean)
+      ),
+    ];
+    const filters = [
+      {
+        field: "relationshipType",
+        label: "Any relationship",
+        options: distinct("relationshipType").map((type) => [
+          type,
+          this.formatRelationshipType(type),
+        ]),
+      },
+      {
+        field: "metAt",
+        label: "Met anywhere",
+        options: distinct("metAt").map((place) => [place, place]),
+      },
+      {
+        field: "introducedBy",
+        label: "Introduced by anyone",
+        options: distinct("introducedBy")
+          .map((key) => [key, this.getContactName(key)])
+          .filter(([, name]) => name),
+      },
+      // Custom fields with a fixed set of values
+      ...this.customFieldDefinitions
+        .filter((definition) =>
+          ["select", "checkbox"].includes(definition.type)
+        )
+        .map((definition) => ({
+          field: definition.id,
+          custom: true,
+          label: `${definition.label}: any`,
+          options:
+            definition.type === "checkbox"
+              ? [
+                  ["yes", `${definition.label}: yes`],
+                  ["no", `${definition.label}: no`],
+                ]
+              : definition.options
+                  .filter((option) =>
+                    this.allMemories.some(
+                      (memory) =>
+                        memory.customFields?.[definition.id] === option
+                    )
+                  )
+                  .map((option) => [option, option]),
+        })),
+    ].filter((filter) => filter.options.length > 0);
+
+    // A value no memory has any more can't match anything
+    [
+      [this.fieldFilters, false],
+      [this.customFieldFilters, true],
+    ].forEach(([selected, custom]) => {
+      Object.keys(selected).forEach((field) => {
+        const filter = filters.find(
+          (candidate) =>
+            candidate.field === field && !!candidate.custom === custom
+        );
+        if (
+          !filter ||
+          !filter.options.some(([value]) => value === selected[field])
+        ) {
+          delete selected[field];
+        }
+      });
+    });
+
+    // Offered while anyone has moved recently, or while it's switched on
+    const since = Date.now() - this.recentJobChangeDays * 24 * 60 * 60 * 1000;
+    const showJobChanges =
+      this.recentJobChangesOnly ||
+      this.allMemories.some((memory) =>
+        memory.jobChanges.some((change) => change.date >= since)
+      );
+
+    container.classList.toggle(
+      "hidden",
+      filters.length === 0 && !showJobChanges
+    );
+    // Built through the DOM: places and field names are free text, quotes
+    // and all, and the option values must equal what the memories hold
+    container.innerHTML = "";
+    filters.forEach((filter) => {
+      const select = document.createElement("select");
+      select.className = "field-filter";
+      select.dataset.field = filter.field;
+      if (filter.custom) select.dataset.custom = "";
+      select.append(
+        new Option(filter.label, ""),
+        ...filter.options
+          .sort((a, b) => a[1].localeCompare(b[1]))
+          .map(([value, label]) => new Option(label, value))
+      );
+      container.appendChild(select);
+    });
+
+    container.querySelectorAll(".field-filter").forEach((select) => {
+      const selected =
+        "custom" in select.dataset
+          ? this.customFieldFilters
+          : this.fieldFilters;
+      select.value = selected[select.dataset.field] || "";
+      select.addEventListener("change", () => {
+        selected[select.dataset.field] = select.value;
+        select.classList.toggle("active", !!select.value);
+        this.applyFilters();
+      });
+      select.classList.toggle("active", !!select.value);
+    });
+
+    if (showJobChanges) {
+      const chip = document.createElement("span");
+      chip.className = "filter-tag";
+      chip.classList.toggle("active", this.recentJobChangesOnly);
+      chip.textContent = `💼 Changed jobs · ${this.recentJobChangeDays} days`;
+      chip.addEventListener("click", () => {
+        this.recentJobChangesOnly = !this.recentJobChangesOnly;
+        chip.classList.toggle("active", this.recentJobChangesOnly);
+        this.applyFilters();
+      });
+      container.appendChild(chip);
+    }
+  }
+
+  // ===== Custom Fields =====
+  // Defined in settings and filled in per memory, on this card and on the
+  // one shown on LinkedIn
+  async loadCustomFields() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "getCustomFields",
+      });
+      this.customFieldDefinitions = response.success ? response.data : [];
+    } catch (error) {
+      console.error("Error loading custom fields:", error);
+      this.customFieldDefinitions = [];
+    }
+  }
+
+  getCustomFieldSummary(memory) {
+    return Object.entries(memory.customFields || {})
+      .map(([id, value]) => {
+        const text = this.formatFieldValue(`custom:${id}`, value);
+        return text
+          ? `${MemorySchema.customFieldLabel(
+              this.customFieldDefinitions,
+              id
+            )}: ${text}`
+          : "";
+      })
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  getEditCustomFieldsHTML() {
+    return this.customFieldDefinitions
+      .map((field) => {
+        const id = this.escapeHTML(field.id);
+        const label = `<span>${this.escapeHTML(field.label)}</span>`;
+        switch (field.type) {
+          case "checkbox":
+            return `<label class="edit-field edit-field-checkbox"><input type="checkbox" data-custom-field="${id}">${label}</label>`;
+          case "select":
+            // Options are added by fillEditCustomFields
+            return `<label class="edit-field">${label}<select class="edit-field-input" data-custom-field="${id}"></select></label>`;
+          default:
+            return `<label class="edit-field">${label}<input type="${field.type}" class="edit-field-input" data-custom-field="${id}"></label>`;
+        }
+      })
+      .join("");
+  }
+
+  fillEditCustomFields(card, memory) {
+    const current =
+      this.allMemories.find(
+        (contact) => contact.storageKey === memory.storageKey
+      ) || memory;
+    this.customFieldDefinitions
+      .filter((field) => field.type === "select")
+      .forEach((field) =>
+        this.fillCustomFieldOptions(
+          card.querySelector(`[data-custom-field="${CSS.escape(field.id)}"]`),
+          field
+        )
+      );
+    card.querySelectorAll("[data-custom-field]").forEach((input) => {
+      const value = current.customFields?.[input.dataset.customField];
+      if (input.type === "checkbox") {
+        input.checked = !!value;
+      } else if (input.type === "date") {
+        input.value = value ? MemorySchema.toDateInput(value) : "";
+      } else {
+        input.value = value ?? "";
+      }
+    });
+  }
+
+  // Through the DOM, so an option with quotes in it keeps its exact value
+  fillCustomFieldOptions(select, field) {
+    select?.replaceChildren(
+      new Option("Not set", ""),
+      ...field.options.map((option) => new Option(option, option))
+    );
+  }
+
+  // Like the relationship, nothing until edit mode has filled the inputs
+  // in. Values of fields not defined here are kept.
+  collectCustomFields(card) {
+    if (!card.classList.contains("editing")) return {};
+
+    const current = this.allMemories.find(
+      (memory) => memory.storageKey === card.dataset.storageKey
+    );
+    const values = { ...current?.customFields };
+    this.customFieldDefinitions.forEach((field) => {
+      const input = card.querySelector(
+        `[data-custom-field="${CSS.escape(field.id)}"]`
+      );
+      if (!input) return;
+      values[field.id] = MemorySchema.parseCustomFieldValue(
+        field.type,
+        input.type === "checkbox" ? input.checked : input.value
+      );
+    });
+    return { customFields: MemorySchema.normalizeCustomFields(values) };
   }
 
-  hideEmptyState() {
-    this.emptyState.classList.remove("show");
-  }
+  showCustomFieldsPanel() {
+    const body = this.openPanel("Custom fields");
+    const typeLabels = {
+      text: "Text",
+      number: "Number",
+      date: "Date",
+      select: "Choice",
+      checkbox: "Checkbox",
+    };
+
+    body.innerHTML = `
+      <p class="panel-text">Track your own details for every contact, like a notice period or a deal stage. They show on both memory cards and can be filtered by.</p>
+      <div class="custom-field-list">
+        ${
+          this.customFieldDefinitions.length === 0
+            ? `<div class="panel-empty">No custom fields yet</div>`
+            : this.customFieldDefinitions
+                .map(
+                  (field) => `
+          <div class="snapshot-item">
+            <div>
+              <div class="snapshot-date">${this.escapeHTML(field.label)}</div>
+              <div class="snapshot-reason">${typeLabels[field.type]}${
+                    field.options.length > 0
+                      ? ` · ${this.escapeHTML(field.options.join(", "))}`
+                      : ""
+                  }</div>
+            </div>
+            <button class="panel-btn panel-btn-secondary" data-remove="${this.escapeHTML(
+              field.id
+            )}">Remove</button>
+          </div>
+        `
+                )
+                .join("")
+        }
+      </div>
+      <input type="text" class="panel-input" data-field="label" placeholder="Field name">
+      <select class="panel-input" data-field="type">
+        ${CUSTOM_FIELD_TYPES.map(
+          (type) => `<option value="${type}">${typeLabels[type]}</option>`
+        ).join("")}
+      </select>
+      <input type="text" class="panel-input hidden" data-field="options" placeholder="Choices, separated by commas">
+      <div class="panel-error hidden"></div>
+      <button class="panel-btn" data-action="add">Add field</button>
+    `;
+
+    const typeSelect = body.querySelector('[data-field="type"]');
+    const optionsInput = body.querySelector('[data-field="options"]');
+    typeSelect.addEventListener("change", () => {
+      optionsInput.classList.toggle("hidden", typeSelect.value !== "select");
+    });
 
-  renderResults() {
-    this.resultsContainer.innerHTML = "";
+    body.querySelector('[data-action="add"]').addEventListener("click", () =>
+      this.saveCustomFields(body, [
+        ...this.customFieldDefinitions,
+        {
+          label: body.querySelector('[data-field="label"]').value,
+          type: typeSelect.value,
+          options: optionsInput.value.split(","),
+        },
+      ])
+    );
 
-    this.filteredMemories.forEach((memory) => {
-      const card = this.createResultCard(memory);
-      this.resultsContainer.appendChild(card);
+    body.querySelectorAll("[data-remove]").forEach((button) => {
+      button.addEventListener("click", () => {
+        const field = this.customFieldDefinitions.find(
+          (definition) => definition.id === button.dataset.remove
+        );
+        // Values stay in the memories, so adding the field back restores them
+        if (field) {
+          this.saveCustomFields(
+            body,
+            this.customFieldDefinitions.filter(
+              (definition) => definition !== field
+            )
+          );
+        }
+      });
     });
   }
 
-  createResultCard(memory) {
-    const card = document.createElement("div");
-    card.className = "result-card";
-    card.dataset.storageKey = memory.storageKey;
-
-    const formattedDate = this.formatDate(memory.updatedAt);
-    const tags = memory.tags || [];
-    const tagsHTML = tags
-      .map((tag) => {
-        const icon = this.tagIcons[tag] || "🏷️";
-        return `<span class="tag">${icon} ${tag}</span>`;
-      })
-      .join("");
+  async saveCustomFields(body, fields) {
+    const errorDiv = body.querySelector(".panel-error");
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "saveCustomFields",
+        fields,
+      });
+      if (!response.success) {
+        errorDiv.textContent = response.error;
+        errorDiv.classList.remove("hidden");
+        return;
+      }
 
-    // FIXED: Create comprehensive LinkedIn bio string
-    const bioDetails = [memory.title, memory.company, memory.education]
-      .filter((item) => item && item.trim())
-      .join(" • ");
+      this.customFieldDefinitions = response.data;
+      this.populateTagFilters();
+      this.render();
+      this.showCustomFieldsPanel();
+    } catch (error) {
+      console.error("Error saving custom fields:", error);
+      errorDiv.textContent = "Could not save custom fields";
+      errorDiv.classList.remove("hidden");
+    }
+  }
 
-    card.innerHTML = `
-      <div class="card-content">
-        <div class="card-header">
-          <div class="person-info">
-            <div class="person-name">${this.escapeHTML(
-              memory.name || "Unknown"
-            )}</div>
-            <div class="person-bio">${this.escapeHTML(bioDetails)}</div>
-          </div>
-          <div class="card-actions">
-            <button class="action-btn edit" title="Edit note">✏️</button>
-            <button class="action-btn delete" title="Delete memory">🗑️</button>
+  // ===== Timeline =====
+  // Newest entry first, on the card and in edit mode alike
+  getTimelineHTML(memory) {
+    const entries = [...(memory.entries || [])].reverse();
+    if (entries.length === 0) return "";
+
+    return `
+      <div class="note-text timeline">
+        ${entries
+          .map(
+            (entry) => `
+          <div class="timeline-entry">
+            <div class="timeline-date">${new Date(
+              entry.date
+            ).toLocaleDateString()}</div>
+            <div class="timeline-text">${this.escapeHTML(entry.text)}</div>
           </div>
-        </div>
-        
-        ${
-          memory.note
-            ? `<div class="note-text">${this.escapeHTML(memory.note)}</div>`
-            : ""
-        }
-        
-        <div class="card-footer">
-          <div class="tags-container">${tagsHTML}</div>
-          <div class="date-info">${formattedDate}</div>
-        </div>
+        `
+          )
+          .join("")}
       </div>
-      
-      <div class="edit-mode">
-        <div class="edit-profile-info">
-          <div class="edit-profile-name">${this.escapeHTML(
-            memory.name || "Unknown"
-          )}</div>
-          <div class="edit-profile-details">${this.escapeHTML(bioDetails)}</div>
-        </div>
-        
-        <div class="edit-tags-section">
-          <div class="edit-quick-tags">
-            ${this.getQuickTagsHTML()}
-          </div>
+    `;
+  }
+
+  getEditEntryHTML(entry) {
+    return `
+      <div class="edit-entry" data-entry-id="${this.escapeHTML(
+        entry.id
+      )}" data-date="${entry.date}">
+        <div class="edit-entry-bar">
+          <input type="date" class="edit-entry-date" value="${MemorySchema.toDateInput(
+            entry.date
+          )}" title="When this happened">
+          <button class="edit-entry-remove" title="Remove this entry">×</button>
         </div>
-        
         <textarea 
           class="edit-textarea" 
-          placeholder="Type your memory here..."
-          data-storage-key="${memory.storageKey}"
-        >${this.escapeHTML(memory.note || "")}</textarea>
-        
-        <div class="edit-note-hint">💡 Use #tags to organize memories</div>
-        
-        <div class="save-indicator">
-          <span class="indicator-text">Changes saved</span>
-        </div>
+          placeholder="What happened? Met at a conference, a coffee chat..."
+        >${this.escapeHTML(entry.text)}</textarea>
       </div>
     `;
-
-    this.setupCardEventListeners(card, memory);
-    return card;
   }
 
-  getQuickTagsHTML() {
-    const quickTags = ["important", "friend", "alumni", "event", "conference"];
-    return quickTags
-      .map(
-        (tag) =>
-          `<span class="edit-quick-tag" data-tag="${tag}">${this.tagIcons[tag]} ${tag}</span>`
-      )
+  renderEditEntries(card, entries = []) {
+    const editEntries = card.querySelector(".edit-entries");
+    editEntries.innerHTML = [...entries]
+      .reverse()
+      .map((entry) => this.getEditEntryHTML(entry))
       .join("");
-  }
-
-  setupCardEventListeners(card, memory) {
-    const cardContent = card.querySelector(".card-content");
-    const editBtn = card.querySelector(".action-btn.edit");
-    const deleteBtn = card.querySelector(".action-btn.delete");
-    const editTextarea = card.querySelector(".edit-textarea");
-    const saveIndicator = card.querySelector(".save-indicator");
 
-    // Click to open profile
-    cardContent.addEventListener("click", (e) => {
-      if (!e.target.closest(".action-btn")) {
-        this.openProfile(memory.url);
-      }
-    });
+    if (entries.length === 0) {
+      this.addEditEntry(card, false);
+    } else {
+      editEntries.querySelector(".edit-entry").classList.add("active");
+    }
+    editEntries
+      .querySelectorAll(".edit-textarea")
+      .forEach((textarea) => this.autoResizeTextarea(textarea));
+  }
 
-    // Edit button
-    editBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      this.enterEditMode(card, memory);
-    });
+  // A blank entry dated today at the top; it is saved once it has text
+  addEditEntry(card, focus = true) {
+    const editEntries = card.querySelector(".edit-entries");
+    editEntries.insertAdjacentHTML(
+      "afterbegin",
+      this.getEditEntryHTML(MemorySchema.createEntry())
+    );
 
-    // Delete button
-    deleteBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      this.deleteMemory(memory, card);
-    });
+    const entry = editEntries.querySelector(".edit-entry");
+    editEntries
+      .querySelectorAll(".edit-entry")
+      .forEach((element) =>
+        element.classList.toggle("active", element === entry)
+      );
+    if (focus) entry.querySelector(".edit-textarea").focus();
+    this.updateEditTagSelection(card);
+  }
 
-    // Auto-save on typing
-    editTextarea.addEventListener("input", () => {
-      this.handleAutoSave(memory, editTextarea.value, card, saveIndicator);
-      this.autoResizeTextarea(editTextarea);
-    });
+  // Entries as written in edit mode, leaving out the empty ones
+  collectEditedEntries(card) {
+    return [...card.querySelectorAll(".edit-entry")]
+      .map((element) => {
+        const text = element.querySelector(".edit-textarea").value.trim();
+        return {
+          id: element.dataset.entryId,
+          date:
+            MemorySchema.fromDateInput(
+              element.querySelector(".edit-entry-date").value
+            ) || Number(element.dataset.date),
+          text,
+          tags: this.extractTagsFromNote(text),
+        };
+      })
+      .filter((entry) => entry.text);
+  }
 
-    // Exit edit mode on escape
-    editTextarea.addEventListener("keydown", (e) => {
-      if (e.key === "Escape") {
-        this.exitEditMode(card);
-      }
-    });
+  getActiveEntryTextarea(card) {
+    return (
+      card.querySelector(".edit-entry.active .edit-textarea") ||
+      card.querySelector(".edit-textarea")
+    );
   }
 
   async deleteMemory(memory, card) {
-    // Removed confirmation popup - direct deletion
+    // No confirmation - the memory goes to the trash and can be undone
     try {
-      // Remove from storage
-      await chrome.storage.local.remove(memory.storageKey);
+      // The background queues the change for sync
+      const response = await chrome.runtime.sendMessage({
+        type: "trashMemory",
+        storageKey: memory.storageKey,
+      });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
 
       // Remove from local arrays
       this.allMemories = this.allMemories.filter(
@@ -916,21 +3122,359 @@ class ModernMemorySearch {
         this.populateTagFilters();
       }, 300);
 
-      // Sync to Google Drive if connected
-      if (this.isGoogleDriveConnected) {
-        this.queueGoogleDriveSync();
-      }
-
       // Notify content script
       this.notifyContentScript("memoryDeleted", memory.url);
 
-      this.showNotification("🗑️ Memory deleted", "info");
+      this.showNotification("🗑️ Moved to trash", "info", null, {
+        label: "Undo",
+        onClick: () => this.restoreFromTrash(memory.storageKey),
+      });
     } catch (error) {
       console.error("Error deleting memory:", error);
       this.showNotification("❌ Failed to delete memory", "error");
     }
   }
 
+  // ===== Trash =====
+  async restoreFromTrash(storageKey) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "restoreFromTrash",
+        storageKey,
+      });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      const restored = response.data;
+      await this.loadMemories();
+      this.populateTagFilters();
+      this.applyFilters();
+      this.notifyContentScript("memoryUpdated", restored.url, restored);
+
+      this.showNotification(`♻️ Restored ${restored.name}`, "success");
+      return true;
+    } catch (error) {
+      console.error("Error restoring memory:", error);
+      this.showNotification("❌ Failed to restore memory", "error");
+      return false;
+    }
+  }
+
+  async showTrashPanel() {
+    const body = this.openPanel("Trash");
+    body.innerHTML = `<div class="panel-empty">Loading trash...</div>`;
+
+    const response = await chrome.runtime.sendMessage({ type: "getTrash" });
+    if (!response.success) {
+      body.innerHTML = `<div class="panel-empty">❌ ${this.escapeHTML(
+        response.error
+      )}</div>`;
+      return;
+    }
+
+    const { memories, retentionDays, retentionChoices } = response.data;
+    body.innerHTML = `
+      <p class="panel-text">
+        Deleted memories are removed for good after
+        <select class="trash-retention">
+          ${retentionChoices
+            .map(
+              (days) =>
+                `<option value="${days}"${
+                  days === retentionDays ? " selected" : ""
+                }>${days} days</option>`
+            )
+            .join("")}
+        </select>
+      </p>
+    `;
+    body
+      .querySelector(".trash-retention")
+      .addEventListener("change", async (e) => {
+        await chrome.runtime.sendMessage({
+          type: "setTrashRetention",
+          days: Number(e.target.value),
+        });
+        this.showTrashPanel();
+      });
+
+    if (memories.length === 0) {
+      body.insertAdjacentHTML(
+        "beforeend",
+        `<div class="panel-empty">The trash is empty</div>`
+      );
+      return;
+    }
+
+    memories.forEach((memory) => {
+      const daysLeft = Math.max(
+        0,
+        Math.ceil((memory.purgeAt - Date.now()) / (24 * 60 * 60 * 1000))
+      );
+      const item = document.createElement("div");
+      item.className = "snapshot-item";
+      item.innerHTML = `
+        <div class="trash-memory">
+          <div class="snapshot-date">${this.escapeHTML(memory.name)}</div>
+          <div class="snapshot-reason">Deleted ${this.formatDate(
+            memory.deletedAt
+          )} · ${daysLeft === 1 ? "1 day" : `${daysLeft} days`} left</div>
+          <div class="trash-note">${this.escapeHTML(
+            memory.entries?.[memory.entries.length - 1]?.text || "(no entries)"
+          )}</div>
+        </div>
+        <div class="trash-actions">
+          <button class="panel-btn" data-action="restore">Restore</button>
+          <button class="panel-btn panel-btn-secondary" data-action="purge">Delete</button>
+        </div>
+      `;
+
+      item
+        .querySelector('[data-action="restore"]')
+        .addEventListener("click", async () => {
+          if (await this.restoreFromTrash(memory.storageKey)) {
+            this.showTrashPanel();
+          }
+        });
+      item
+        .querySelector('[data-action="purge"]')
+        .addEventListener("click", () =>
+          this.purgeFromTrash([memory.storageKey])
+        );
+
+      body.appendChild(item);
+    });
+
+    const emptyButton = document.createElement("button");
+    emptyButton.className = "panel-btn panel-btn-secondary";
+    emptyButton.textContent = "Empty trash";
+    emptyButton.addEventListener("click", () =>
+      this.purgeFromTrash(memories.map((memory) => memory.storageKey))
+    );
+    body.appendChild(emptyButton);
+  }
+
+  async purgeFromTrash(storageKeys) {
+    const response = await chrome.runtime.sendMessage({
+      type: "purgeFromTrash",
+      storageKeys,
+    });
+
+    if (response.success) {
+      this.showNotification(
+        response.data.purged === 1
+          ? "🗑️ 1 memory deleted for good"
+          : `🗑️ ${response.data.purged} memories deleted for good`,
+        "info"
+      );
+    } else {
+      this.showNotification(`❌ ${response.error}`, "error");
+    }
+    this.showTrashPanel();
+  }
+
+  // ===== Edit History =====
+  async showHistoryPanel(memory, card) {
+    const body = this.openPanel(`Edit history · ${memory.name || "Unknown"}`);
+    body.innerHTML = `<div class="panel-empty">Loading history...</div>`;
+
+    let versions;
+    let current;
+    try {
+      [versions, current] = await Promise.all([
+        this.memoryStore.getHistory(memory.storageKey),
+        this.memoryStore.get(memory.storageKey),
+      ]);
+    } catch (error) {
+      console.error("Error loading edit history:", error);
+      body.innerHTML = `<div class="panel-empty">❌ ${this.escapeHTML(
+        error.message
+      )}</div>`;
+      return;
+    }
+
+    if (versions.length === 0) {
+      body.innerHTML = `<div class="panel-empty">No earlier versions yet - they are kept from the first time you change this timeline 🕘</div>`;
+      return;
+    }
+
+    body.innerHTML = `<p class="panel-text">Each version shows what changed since the one before it. Edits made in one sitting count as one version.</p>`;
+    versions.forEach((version, i) => {
+      const older = versions[i + 1];
+      const isCurrent = MemoryStore.sameEntries(
+        version.entries,
+        current ? MemorySchema.normalize(current).entries : []
+      );
+      const text = MemorySchema.timelineText(version.entries);
+      const parts = older
+        ? this.diffWords(MemorySchema.timelineText(older.entries), text)
+        : [];
+      const countWords = (type) =>
+        parts
+          .filter((part) => part.type === type)
+          .reduce(
+            (total, part) =>
+              total + part.text.split(/\s+/).filter(Boolean).length,
+            0
+          );
+
+      const summary = older
+        ? `${countWords("added")} words added · ${countWords(
+            "removed"
+          )} removed`
+        : "Earliest version";
+
+      const item = document.createElement("div");
+      item.className = "history-version";
+      item.innerHTML = `
+        <div class="history-version-header">
+          <div>
+            <div class="snapshot-date">${new Date(
+              version.savedAt
+            ).toLocaleString()}</div>
+            <div class="snapshot-reason">${
+              i === 0 && isCurrent ? "Current timeline · " : ""
+            }${summary}</div>
+          </div>
+          ${
+            isCurrent
+              ? ""
+              : `<button class="panel-btn panel-btn-secondary">Restore</button>`
+          }
+        </div>
+        <div class="history-diff">${
+          older ? this.renderDiff(parts) : this.escapeHTML(text) || "(empty)"
+        }</div>
+      `;
+
+      item
+        .querySelector("button")
+        ?.addEventListener("click", () =>
+          this.restoreTimelineVersion(memory, version, card)
+        );
+      body.appendChild(item);
+    });
+  }
+
+  // Word-level changes from one text to another, as runs of unchanged,
+  // added and removed text. Very long texts are compared as a whole.
+  diffWords(before, after) {
+    const oldWords = before.split(/(\s+)/).filter(Boolean);
+    const newWords = after.split(/(\s+)/).filter(Boolean);
+
+    if (oldWords.length * newWords.length > 250000) {
+      return [
+        { type: "removed", text: before },
+        { type: "added", text: after },
+      ].filter((part) => part.text);
+    }
+
+    // common[i][j]: longest common subsequence of oldWords[i..], newWords[j..]
+    const common = Array.from({ length: oldWords.length + 1 }, () =>
+      new Array(newWords.length + 1).fill(0)
+    );
+    for (let i = oldWords.length - 1; i >= 0; i--) {
+      for (let j = newWords.length - 1; j >= 0; j--) {
+        common[i][j] =
+          oldWords[i] === newWords[j]
+            ? common[i + 1][j + 1] + 1
+            : Math.max(common[i + 1][j], common[i][j + 1]);
+      }
+    }
+
+    const parts = [];
+    const addPart = (type, text) => {
+      const last = parts[parts.length - 1];
+      if (last?.type === type) {
+        last.text += text;
+      } else {
+        parts.push({ type, text });
+      }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < oldWords.length && j < newWords.length) {
+      if (oldWords[i] === newWords[j]) {
+        addPart("same", oldWords[i++]);
+        j++;
+      } else if (common[i + 1][j] >= common[i][j + 1]) {
+        addPart("removed", oldWords[i++]);
+      } else {
+        addPart("added", newWords[j++]);
+      }
+    }
+    while (i < oldWords.length) addPart("removed", oldWords[i++]);
+    while (j < newWords.length) addPart("added", newWords[j++]);
+
+    return parts;
+  }
+
+  renderDiff(parts) {
+    const tags = { added: "ins", removed: "del" };
+    return parts
+      .map((part) => {
+        const text = this.escapeHTML(part.text);
+        const tag = tags[part.type];
+        return tag
+          ? `<${tag} class="history-${part.type}">${text}</${tag}>`
+          : text;
+      })
+      .join("");
+  }
+
+  // Puts an earlier timeline back. That is a change of its own, so the
+  // timeline it replaces stays in the history too.
+  async restoreTimelineVersion(memory, version, card) {
+    const storageKey = memory.storageKey;
+
+    // A save still waiting to run would overwrite the restored timeline
+    if (this.saveTimeouts.has(storageKey)) {
+      clearTimeout(this.saveTimeouts.get(storageKey));
+      this.saveTimeouts.delete(storageKey);
+    }
+
+    try {
+      const current = await this.memoryStore.get(storageKey);
+      if (!current) {
+        throw new Error("Memory no longer exists");
+      }
+
+      const restored = MemorySchema.normalize({
+        ...current,
+        entries: version.entries,
+        updatedAt: Date.now(),
+      });
+      await this.memoryStore.put(storageKey, restored, { newVersion: true });
+
+      if (card) {
+        this.renderEditEntries(card, restored.entries);
+        this.updateEditTagSelection(card);
+        this.updateCardDisplay(card, restored);
+      }
+
+      if (this.isGoogleDriveConnected) {
+        this.queueGoogleDriveSync("memoryUpdated", restored);
+      }
+      this.notifyContentScript("memoryUpdated", restored.url, restored);
+
+      await this.loadMemories();
+      this.populateTagFilters();
+
+      this.closePanel();
+      this.showNotification(
+        `🕘 Restored the timeline from ${new Date(
+          version.savedAt
+        ).toLocaleString()}`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Error restoring timeline version:", error);
+      this.showNotification("❌ Failed to restore this version", "error");
+    }
+  }
+
   autoResizeTextarea(textarea) {
     textarea.style.height = "auto";
     const minHeight = 90;
@@ -949,12 +3493,15 @@ class ModernMemorySearch {
 
     card.classList.add("editing");
     const editMode = card.querySelector(".edit-mode");
-    const editTextarea = card.querySelector(".edit-textarea");
 
     editMode.classList.add("active");
+    this.fillEditRelationship(card, memory);
+    this.fillEditCustomFields(card, memory);
     this.setupEditQuickTags(card, memory);
-    this.autoResizeTextarea(editTextarea);
-    editTextarea.focus();
+    card
+      .querySelectorAll(".edit-textarea")
+      .forEach((textarea) => this.autoResizeTextarea(textarea));
+    this.getActiveEntryTextarea(card).focus();
     this.editingCard = card;
   }
 
@@ -982,25 +3529,24 @@ class ModernMemorySearch {
     this.autoResizeTextarea(editTextarea);
     const card = tagElement.closest(".result-card");
     const saveIndicator = card.querySelector(".save-indicator");
-    this.handleAutoSave(memory, editTextarea.value, card, saveIndicator);
+    this.handleAutoSave(memory, card, saveIndicator);
     editTextarea.focus();
   }
 
   setupEditQuickTags(card, memory) {
     const quickTags = card.querySelectorAll(".edit-quick-tag");
-    const editTextarea = card.querySelector(".edit-textarea");
 
     this.updateEditTagSelection(card);
 
     quickTags.forEach((tag) => {
       tag.addEventListener("click", () => {
-        this.toggleEditQuickTag(tag, editTextarea, memory);
+        this.toggleEditQuickTag(tag, this.getActiveEntryTextarea(card), memory);
       });
     });
   }
 
   updateEditTagSelection(card) {
-    const editTextarea = card.querySelector(".edit-textarea");
+    const editTextarea = this.getActiveEntryTextarea(card);
     if (!editTextarea) return;
 
     const noteText = editTextarea.value.toLowerCase();
@@ -1031,26 +3577,11 @@ class ModernMemorySearch {
   }
 
   updateCardDisplay(card, memory) {
-    // Update the main card content with new note
-    const noteTextElement = card.querySelector(".note-text");
-    const cardFooter = card.querySelector(".card-footer");
-
-    if (memory.note && memory.note.trim()) {
-      if (noteTextElement) {
-        noteTextElement.textContent = memory.note;
-      } else {
-        const newNoteElement = document.createElement("div");
-        newNoteElement.className = "note-text";
-        newNoteElement.textContent = memory.note;
-
-        const cardHeader = card.querySelector(".card-header");
-        cardHeader.insertAdjacentElement("afterend", newNoteElement);
-      }
-    } else {
-      if (noteTextElement) {
-        noteTextElement.remove();
-      }
-    }
+    // Update the main card content with the new timeline
+    card.querySelector(".card-content .timeline")?.remove();
+    card
+      .querySelector(".card-header")
+      .insertAdjacentHTML("afterend", this.getTimelineHTML(memory));
 
     // Update tags
     const tagsContainer = card.querySelector(".tags-container");
@@ -1064,6 +3595,21 @@ class ModernMemorySearch {
 
     tagsContainer.innerHTML = tagsHTML;
 
+    card.querySelector(".person-relationship").textContent =
+      this.getRelationshipSummary(memory);
+    const background = card.querySelector(".person-background");
+    background.textContent = this.getBackgroundSummary(memory);
+    background.title = memory.bio || "";
+    const followUp = card.querySelector(".person-follow-up");
+    followUp.textContent = this.getFollowUpSummary(memory);
+    followUp.classList.toggle("due", MemorySchema.isFollowUpDue(memory));
+    card.querySelector(".person-job-change").textContent =
+      this.getJobChangeSummary(memory);
+    card.querySelector(".person-custom-fields").textContent =
+      this.getCustomFieldSummary(memory);
+    card.querySelector(".person-contact").textContent =
+      this.getContactSummary(memory);
+
     // Update date
     const dateInfo = card.querySelector(".date-info");
     dateInfo.textContent = this.formatDate(memory.updatedAt);
@@ -1076,7 +3622,8 @@ class ModernMemorySearch {
         currentWindow: true,
       });
 
-      if (tab && tab.url && tab.url.includes("linkedin.com")) {
+      // Only the tab showing this profile, whichever URL variant it has
+      if (tab && ProfileIdentity.isSameProfile(tab.url, url)) {
         const message = { type, url };
         if (data) message.memory = data;
 
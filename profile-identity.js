@@ -0,0 +1,115 @@
+// profile-identity.js
+// Works out which LinkedIn member a URL or page belongs to, so the same
+// person always ends up under the same storage key. Shared by the
+// background service worker (importScripts), the content script and the
+// popup.
+//
+// Every URL for a profile - linkedin.com or www., a country or mobile
+// subdomain, a /details/experience subpage, a percent-encoded or differently
+// cased slug - resolves to one canonical URL, and the key is derived from
+// that. Memories also record the member URN when the page shows it; unlike
+// the slug it stays the same when someone changes their vanity URL.
+
+const PROFILE_IDENTITY_CONFIG = {
+  canonicalOrigin: "https://www.linkedin.com",
+  storageKeyPrefix: "lnms_",
+  // Most specific first; the fsd_profile id is the one the current site uses
+  urnPatterns: [
+    /urn:li:fsd_profile:([A-Za-z0-9_-]+)/,
+    /urn:li:fs_profile:([A-Za-z0-9_-]+)/,
+  ],
+};
+
+class ProfileIdentity {
+  // "https://www.linkedin.com/in/<slug>" for any profile URL; other URLs
+  // lose only their query, hash and trailing slash
+  static canonicalUrl(url) {
+    if (!url) return "";
+
+    let parsed;
+    try {
+      parsed = new URL(url, PROFILE_IDENTITY_CONFIG.canonicalOrigin);
+    } catch (error) {
+      return url.split(/[?#]/)[0].replace(/\/$/, "");
+    }
+
+    const slug = ProfileIdentity.getSlug(parsed);
+    if (!slug) {
+      return `${parsed.origin}${parsed.pathname.replace(/\/$/, "")}`;
+    }
+
+    return `${PROFILE_IDENTITY_CONFIG.canonicalOrigin}/in/${slug}`;
+  }
+
+  // The vanity name, decoded and lowercased (LinkedIn ignores case), or
+  // null when the URL isn't a LinkedIn profile
+  static getSlug(url) {
+    let parsed = url;
+    if (typeof url === "string") {
+      try {
+        parsed = new URL(url, PROFILE_IDENTITY_CONFIG.canonicalOrigin);
+      } catch (error) {
+        return null;
+      }
+    }
+
+    if (!/(^|\.)linkedin\.com$/i.test(parsed.hostname)) return null;
+
+    const match = parsed.pathname.match(/^\/in\/([^/]+)/);
+    if (!match) return null;
+
+    let slug = match[1];
+    try {
+      slug = decodeURIComponent(slug);
+    } catch (error) {
+      // Malformed escapes: keep the slug as it appears in the URL
+    }
+    return slug.toLowerCase();
+  }
+
+  static isProfileUrl(url) {
+    return !!ProfileIdentity.getSlug(url);
+  }
+
+  static isSameProfile(url, otherUrl) {
+    return (
+      !!url &&
+      !!otherUrl &&
+      ProfileIdentity.canonicalUrl(url) ===
+        ProfileIdentity.canonicalUrl(otherUrl)
+    );
+  }
+
+  // Base64 of the canonical URL's UTF-8 bytes, stripped to letters and
+  // digits. btoa alone throws on characters outside Latin-1; for plain
+  // ASCII URLs this gives the same key as before.
+  static getStorageKey(url) {
+    const bytes = new TextEncoder().encode(ProfileIdentity.canonicalUrl(url));
+    const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join(
+      ""
+    );
+    return `${PROFILE_IDENTITY_CONFIG.storageKeyPrefix}${btoa(binary).replace(
+      /[^a-zA-Z0-9]/g,
+      ""
+    )}`;
+  }
+
+  // The first member URN found in some page markup, which may have it
+  // percent-encoded inside links
+  static parseMemberUrn(text) {
+    if (!text) return null;
+
+    let decoded = text;
+    try {
+      decoded = decodeURIComponent(text);
+    } catch (error) {
+      decoded = text.replace(/%3A/gi, ":");
+    }
+
+    for (const pattern of PROFILE_IDENTITY_CONFIG.urnPatterns) {
+      const match = decoded.match(pattern);
+      if (match) return match[0];
+    }
+    return null;
+  }
+}
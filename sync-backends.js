@@ -0,0 +1,893 @@
+// sync-backends.js
+// Storage backends for memory sync. Every backend keeps the same two kinds of
+// files: one main notes file written conditionally on its revision, and
+// side files next to it (per-device deltas for incremental sync, backup
+// snapshots). Loaded into the background service worker with importScripts.
+
+const SYNC_BACKEND_CONFIG = {
+  settingsStorageKey: "lnms_sync_settings",
+  fileBaseName: "linkedin-memories",
+  defaultBackend: "googleDrive",
+};
+
+const GOOGLE_DRIVE_CONFIG = {
+  driveFilesEndpoint: "https://www.googleapis.com/drive/v3/files",
+  driveUploadEndpoint: "https://www.googleapis.com/upload/drive/v3/files",
+  userinfoEndpoint: "https://www.googleapis.com/oauth2/v2/userinfo",
+  changesEndpoint: "https://www.googleapis.com/drive/v3/changes",
+  // The notes file is read and written through v2, which still honors
+  // If-Match on a file's etag; v3 has no conditional upload
+  notesFilesEndpoint: "https://www.googleapis.com/drive/v2/files",
+  notesUploadEndpoint: "https://www.googleapis.com/upload/drive/v2/files",
+  revokeEndpoint: "https://oauth2.googleapis.com/revoke",
+};
+
+// Thrown when the notes file changed between reading and writing it
+class SyncRevisionMismatchError extends Error {
+  constructor(expectedRevision, actualRevision) {
+    super(
+      `Notes file changed during sync (expected revision ${expectedRevision}, found ${actualRevision})`
+    );
+    this.name = "SyncRevisionMismatchError";
+  }
+}
+
+// ===== Request Retries =====
+const SYNC_RETRY_CONFIG = {
+  maxAttempts: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 30 * 1000,
+};
+
+// Final failure of a backend request once retries are used up. `code` tells
+// the popup what happened: "auth", "forbidden", "rate_limited", "server",
+// "network" or "http"; `retryable` says whether trying later can help.
+class SyncBackendError extends Error {
+  constructor(
+    message,
+    {
+      code = "http",
+      status = null,
+      retryable = false,
+      retryAfterMs = null,
+    } = {}
+  ) {
+    super(message);
+    this.name = "SyncBackendError";
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Sends a request, calling `refreshAuth` once on a 401 and backing off with
+// jitter on rate limits, server errors and network failures. `send` is called
+// again for every attempt. Other responses are returned as they are.
+async function fetchWithRetry(send, { label, refreshAuth = null } = {}) {
+  let authRefreshed = false;
+  let retries = 0;
+
+  while (true) {
+    const canRetry = retries < SYNC_RETRY_CONFIG.maxAttempts - 1;
+    let response;
+
+    try {
+      response = await send();
+    } catch (error) {
+      if (!canRetry) {
+        throw new SyncBackendError(`${label} unreachable: ${error.message}`, {
+          code: "network",
+          retryable: true,
+        });
+      }
+
+      retries++;
+      console.log(`🔁 ${label} request failed (${error.message}), retrying`);
+      await sleep(getRetryDelay(retries));
+      continue;
+    }
+
+    // A refreshed token is a new request, not a retry of a failing one
+    if (response.status === 401 && refreshAuth && !authRefreshed) {
+      authRefreshed = true;
+      console.log(`🔑 ${label} token rejected, refreshing`);
+      await refreshAuth();
+      continue;
+    }
+
+    if (!(await isRetryableResponse(response))) {
+      return response;
+    }
+
+    const retryAfterMs = parseRetryAfter(response.headers.get("Retry-After"));
+    if (!canRetry || retryAfterMs > SYNC_RETRY_CONFIG.maxDelayMs) {
+      return response;
+    }
+
+    retries++;
+    const delay = Math.max(retryAfterMs || 0, getRetryDelay(retries));
+    console.log(
+      `🔁 ${label} returned ${response.status}, retrying in ${Math.round(
+        delay / 1000
+      )}s`
+    );
+    await sleep(delay);
+  }
+}
+
+// 429 and 5xx, plus the 403 Drive uses for per-user rate limits
+async function isRetryableResponse(response) {
+  if (response.status === 429 || response.status >= 500) return true;
+  if (response.status !== 403) return false;
+
+  const text = await response.clone().text();
+  return /rateLimitExceeded/i.test(text);
+}
+
+// Exponential backoff with full jitter
+function getRetryDelay(attempt) {
+  const ceiling = Math.min(
+    SYNC_RETRY_CONFIG.baseDelayMs * 2 ** (attempt - 1),
+    SYNC_RETRY_CONFIG.maxDelayMs
+  );
+  return Math.round(ceiling / 2 + (Math.random() * ceiling) / 2);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Builds the final error for a response that is still failing
+async function createResponseError(response, description) {
+  const text = await response.text();
+  const status = response.status;
+  const retryAfterMs = parseRetryAfter(response.headers.get("Retry-After"));
+  let code = "http";
+
+  if (status === 401) {
+    code = "auth";
+  } else if (status === 429 || /rateLimitExceeded/i.test(text)) {
+    code = "rate_limited";
+  } else if (status === 403) {
+    code = "forbidden";
+  } else if (status >= 500) {
+    code = "server";
+  }
+
+  return new SyncBackendError(`${description} failed: ${status} ${text}`, {
+    code,
+    status,
+    retryable: code === "rate_limited" || code === "server",
+    retryAfterMs,
+  });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Every account keeps its own set of files. The first account keeps the
+// original names so existing backups are picked up as they are; the others
+// are marked with their namespace, which never contains a dot.
+function getSyncFileNames(namespace = null) {
+  const base = namespace
+    ? `${SYNC_BACKEND_CONFIG.fileBaseName}.${namespace}.`
+    : `${SYNC_BACKEND_CONFIG.fileBaseName}-`;
+
+  return {
+    notesFileName: namespace
+      ? `${SYNC_BACKEND_CONFIG.fileBaseName}.${namespace}.json`
+      : `${SYNC_BACKEND_CONFIG.fileBaseName}.json`,
+    deltaPrefix: `${base}delta-`,
+    snapshotPrefix: `${base}snapshot-`,
+  };
+}
+
+// ===== Google Drive (appDataFolder) =====
+class GoogleDriveBackend {
+  // accountId pins the Google account once connected, so each VibeTag
+  // account keeps talking to the Google account it was connected with
+  constructor({ accountId = null, namespace = null } = {}) {
+    this.type = "googleDrive";
+    this.label = "Google Drive";
+    this.accountId = accountId;
+    this.files = getSyncFileNames(namespace);
+    this.token = null;
+    this.notesFileId = null;
+  }
+
+  // ===== Auth =====
+  async connect() {
+    const token = await this.getAuthToken({ interactive: true });
+    return await this.getUserInfo(token);
+  }
+
+  async checkConnection() {
+    try {
+      await this.getAuthToken({ interactive: false });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async disconnect() {
+    if (this.token) {
+      try {
+        await fetch(
+          `${GOOGLE_DRIVE_CONFIG.revokeEndpoint}?token=${this.token}`,
+          {
+            method: "POST",
+            headers: { "Content-type": "application/x-www-form-urlencoded" },
+          }
+        );
+      } catch (e) {
+        console.log("Token revocation network error (ignored):", e.message);
+      }
+
+      // Only this account's token: other accounts stay signed in
+      await new Promise((resolve) => {
+        chrome.identity.removeCachedAuthToken({ token: this.token }, () =>
+          resolve()
+        );
+      });
+    }
+
+    this.token = null;
+    this.notesFileId = null;
+  }
+
+  async getAuthToken({ interactive = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const options = { interactive };
+      if (this.accountId) {
+        options.account = { id: this.accountId };
+      }
+
+      chrome.identity.getAuthToken(options, (token) => {
+        if (chrome.runtime.lastError) {
+          return reject(new Error(chrome.runtime.lastError.message));
+        }
+
+        if (!token) {
+          return reject(new Error("No token returned"));
+        }
+
+        if (this.token && this.token !== token) {
+          chrome.identity.removeCachedAuthToken(
+            { token: this.token },
+            () => {}
+          );
+        }
+
+        this.token = token;
+        resolve(token);
+      });
+    });
+  }
+
+  async getUserInfo(token) {
+    const response = await fetch(GOOGLE_DRIVE_CONFIG.userinfoEndpoint, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(
+        `Failed to get user info: ${response.status} ${response.statusText}`
+      );
+    }
+
+    return await response.json();
+  }
+
+  // Drops a token Drive rejected and silently asks Chrome for a fresh one
+  async refreshAuthToken() {
+    if (this.token) {
+      const expiredToken = this.token;
+      await new Promise((resolve) => {
+        chrome.identity.removeCachedAuthToken({ token: expiredToken }, () =>
+          resolve()
+        );
+      });
+    }
+    this.token = null;
+
+    try {
+      return await this.getAuthToken({ interactive: false });
+    } catch (error) {
+      throw new SyncBackendError(
+        `Google sign-in expired, reconnect to keep syncing (${error.message})`,
+        { code: "auth", status: 401 }
+      );
+    }
+  }
+
+  async driveApi(
+    method,
+    url,
+    { params = {}, headers = {}, body, allowStatus = [] } = {}
+  ) {
+    if (!this.token) {
+      await this.refreshAuthToken();
+    }
+
+    const qs = new URLSearchParams(params).toString();
+    const fullUrl = qs ? `${url}?${qs}` : url;
+
+    const response = await fetchWithRetry(
+      () =>
+        fetch(fullUrl, {
+          method,
+          headers: {
+            Authorization: `Bearer ${this.token}`,
+            ...headers,
+          },
+          body,
+        }),
+      { label: this.label, refreshAuth: () => this.refreshAuthToken() }
+    );
+
+    if (!response.ok && !allowStatus.includes(response.status)) {
+      throw await createResponseError(response, `Drive API ${method} ${url}`);
+    }
+
+    return response;
+  }
+
+  // ===== Main Notes File =====
+  async findNotesFileId() {
+    if (this.notesFileId) return this.notesFileId;
+
+    const response = await this.driveApi(
+      "GET",
+      GOOGLE_DRIVE_CONFIG.driveFilesEndpoint,
+      {
+        params: {
+          spaces: "appDataFolder",
+          q: `name='${this.files.notesFileName}' and 'appDataFolder' in parents`,
+          fields: "files(id, name)",
+        },
+      }
+    );
+
+    const data = await response.json();
+    if (data.files && data.files.length > 0) {
+      this.notesFileId = data.files[0].id;
+      return this.notesFileId;
+    }
+
+    return null;
+  }
+
+  async ensureNotesFile() {
+    const id = await this.findNotesFileId();
+    if (id) return id;
+
+    this.notesFileId = await this.createAppDataFile(
+      this.files.notesFileName,
+      {}
+    );
+    return this.notesFileId;
+  }
+
+  async loadNotes() {
+    const fileId = await this.ensureNotesFile();
+
+    // Read the revision before the content: if the file changes in between
+    // we hold an older revision and the conditional save will retry
+    const revision = await this.getNotesRevision();
+    const payload = await this.downloadFile(fileId);
+    return { payload, revision };
+  }
+
+  // The file's etag, which changes with every write
+  async getNotesRevision() {
+    const fileId = await this.ensureNotesFile();
+    const response = await this.driveApi(
+      "GET",
+      `${GOOGLE_DRIVE_CONFIG.notesFilesEndpoint}/${fileId}`,
+      {
+        params: { fields: "etag" },
+      }
+    );
+
+    const data = await response.json();
+    return data.etag;
+  }
+
+  // Conditional on the revision read: if another device wrote in the
+  // meantime Drive refuses the upload, and the caller merges again
+  async saveNotes(payload, { expectedRevision } = {}) {
+    const fileId = await this.ensureNotesFile();
+    const body = new Blob([JSON.stringify(payload, null, 2)], {
+      type: "application/json",
+    });
+
+    const response = await this.driveApi(
+      "PUT",
+      `${GOOGLE_DRIVE_CONFIG.notesUploadEndpoint}/${fileId}`,
+      {
+        params: { uploadType: "media", fields: "etag" },
+        headers: {
+          "Content-Type": "application/json",
+          ...(expectedRevision !== undefined && {
+            "If-Match": expectedRevision,
+          }),
+        },
+        body,
+        allowStatus: [412],
+      }
+    );
+
+    if (response.status === 412) {
+      throw new SyncRevisionMismatchError(expectedRevision, "a newer revision");
+    }
+
+    const data = await response.json();
+    return data.etag;
+  }
+
+  // ===== Side Files (deltas, snapshots) =====
+  async createSideFile(name, payload) {
+    return await this.createAppDataFile(name, payload);
+  }
+
+  async listSideFiles(prefix) {
+    const files = [];
+    let pageToken = null;
+
+    do {
+      const response = await this.driveApi(
+        "GET",
+        GOOGLE_DRIVE_CONFIG.driveFilesEndpoint,
+        {
+          params: {
+            spaces: "appDataFolder",
+            q: `name contains '${prefix}' and 'appDataFolder' in parents`,
+            fields: "nextPageToken, files(id, name)",
+            pageSize: 1000,
+            ...(pageToken ? { pageToken } : {}),
+          },
+        }
+      );
+      const data = await response.json();
+      files.push(...(data.files || []));
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+
+    // "contains" matches anywhere in the name, other accounts' files included
+    return files.filter((file) => file.name.startsWith(prefix));
+  }
+
+  async loadSideFile(id) {
+    return await this.downloadFile(id);
+  }
+
+  async deleteSideFile(id) {
+    await this.driveApi(
+      "DELETE",
+      `${GOOGLE_DRIVE_CONFIG.driveFilesEndpoint}/${id}`
+    );
+  }
+
+  // ===== Changes Feed =====
+  async getChangesToken() {
+    const response = await this.driveApi(
+      "GET",
+      `${GOOGLE_DRIVE_CONFIG.changesEndpoint}/startPageToken`
+    );
+    const data = await response.json();
+    return data.startPageToken;
+  }
+
+  async listChanges(token) {
+    const notesFileId = await this.ensureNotesFile();
+    const changes = [];
+    let nextPageToken = token;
+    let newStartPageToken = null;
+
+    while (nextPageToken) {
+      const response = await this.driveApi(
+        "GET",
+        GOOGLE_DRIVE_CONFIG.changesEndpoint,
+        {
+          params: {
+            pageToken: nextPageToken,
+            spaces: "appDataFolder",
+            fields:
+              "nextPageToken, newStartPageToken, changes(fileId, removed, file(name))",
+          },
+        }
+      );
+      const data = await response.json();
+      (data.changes || []).forEach((change) => {
+        changes.push({
+          id: change.fileId,
+          name: change.file?.name,
+          removed: !!change.removed,
+          revision: null,
+          isNotesFile: change.fileId === notesFileId,
+        });
+      });
+      nextPageToken = data.nextPageToken;
+      newStartPageToken = data.newStartPageToken || newStartPageToken;
+    }
+
+    // The feed has no etags; the main file's is what sync state records
+    const notesChanges = changes.filter((change) => change.isNotesFile);
+    if (notesChanges.some((change) => !change.removed)) {
+      const revision = await this.getNotesRevision();
+      notesChanges.forEach((change) => (change.revision = revision));
+    }
+
+    return { changes, nextToken: newStartPageToken };
+  }
+
+  // ===== Drive Helpers =====
+  async createAppDataFile(name, content) {
+    const metadata = {
+      name,
+      parents: ["appDataFolder"],
+    };
+
+    const boundary = "-------314159265358979323846";
+    const delimiter = `\r\n--${boundary}\r\n`;
+    const closeDelim = `\r\n--${boundary}--`;
+
+    const body =
+      delimiter +
+      "Content-Type: application/json; charset=UTF-8\r\n\r\n" +
+      JSON.stringify(metadata) +
+      delimiter +
+      "Content-Type: application/json; charset=UTF-8\r\n\r\n" +
+      JSON.stringify(content) +
+      closeDelim;
+
+    const response = await this.driveApi(
+      "POST",
+      GOOGLE_DRIVE_CONFIG.driveUploadEndpoint,
+      {
+        params: { uploadType: "multipart" },
+        headers: { "Content-Type": `multipart/related; boundary=${boundary}` },
+        body,
+      }
+    );
+
+    const data = await response.json();
+    return data.id;
+  }
+
+  async downloadFile(fileId) {
+    const response = await this.driveApi(
+      "GET",
+      `${GOOGLE_DRIVE_CONFIG.driveFilesEndpoint}/${fileId}`,
+      {
+        params: { alt: "media" },
+      }
+    );
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : {};
+  }
+}
+
+// ===== Plain File Stores (WebDAV, self-hosted REST) =====
+// Subclasses provide listFiles/getFile/putFile/deleteFile/getFileRevision on
+// top of HTTP ETags; file names double as ids. Neither store has a changes
+// feed, so one is emulated by diffing directory listings.
+class FileStoreBackend {
+  constructor({ url, namespace = null }) {
+    if (!url) {
+      throw new Error("Server URL is required");
+    }
+
+    this.baseUrl = url.endsWith("/") ? url : `${url}/`;
+    this.files = getSyncFileNames(namespace);
+  }
+
+  // ===== Auth =====
+  async connect() {
+    // Fails on a wrong URL or credentials before anything is stored
+    await this.listFiles();
+    return this.getUserInfo();
+  }
+
+  async checkConnection() {
+    return true;
+  }
+
+  async disconnect() {}
+
+  // ===== Main Notes File =====
+  async loadNotes() {
+    let file = await this.getFile(this.files.notesFileName);
+
+    if (!file) {
+      try {
+        await this.putFile(this.files.notesFileName, {}, { ifNoneMatch: "*" });
+      } catch (error) {
+        // Another device created it first - read theirs
+        if (!(error instanceof SyncRevisionMismatchError)) throw error;
+      }
+      file = await this.getFile(this.files.notesFileName);
+    }
+
+    return file;
+  }
+
+  async getNotesRevision() {
+    return await this.getFileRevision(this.files.notesFileName);
+  }
+
+  async saveNotes(payload, { expectedRevision } = {}) {
+    return await this.putFile(
+      this.files.notesFileName,
+      payload,
+      expectedRevision !== undefined ? { ifMatch: expectedRevision } : {}
+    );
+  }
+
+  // ===== Side Files (deltas, snapshots) =====
+  async createSideFile(name, payload) {
+    await this.putFile(name, payload);
+    return name;
+  }
+
+  async listSideFiles(prefix) {
+    const files = await this.listFiles();
+    return files
+      .filter((file) => file.name.startsWith(prefix))
+      .map((file) => ({ id: file.name, name: file.name }));
+  }
+
+  async loadSideFile(id) {
+    const file = await this.getFile(id);
+    return file ? file.payload : {};
+  }
+
+  async deleteSideFile(id) {
+    await this.deleteFile(id);
+  }
+
+  // ===== Emulated Changes Feed =====
+  async getChangesToken() {
+    return await this.getListingSnapshot();
+  }
+
+  async listChanges(token) {
+    const snapshot = await this.getListingSnapshot();
+    const changes = [];
+
+    for (const [name, revision] of Object.entries(snapshot)) {
+      if (token[name] !== revision) {
+        changes.push({
+          id: name,
+          name,
+          removed: false,
+          revision,
+          isNotesFile: name === this.files.notesFileName,
+        });
+      }
+    }
+
+    for (const name of Object.keys(token)) {
+      if (!(name in snapshot)) {
+        changes.push({
+          id: name,
+          name,
+          removed: true,
+          revision: null,
+          isNotesFile: name === this.files.notesFileName,
+        });
+      }
+    }
+
+    return { changes, nextToken: snapshot };
+  }
+
+  async getListingSnapshot() {
+    const snapshot = {};
+    (await this.listFiles()).forEach((file) => {
+      snapshot[file.name] = file.revision;
+    });
+    return snapshot;
+  }
+
+  // ===== HTTP Helpers =====
+  fileUrl(name) {
+    return `${this.baseUrl}${encodeURIComponent(name)}`;
+  }
+
+  async request(method, url, { headers = {}, body, allowStatus = [] } = {}) {
+    const response = await fetchWithRetry(
+      () =>
+        fetch(url, {
+          method,
+          headers: {
+            Authorization: this.getAuthorization(),
+            ...headers,
+          },
+          body,
+        }),
+      { label: this.label }
+    );
+
+    if (response.status === 412) {
+      throw new SyncRevisionMismatchError(
+        headers["If-Match"] || "none",
+        "a newer revision"
+      );
+    }
+
+    if (!response.ok && !allowStatus.includes(response.status)) {
+      throw await createResponseError(
+        response,
+        `${this.label} ${method} ${url}`
+      );
+    }
+
+    return response;
+  }
+
+  async getFile(name) {
+    const response = await this.request("GET", this.fileUrl(name), {
+      allowStatus: [404],
+    });
+    if (response.status === 404) {
+      return null;
+    }
+
+    const text = await response.text();
+    return {
+      payload: text ? JSON.parse(text) : {},
+      revision:
+        response.headers.get("ETag") || (await this.getFileRevision(name)),
+    };
+  }
+
+  async getFileRevision(name) {
+    const response = await this.request("HEAD", this.fileUrl(name));
+    return response.headers.get("ETag");
+  }
+
+  async putFile(name, payload, { ifMatch, ifNoneMatch } = {}) {
+    const headers = { "Content-Type": "application/json" };
+    if (ifMatch) headers["If-Match"] = ifMatch;
+    if (ifNoneMatch) headers["If-None-Match"] = ifNoneMatch;
+
+    const response = await this.request("PUT", this.fileUrl(name), {
+      headers,
+      body: JSON.stringify(payload, null, 2),
+    });
+
+    return response.headers.get("ETag") || (await this.getFileRevision(name));
+  }
+
+  async deleteFile(name) {
+    await this.request("DELETE", this.fileUrl(name), { allowStatus: [404] });
+  }
+}
+
+// ===== WebDAV (Nextcloud, ownCloud, ...) =====
+class WebDavBackend extends FileStoreBackend {
+  constructor({ url, username, password, namespace }) {
+    super({ url, namespace });
+    this.type = "webdav";
+    this.label = "WebDAV";
+    this.username = username || "";
+    this.password = password || "";
+  }
+
+  async connect() {
+    // Create the sync folder if it isn't there yet (405 = already exists)
+    await this.request("MKCOL", this.baseUrl, { allowStatus: [405] });
+    return await super.connect();
+  }
+
+  getUserInfo() {
+    const host = new URL(this.baseUrl).host;
+    return {
+      name: this.username || host,
+      email: this.username ? `${this.username}@${host}` : host,
+    };
+  }
+
+  getAuthorization() {
+    // btoa only takes Latin-1, so encode the credentials as UTF-8 first
+    const bytes = new TextEncoder().encode(`${this.username}:${this.password}`);
+    let binary = "";
+    bytes.forEach((byte) => (binary += String.fromCharCode(byte)));
+    return `Basic ${btoa(binary)}`;
+  }
+
+  async listFiles() {
+    const response = await this.request("PROPFIND", this.baseUrl, {
+      headers: { Depth: "1", "Content-Type": "application/xml" },
+      body:
+        '<?xml version="1.0" encoding="utf-8"?>' +
+        '<d:propfind xmlns:d="DAV:"><d:prop><d:getetag/><d:resourcetype/></d:prop></d:propfind>',
+    });
+    const xml = await response.text();
+
+    // No DOMParser in service workers, and the multistatus format is simple
+    // enough to pick apart with namespace-agnostic patterns
+    const files = [];
+    const responses =
+      xml.match(/<(?:\w+:)?response\b[\s\S]*?<\/(?:\w+:)?response>/g) || [];
+    responses.forEach((entry) => {
+      const href = (entry.match(/<(?:\w+:)?href>([^<]*)</) || [])[1];
+      if (!href || /<(?:\w+:)?collection\s*\/?>/.test(entry)) return;
+
+      const etag = (entry.match(/<(?:\w+:)?getetag>([^<]*)</) || [])[1];
+      const name = decodeURIComponent(href.replace(/\/$/, "").split("/").pop());
+      files.push({
+        name,
+        revision: (etag || "").replace(/&quot;/g, '"'),
+      });
+    });
+
+    return files;
+  }
+}
+
+// ===== Self-hosted JSON REST =====
+// A minimal server only needs:
+//   GET    {url}/files         -> [{ "name": "...", "revision": "..." }]
+//   GET    {url}/files/{name}  -> file JSON with an ETag header (404 if missing)
+//   HEAD   {url}/files/{name}  -> ETag header
+//   PUT    {url}/files/{name}  -> honours If-Match / If-None-Match: * (412 on
+//                                 mismatch) and returns the new ETag
+//   DELETE {url}/files/{name}
+// Every request carries "Authorization: Bearer <token>".
+class RestBackend extends FileStoreBackend {
+  constructor({ url, token, namespace }) {
+    super({ url, namespace });
+    this.type = "rest";
+    this.label = "Self-hosted server";
+    this.token = token || "";
+  }
+
+  getUserInfo() {
+    const host = new URL(this.baseUrl).host;
+    return { name: host, email: host };
+  }
+
+  getAuthorization() {
+    return `Bearer ${this.token}`;
+  }
+
+  fileUrl(name) {
+    return `${this.baseUrl}files/${encodeURIComponent(name)}`;
+  }
+
+  async listFiles() {
+    const response = await this.request("GET", `${this.baseUrl}files`);
+    const files = await response.json();
+    return files.map((file) => ({ name: file.name, revision: file.revision }));
+  }
+}
+
+function createSyncBackend(settings = {}) {
+  const namespace = settings.namespace || null;
+
+  switch (settings.backend || SYNC_BACKEND_CONFIG.defaultBackend) {
+    case "googleDrive":
+      return new GoogleDriveBackend({ ...settings.googleDrive, namespace });
+    case "webdav":
+      return new WebDavBackend({ ...settings.webdav, namespace });
+    case "rest":
+      return new RestBackend({ ...settings.rest, namespace });
+    default:
+      throw new Error(`Unknown sync backend: ${settings.backend}`);
+  }
+}